@@ -0,0 +1,18 @@
+const { sellerState } = require('./taxRules');
+
+// Seller details printed on tax invoices and credit notes.
+// SELLER_ADDRESS takes address lines separated by "|".
+module.exports = {
+  seller: {
+    name: process.env.SELLER_LEGAL_NAME || 'Saree Store',
+    gstin: process.env.SELLER_GSTIN || '',
+    addressLines: (process.env.SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+    state: sellerState,
+    email: process.env.SELLER_EMAIL || '',
+    phone: process.env.SELLER_PHONE || ''
+  },
+
+  // Numbers look like INV/24-25/000123, restarting every financial year
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+  creditNotePrefix: process.env.CREDIT_NOTE_PREFIX || 'CN'
+};
@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT picks how mail is sent:
+//   smtp   - real delivery through SMTP_HOST (default)
+//   json   - messages are rendered to JSON and not sent, useful in tests
+//   stream - messages are rendered to a buffer and not sent
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    case 'stream':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    default:
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+  }
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with a test double
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = (message) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Saree Store <no-reply@sareestore.in>',
+    ...message
+  });
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
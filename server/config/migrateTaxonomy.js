@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const { ATTRIBUTE_PATHS } = require('../services/taxonomy');
+const { slugify } = require('../utils/slugify');
+const taxRules = require('./taxRules');
+
+// The values products were limited to before the taxonomy was
+// admin-managed. They're created up front so existing forms keep working.
+const LEGACY_CATEGORIES = [
+  'Silk Sarees', 'Cotton Sarees', 'Designer Sarees', 'Wedding Sarees',
+  'Casual Sarees', 'Party Wear', 'Traditional', 'Contemporary'
+];
+
+const LEGACY_ATTRIBUTES = {
+  fabric: ['Silk', 'Cotton', 'Georgette', 'Chiffon', 'Net', 'Crepe', 'Banarasi', 'Kanjivaram', 'Tussar', 'Art Silk'],
+  occasion: ['Wedding', 'Festival', 'Party', 'Casual', 'Office', 'Traditional', 'Formal'],
+  size: ['Free Size', 'XS', 'S', 'M', 'L', 'XL', 'XXL']
+};
+
+// Move stored category names onto Category documents and make sure every
+// fabric, occasion and size in use has an Attribute, fabrics with their
+// HSN code. Values products already have are kept as they are, so nothing
+// becomes invalid. Safe to run more than once.
+const migrateTaxonomy = async () => {
+  let attributes = 0;
+  for (const type of Attribute.TYPES) {
+    const inUse = [];
+    for (const path of ATTRIBUTE_PATHS[type]) {
+      inUse.push(...await Product.collection.distinct(path));
+    }
+
+    const names = [...new Set([...LEGACY_ATTRIBUTES[type], ...inUse.filter(name => typeof name === 'string' && name.trim())])];
+    for (const [index, name] of names.entries()) {
+      const result = await Attribute.updateOne(
+        { type, name },
+        { $setOnInsert: { type, name, slug: slugify(name), displayOrder: index, isActive: true } },
+        { upsert: true }
+      );
+      attributes += result.upsertedCount;
+    }
+  }
+
+  // Fabrics that used to be taxed by their entry in the tax rules carry
+  // its HSN code over, unless an admin has given them one already
+  for (const [name, hsnCode] of Object.entries(taxRules.fabricHsnCodes)) {
+    await Attribute.updateOne(
+      { type: 'fabric', name, hsnCode: { $in: [null, ''] } },
+      { $set: { hsnCode } }
+    );
+  }
+
+  // Categories are still strings on products and coupons not yet migrated
+  const stored = [
+    ...await Product.collection.distinct('category'),
+    ...await Coupon.collection.distinct('applicableCategories')
+  ].filter(name => typeof name === 'string' && name.trim());
+
+  let categories = 0;
+  const ids = new Map();
+  for (const [index, name] of [...new Set([...LEGACY_CATEGORIES, ...stored])].entries()) {
+    const slug = slugify(name);
+    const result = await Category.updateOne(
+      { slug },
+      { $setOnInsert: { name, slug, parent: null, ancestors: [], displayOrder: index, isActive: true } },
+      { upsert: true }
+    );
+    categories += result.upsertedCount;
+    ids.set(name, (await Category.findOne({ slug }).select('_id'))._id);
+  }
+
+  // Written through the driver: the schema would cast (and reject) the
+  // old string values
+  let products = 0;
+  let coupons = 0;
+  for (const [name, id] of ids) {
+    const result = await Product.collection.updateMany({ category: name }, { $set: { category: id } });
+    products += result.modifiedCount;
+
+    const couponResult = await Coupon.collection.updateMany(
+      { applicableCategories: name },
+      { $set: { 'applicableCategories.$[c]': id } },
+      { arrayFilters: [{ c: name }] }
+    );
+    coupons += couponResult.modifiedCount;
+  }
+
+  return { categories, attributes, products, coupons };
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGO_URI);
+      console.log('Connected to MongoDB');
+
+      const result = await migrateTaxonomy();
+      console.log(`Created ${result.categories} categories and ${result.attributes} attribute values`);
+      console.log(`Moved ${result.products} products and ${result.coupons} coupons onto categories`);
+
+      process.exit(0);
+    } catch (error) {
+      console.error('Taxonomy migration failed:', error);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateTaxonomy };
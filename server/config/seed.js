@@ -2,6 +2,13 @@ const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Serviceability = require('../models/Serviceability');
+const Warehouse = require('../models/Warehouse');
+const InventoryMovement = require('../models/InventoryMovement');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const { migrateTaxonomy } = require('./migrateTaxonomy');
+const { recordStockChanges } = require('../services/inventory');
 
 // Load environment variables
 dotenv.config();
@@ -189,6 +196,23 @@ const customerUser = {
   emailVerified: true
 };
 
+// Sample pincodes we deliver to
+const sampleServiceability = [
+  { pincode: "600001", city: "Chennai", district: "Chennai", state: "Tamil Nadu", serviceable: true, codAllowed: true, transitDays: 2, expressTransitDays: 1 },
+  { pincode: "560001", city: "Bengaluru", district: "Bengaluru Urban", state: "Karnataka", serviceable: true, codAllowed: true, transitDays: 3, expressTransitDays: 2 },
+  { pincode: "400001", city: "Mumbai", district: "Mumbai", state: "Maharashtra", serviceable: true, codAllowed: true, transitDays: 5, expressTransitDays: 3 },
+  { pincode: "110001", city: "New Delhi", district: "New Delhi", state: "Delhi", serviceable: true, codAllowed: true, transitDays: 5, expressTransitDays: 3 },
+  { pincode: "700001", city: "Kolkata", district: "Kolkata", state: "West Bengal", serviceable: true, codAllowed: false, transitDays: 6 },
+  { pincode: "781001", city: "Guwahati", district: "Kamrup Metropolitan", state: "Assam", serviceable: true, codAllowed: false, transitDays: 8 }
+];
+
+// Warehouses stock ships from. Chennai comes first, so the seeded stock is
+// held there until some is transferred.
+const sampleWarehouses = [
+  { name: "Chennai Warehouse", code: "CHN", address: { addressLine1: "12 Godown Street", city: "Chennai", state: "Tamil Nadu", pincode: "600001" }, courierPickupLocation: "Chennai", priority: 0 },
+  { name: "Varanasi Warehouse", code: "VNS", address: { addressLine1: "45 Chowk Road", city: "Varanasi", state: "Uttar Pradesh", pincode: "221001" }, courierPickupLocation: "Varanasi", priority: 1 }
+];
+
 const seedDatabase = async () => {
   try {
     // Connect to MongoDB
@@ -201,7 +225,10 @@ const seedDatabase = async () => {
 
     // Clear existing data
     await Product.deleteMany({});
+    await InventoryMovement.deleteMany({});
     await User.deleteMany({});
+    await Category.deleteMany({});
+    await Attribute.deleteMany({});
 
     console.log('Cleared existing data');
 
@@ -215,10 +242,31 @@ const seedDatabase = async () => {
     await customer.save();
     console.log('Customer user created');
 
+    // Default categories and attribute values, then products in them
+    await migrateTaxonomy();
+    const categories = await Category.find().select('name');
+    const categoryIds = new Map(categories.map(category => [category.name, category._id]));
+    console.log('Categories and attributes created');
+
     // Create products
-    await Product.insertMany(sampleProducts);
+    const products = await Product.insertMany(sampleProducts.map(product => ({
+      ...product,
+      category: categoryIds.get(product.category)
+    })));
+    for (const product of products) {
+      await recordStockChanges(new Map(), product, { reason: 'import', actor: admin._id, note: 'Seed data' });
+    }
     console.log('Sample products created');
 
+    await Warehouse.deleteMany({});
+    await Warehouse.insertMany(sampleWarehouses);
+    console.log('Sample warehouses created');
+
+    // Deliverable pincodes, so orders can be placed in development
+    await Serviceability.deleteMany({});
+    await Serviceability.insertMany(sampleServiceability);
+    console.log('Sample serviceability created');
+
     console.log('Database seeded successfully!');
     console.log(`Created ${sampleProducts.length} products`);
     console.log('Demo credentials:');
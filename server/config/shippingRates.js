@@ -0,0 +1,80 @@
+// Shipping rate tables. Weights are in grams and dimensions in centimetres,
+// as stored on products; prices are in rupees.
+module.exports = {
+  // Added to every parcel for the box and wrapping
+  packagingWeight: 100,
+
+  // Assumed for products that have no weight recorded
+  defaultItemWeight: 700,
+
+  // Box declared to the courier when a shipment is booked
+  parcelDimensions: { length: 35, width: 25, height: 6 },
+
+  // Couriers bill the greater of the actual weight and the volumetric
+  // weight: length x width x height (cm) / divisor, in kilograms
+  volumetricDivisor: 5000,
+
+  // Destination zones, tried in order. A zone matches on a pincode prefix
+  // or on the state; the last zone catches everything else.
+  zones: [
+    {
+      name: 'local',
+      pincodePrefixes: ['600', '601', '602', '603']
+    },
+    {
+      // North East, Jammu & Kashmir, Ladakh and the islands
+      name: 'special',
+      pincodePrefixes: ['18', '19', '744', '68255'],
+      states: [
+        'Arunachal Pradesh', 'Assam', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Sikkim', 'Tripura',
+        'Jammu and Kashmir', 'Ladakh', 'Andaman and Nicobar Islands', 'Lakshadweep'
+      ]
+    },
+    {
+      name: 'regional',
+      states: ['Tamil Nadu', 'Puducherry', 'Kerala', 'Karnataka', 'Andhra Pradesh', 'Telangana']
+    },
+    {
+      name: 'national'
+    }
+  ],
+
+  // Methods offered at checkout. A method is only offered to the zones it
+  // has rates for. Each zone's rate is a list of weight slabs (the first
+  // slab the chargeable weight fits in sets the price), plus a price per
+  // `additional.per` grams beyond the last slab.
+  methods: {
+    standard: {
+      label: 'Standard Delivery',
+      // Goods worth at least this much (after discount) ship free
+      freeAbove: 1000,
+      zones: {
+        local: { days: [1, 2], slabs: [{ upTo: 500, price: 40 }, { upTo: 1000, price: 55 }, { upTo: 2000, price: 80 }], additional: { per: 500, price: 20 } },
+        regional: { days: [2, 4], slabs: [{ upTo: 500, price: 60 }, { upTo: 1000, price: 80 }, { upTo: 2000, price: 120 }], additional: { per: 500, price: 30 } },
+        national: { days: [4, 7], slabs: [{ upTo: 500, price: 80 }, { upTo: 1000, price: 100 }, { upTo: 2000, price: 150 }], additional: { per: 500, price: 40 } },
+        special: { days: [6, 10], slabs: [{ upTo: 500, price: 120 }, { upTo: 1000, price: 160 }, { upTo: 2000, price: 240 }], additional: { per: 500, price: 60 } }
+      }
+    },
+    express: {
+      label: 'Express Delivery',
+      freeAbove: null,
+      zones: {
+        local: { days: [1, 1], slabs: [{ upTo: 500, price: 90 }, { upTo: 1000, price: 120 }, { upTo: 2000, price: 180 }], additional: { per: 500, price: 50 } },
+        regional: { days: [1, 2], slabs: [{ upTo: 500, price: 130 }, { upTo: 1000, price: 170 }, { upTo: 2000, price: 250 }], additional: { per: 500, price: 70 } },
+        national: { days: [2, 3], slabs: [{ upTo: 500, price: 170 }, { upTo: 1000, price: 220 }, { upTo: 2000, price: 320 }], additional: { per: 500, price: 90 } }
+      }
+    }
+  },
+
+  defaultMethod: 'standard',
+
+  // Days between an order being placed and the parcel leaving the warehouse
+  dispatchDays: 1,
+
+  // Extra charge for cash on delivery: the greater of a flat fee and a
+  // percentage of the amount collected
+  codSurcharge: {
+    flat: 40,
+    percent: 2
+  }
+};
@@ -0,0 +1,45 @@
+// GST rules, keyed by HSN code. A product's HSN code uses the rule with the
+// longest matching prefix, so '5007' covers '50072010' unless a more
+// specific code is listed. Each rule is a list of slabs on the taxable
+// value of a single unit (after discount): the first slab whose `upTo` the
+// unit value doesn't exceed applies, and the last slab has no limit.
+// Rates are percentages of the taxable value.
+module.exports = {
+  // State goods are supplied from when they don't ship from a warehouse
+  // (warehouses use their own address). Goods shipped within their state
+  // pay CGST + SGST, goods shipped elsewhere pay IGST.
+  sellerState: process.env.GST_SELLER_STATE || 'Tamil Nadu',
+
+  // Used for products saved without an HSN code before their fabric had
+  // to have one
+  defaultHsnCode: '5007',
+
+  // HSN codes given to the original fabrics by the taxonomy migration.
+  // Fabrics keep theirs on the Attribute, where admins can change it.
+  fabricHsnCodes: {
+    Silk: '5007',
+    Banarasi: '5007',
+    Kanjivaram: '5007',
+    Tussar: '5007',
+    Cotton: '5208',
+    Georgette: '5407',
+    Chiffon: '5407',
+    Crepe: '5407',
+    'Art Silk': '5407',
+    Net: '5804'
+  },
+
+  rules: {
+    // Woven silk fabrics
+    '5007': [{ upTo: 1000, rate: 5 }, { rate: 12 }],
+    // Woven cotton fabrics
+    '5208': [{ upTo: 1000, rate: 5 }, { rate: 12 }],
+    // Woven synthetic filament fabrics
+    '5407': [{ upTo: 1000, rate: 5 }, { rate: 12 }],
+    // Net fabrics
+    '5804': [{ rate: 12 }],
+    // Made-up garments
+    '62': [{ upTo: 1000, rate: 5 }, { rate: 12 }],
+    default: [{ rate: 5 }]
+  }
+};
@@ -1,51 +1,75 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessions');
 
-// Protect routes
-const protect = async (req, res, next) => {
-  let token;
+const authError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from the token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Not authorized, user not found'
-        });
-      }
-
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          message: 'Account has been deactivated'
-        });
-      }
-
-      next();
-    } catch (error) {
-      console.error(error);
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized, token failed'
-      });
-    }
+// Resolve the user behind an access token. The token's session must still be
+// live and the password must not have changed since it was issued.
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    throw authError('Not authorized, session has ended');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw authError('Not authorized, user not found');
   }
 
-  if (!token) {
+  if (!user.isActive) {
+    throw authError('Account has been deactivated');
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw authError('Password was changed, please log in again');
+  }
+
+  return { user, sessionId: decoded.sid };
+};
+
+// Protect routes
+const protect = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized, no token'
     });
   }
+
+  try {
+    // Get token from header
+    const token = req.headers.authorization.split(' ')[1];
+    const { user, sessionId } = await authenticate(token);
+
+    req.user = user;
+    req.sessionId = sessionId;
+  } catch (error) {
+    if (!error.statusCode) console.error(error);
+    return res.status(401).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Not authorized, token failed'
+    });
+  }
+
+  next();
+};
+
+// Routes open to guests: no Authorization header means a guest (req.user is
+// null), but a token that is sent must be valid so signed-in clients still
+// get a 401 and refresh instead of silently turning into guests
+const protectOrGuest = (req, res, next) => {
+  if (!req.headers.authorization) {
+    req.user = null;
+    return next();
+  }
+  return protect(req, res, next);
 };
 
 // Admin middleware
@@ -60,15 +84,27 @@ const admin = (req, res, next) => {
   }
 };
 
+// Block unverified accounts when REQUIRE_EMAIL_VERIFICATION is on. Guests
+// have no account to verify and are let through.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || !req.user || req.user.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before placing an order'
+  });
+};
+
 // Optional auth middleware (for guest users)
 const optionalAuth = async (req, res, next) => {
-  let token;
-
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      const token = req.headers.authorization.split(' ')[1];
+      const { user, sessionId } = await authenticate(token);
+      req.user = user;
+      req.sessionId = sessionId;
     } catch (error) {
       // Continue without user if token is invalid
       req.user = null;
@@ -78,4 +114,4 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
-module.exports = { protect, admin, optionalAuth };
+module.exports = { protect, protectOrGuest, admin, requireVerifiedEmail, optionalAuth };
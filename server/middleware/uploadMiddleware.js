@@ -0,0 +1,44 @@
+const path = require('path');
+const multer = require('multer');
+
+// Configure multer for memory storage
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Data files for admin imports
+const DATA_FILE_TYPES = {
+  '.csv': ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
+  '.json': ['application/json', 'text/json', 'text/plain']
+};
+
+const dataUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if ((DATA_FILE_TYPES[extension] || []).includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${Object.keys(DATA_FILE_TYPES).join(', ')} files are allowed!`), false);
+    }
+  }
+});
+
+// Convert an uploaded file buffer to a data URI for cloudinary upload
+const toDataUri = (file) => `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+
+module.exports = { upload, dataUpload, toDataUri };
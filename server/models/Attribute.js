@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/slugify');
+
+// Kinds of product attribute whose values admins manage. Each value is its
+// own document, e.g. { type: 'fabric', name: 'Organza' }.
+const TYPES = ['fabric', 'occasion', 'size'];
+
+const attributeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TYPES,
+    required: [true, 'Attribute type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Attribute name is required'],
+    trim: true,
+    maxlength: [50, 'Attribute name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and hyphens']
+  },
+  // Fabrics only: the GST classification of products made of it that
+  // don't have an HSN code of their own
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
+  },
+  // Position in pickers and filters; lower comes first
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  // Inactive values can't be given to products any more, but products
+  // that already have them keep them
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+attributeSchema.index({ type: 1, name: 1 }, { unique: true });
+attributeSchema.index({ type: 1, slug: 1 }, { unique: true });
+attributeSchema.index({ type: 1, displayOrder: 1 });
+
+attributeSchema.statics.TYPES = TYPES;
+
+attributeSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Attribute', attributeSchema);
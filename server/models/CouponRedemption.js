@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// How many times one customer has a coupon redeemed on live orders, so the
+// per-customer limit can be enforced with a single conditional write.
+// `customer` is "user:<id>" for accounts and "guest:<email>" for guests.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customer: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const cartPlugin = require('./plugins/cart');
+
+// Cart for a shopper without an account, addressed by a signed cart token
+const guestCartSchema = new mongoose.Schema({
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+guestCartSchema.plugin(cartPlugin);
+
+// Abandoned guest carts are removed by MongoDB
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+guestCartSchema.statics.getLifetimeDays = function() {
+  return Number(process.env.GUEST_CART_DAYS) || 30;
+};
+
+// Every change pushes the expiry out again
+guestCartSchema.pre('validate', function(next) {
+  this.expiresAt = new Date(Date.now() + this.constructor.getLifetimeDays() * 24 * 60 * 60 * 1000);
+  next();
+});
+
+module.exports = mongoose.model('GuestCart', guestCartSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const REASONS = [
+  'sale',       // taken by an order
+  'cancel',     // put back when an order is cancelled or its checkout fails
+  'expire',     // put back when an unpaid order's stock hold runs out
+  'return',     // returned items received back
+  'exchange',   // taken by a replacement order for a return
+  'adjust',     // changed by an admin (stock counts, corrections)
+  'transfer',   // moved between warehouses
+  'import'      // loaded in bulk (seed data, product imports)
+];
+
+// One change to a product's (or variant's) stock. The ledger is append-only:
+// a wrong movement is corrected with another adjustment, so the stock on
+// record always equals the sum of its movements.
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Signed change: negative when stock goes out
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Stock of the product (or variant) right after this movement, across all
+  // warehouses
+  balance: Number,
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+inventoryMovementSchema.index({ warehouse: 1, createdAt: -1 });
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 });
+
+inventoryMovementSchema.statics.REASONS = REASONS;
+
+const immutableError = () => new Error('Inventory movements cannot be changed');
+
+inventoryMovementSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : immutableError());
+});
+
+inventoryMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(immutableError());
+});
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  addressLines: [String],
+  state: String,
+  email: String,
+  phone: String
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  orderItem: mongoose.Schema.Types.ObjectId,
+  description: String,
+  hsnCode: String,
+  quantity: Number,
+  unitPrice: Number,
+  discount: Number,
+  taxableValue: Number,
+  rate: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  total: Number
+}, { _id: false });
+
+// A tax invoice for an order, or a credit note for a refund against it.
+// Everything printed on the document is copied here when it's issued, along
+// with the rendered PDF, so later changes to the order, product or seller
+// details never alter an issued document. Issued documents can't be
+// modified or deleted.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  // Credit notes: the invoice they adjust and the refund behind them
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  invoiceDate: Date,
+  refundId: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  seller: partySchema,
+  billTo: partySchema,
+  shipTo: partySchema,
+  supplyType: {
+    type: String,
+    enum: ['intra', 'inter', 'mixed']
+  },
+  placeOfSupply: String,
+  lines: [invoiceLineSchema],
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number,
+    shipping: Number,
+    total: Number
+  },
+  amountInWords: String,
+  pdf: {
+    type: Buffer,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One invoice per order, one credit note per refund
+invoiceSchema.index({ order: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refundId: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+const immutableError = () => new Error('Issued invoices and credit notes cannot be changed');
+
+invoiceSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : immutableError());
+});
+
+invoiceSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(immutableError());
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,15 +1,50 @@
 const mongoose = require('mongoose');
 
+// A parcel shipped from one warehouse. Orders that no single warehouse can
+// fill are split into several.
+const shipmentSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  items: [{
+    orderItem: mongoose.Schema.Types.ObjectId,
+    product: mongoose.Schema.Types.ObjectId,
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: Number
+  }],
+  // Set once booked with a courier adapter (see services/shipments.js)
+  provider: String,
+  courier: String,
+  trackingNumber: String,
+  courierShipmentId: String,
+  labelUrl: String,
+  trackingUrl: String,
+  // Share of the order total declared for this parcel (collected on COD)
+  value: Number,
+  // Latest normalized courier status (see services/couriers)
+  status: String,
+  lastSyncedAt: Date
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true,
     required: true
   },
+  // Not set on guest orders until the guest registers and claims them
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
+  },
+  guest: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: String
   },
   items: [{
     product: {
@@ -30,9 +65,23 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: 1
     },
+    variant: mongoose.Schema.Types.ObjectId,
     size: String,
+    blouse: String,
+    color: String,
     image: String,
-    sku: String
+    sku: String,
+    hsnCode: String,
+    // GST on the whole line, charged on top of price * quantity less the
+    // line's share of any coupon discount
+    tax: {
+      rate: Number,
+      taxableValue: Number,
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 }
+    }
   }],
   shippingAddress: {
     firstName: {
@@ -100,7 +149,11 @@ const orderSchema = new mongoose.Schema({
       default: 'pending'
     },
     paidAt: Date,
-    failureReason: String
+    failureReason: String,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    }
   },
   pricing: {
     subtotal: {
@@ -111,6 +164,22 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // How `tax` splits up. Intra-state supplies pay CGST + SGST, inter-state
+    // supplies pay IGST; 'mixed' when the order ships from warehouses both
+    // inside and outside the destination state. sellerState lists the
+    // states it ships from.
+    taxBreakdown: {
+      supplyType: {
+        type: String,
+        enum: ['intra', 'inter', 'mixed']
+      },
+      sellerState: String,
+      placeOfSupply: String,
+      taxableValue: Number,
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 }
+    },
     shippingCost: {
       type: Number,
       default: 0
@@ -124,6 +193,23 @@ const orderSchema = new mongoose.Schema({
       required: true
     }
   },
+  // Shipping method chosen at checkout and how its charge was worked out.
+  // pricing.shippingCost is charge + codCharge.
+  shipping: {
+    method: String,
+    label: String,
+    zone: String,
+    chargeableWeight: Number,
+    charge: Number,
+    codCharge: {
+      type: Number,
+      default: 0
+    },
+    estimatedDays: {
+      min: Number,
+      max: Number
+    }
+  },
   coupon: {
     code: String,
     discount: Number,
@@ -134,15 +220,25 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'expired'],
     default: 'pending'
   },
+  reservation: {
+    expiresAt: Date,
+    releasedAt: Date
+  },
+  deliveredAt: Date,
+  shipments: [shipmentSchema],
+  // trackingNumber and courier are entered by hand for parcels not booked
+  // through a courier adapter. Updates hold courier scans for every shipment.
   tracking: {
     trackingNumber: String,
     courier: String,
     estimatedDelivery: Date,
     updates: [{
+      shipment: mongoose.Schema.Types.ObjectId,
       status: String,
+      rawStatus: String,
       message: String,
       location: String,
       timestamp: {
@@ -165,9 +261,93 @@ const orderSchema = new mongoose.Schema({
     },
     refundAmount: Number
   },
+  refunds: [{
+    refundId: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: String,
+    // The return this refund pays out, if any
+    returnRequest: mongoose.Schema.Types.ObjectId,
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    failureReason: String,
+    processedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  returns: [{
+    items: [{
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      variant: mongoose.Schema.Types.ObjectId,
+      name: String,
+      price: Number,
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    type: {
+      type: String,
+      enum: ['refund', 'exchange'],
+      default: 'refund'
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    photos: [{
+      url: String,
+      public_id: String
+    }],
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'rejected', 'received'],
+      default: 'requested'
+    },
+    adminNote: String,
+    refundAmount: Number,
+    refundId: String,
+    exchangeOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    approvedAt: Date,
+    rejectedAt: Date,
+    receivedAt: Date
+  }],
   timeline: [{
     status: String,
+    previousStatus: String,
     message: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     timestamp: {
       type: Date,
       default: Date.now
@@ -182,6 +362,27 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'paymentInfo.status': 1 });
+orderSchema.index({ status: 1, 'reservation.expiresAt': 1 });
+orderSchema.index({ 'refunds.refundId': 1 });
+orderSchema.index({ 'paymentInfo.paymentId': 1 });
+orderSchema.index({ 'returns.status': 1 });
+orderSchema.index({ 'guest.email': 1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 });
+
+// Every order belongs to an account or carries a guest's contact email
+orderSchema.pre('validate', function(next) {
+  if (!this.user && !(this.guest && this.guest.email)) {
+    this.invalidate('user', 'Order requires a customer account or a guest email');
+  }
+  next();
+});
+
+// Generate unique order number
+orderSchema.statics.generateOrderNumber = function() {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `ORD-${timestamp}-${random}`.toUpperCase();
+};
 
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
@@ -205,14 +406,19 @@ orderSchema.pre('save', async function(next) {
     this.orderNumber = `SS${year}${month}${day}${sequence.toString().padStart(4, '0')}`;
   }
   
-  // Update timeline when status changes
-  if (this.isModified('status')) {
+  if (this.isModified('status') && this.status === 'delivered' && !this.deliveredAt) {
+    this.deliveredAt = new Date();
+  }
+
+  // Update timeline when status changes, unless the order state machine already logged it
+  if (this.isModified('status') && !this.$locals.statusLogged) {
     this.timeline.push({
       status: this.status,
       message: `Order ${this.status}`,
       timestamp: new Date()
     });
   }
+  this.$locals.statusLogged = false;
   
   next();
 });
@@ -1,4 +1,89 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
+const Attribute = require('./Attribute');
+
+// Fabric, occasion and size values come from the Attribute collection,
+// which admins manage. Values that have since been deactivated stay valid
+// on products that already have them, until the field is changed.
+const attributeValidator = (type, path) => ({
+  validator: async function(value) {
+    const names = [...new Set([].concat(value == null ? [] : value).filter(Boolean))];
+    if (names.length === 0 || (!this.isNew && !this.isModified(path))) return true;
+
+    const found = await Attribute.countDocuments({ type, name: { $in: names }, isActive: true });
+    return found === names.length;
+  },
+  message: props => `${[].concat(props.value).join(', ')} is not a valid ${type}`
+});
+
+// A product without an HSN code of its own is taxed by its fabric's, so
+// the fabric has to have one
+const hsnCodeValidator = {
+  validator: async function(value) {
+    if (!value || this.hsnCode || (!this.isNew && !this.isModified('fabric') && !this.isModified('hsnCode'))) return true;
+    return Boolean(await Attribute.exists({ type: 'fabric', name: value, hsnCode: { $nin: [null, ''] } }));
+  },
+  message: props => `${props.value} has no HSN code; give the product one`
+};
+
+// Stock held at one warehouse. Once a product (or variant) has locations,
+// its stock is their sum.
+const locationSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+// A purchasable version of a product (size, blouse option, colour)
+// with its own SKU, stock and optionally its own price and images
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true
+  },
+  size: {
+    type: String,
+    validate: attributeValidator('size', 'size')
+  },
+  blouse: {
+    type: String,
+    enum: ['Unstitched', 'Stitched', 'Without Blouse']
+  },
+  color: String,
+  stock: {
+    type: Number,
+    required: [true, 'Variant stock is required'],
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  locations: [locationSchema],
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    public_id: {
+      type: String,
+      required: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -21,15 +106,30 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: function() { return this.price; }
   },
+  // Admin-managed, see models/Category.js
   category: {
-    type: String,
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
     required: [true, 'Product category is required'],
-    enum: ['Silk Sarees', 'Cotton Sarees', 'Designer Sarees', 'Wedding Sarees', 'Casual Sarees', 'Party Wear', 'Traditional', 'Contemporary']
+    validate: {
+      validator: async function(value) {
+        if (!this.isNew && !this.isModified('category')) return true;
+        return Boolean(await Category.exists({ _id: value, isActive: true }));
+      },
+      message: 'Category not found'
+    }
   },
   fabric: {
     type: String,
     required: [true, 'Fabric type is required'],
-    enum: ['Silk', 'Cotton', 'Georgette', 'Chiffon', 'Net', 'Crepe', 'Banarasi', 'Kanjivaram', 'Tussar', 'Art Silk']
+    validate: [attributeValidator('fabric', 'fabric'), hsnCodeValidator]
+  },
+  // GST classification. When missing, the fabric's is used, so it's only
+  // required for fabrics that don't have one.
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, 'HSN code must be 4, 6 or 8 digits']
   },
   color: {
     type: String,
@@ -37,18 +137,27 @@ const productSchema = new mongoose.Schema({
   },
   occasion: {
     type: String,
-    enum: ['Wedding', 'Festival', 'Party', 'Casual', 'Office', 'Traditional', 'Formal']
+    validate: attributeValidator('occasion', 'occasion')
+  },
+  sizes: {
+    type: [String],
+    validate: attributeValidator('size', 'sizes')
   },
-  sizes: [{
-    type: String,
-    enum: ['Free Size', 'XS', 'S', 'M', 'L', 'XL', 'XXL']
-  }],
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  // Per-warehouse stock of products without variants
+  locations: [locationSchema],
+  // Stock level at or below which admins are alerted to reorder. Applies to
+  // each variant of products that have them; LOW_STOCK_THRESHOLD when unset.
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  variants: [variantSchema],
   images: [{
     url: {
       type: String,
@@ -130,6 +239,7 @@ productSchema.index({
 // Index for filtering
 productSchema.index({ category: 1, fabric: 1, price: 1 });
 productSchema.index({ isFeatured: 1, isActive: 1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 
 // Calculate average rating
 productSchema.methods.calculateAverageRating = function() {
@@ -143,10 +253,86 @@ productSchema.methods.calculateAverageRating = function() {
   }
 };
 
+// Find the variant a cart or order line refers to.
+// Returns null for products without variants and undefined when no
+// single active variant matches.
+productSchema.methods.resolveVariant = function({ variantId, size } = {}) {
+  if (!this.variants || this.variants.length === 0) {
+    return null;
+  }
+
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+
+  if (variantId) {
+    return activeVariants.find(variant => variant._id.toString() === variantId.toString());
+  }
+
+  const candidates = size
+    ? activeVariants.filter(variant => variant.size === size)
+    : activeVariants;
+
+  return candidates.length === 1 ? candidates[0] : undefined;
+};
+
+productSchema.methods.getStockFor = function(variant) {
+  return variant ? variant.stock : this.stock;
+};
+
+// Stock per warehouse id for the product or one of its variants. Stock from
+// before warehouses were set up counts as held at `defaultWarehouse`.
+productSchema.methods.getLocationStock = function(variant, defaultWarehouse) {
+  const holder = variant || this;
+  const levels = new Map();
+
+  if (holder.locations && holder.locations.length > 0) {
+    holder.locations.forEach(location => levels.set(location.warehouse.toString(), location.stock));
+  } else if (defaultWarehouse) {
+    levels.set(defaultWarehouse.toString(), holder.stock);
+  }
+
+  return levels;
+};
+
+productSchema.methods.getPriceFor = function(variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
 // Pre-save middleware to calculate average rating
 productSchema.pre('save', function(next) {
   this.calculateAverageRating();
   next();
 });
 
+// Variant SKUs must be unique within the product as well
+productSchema.pre('validate', function(next) {
+  const skus = (this.variants || []).map(variant => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    this.invalidate('variants', 'Variant SKUs must be unique');
+  }
+  next();
+});
+
+// Keep stock in line with the warehouse locations, and product-level stock
+// and sizes in line with the variants
+productSchema.pre('save', function(next) {
+  const sumLocations = (holder) => holder.locations.reduce((sum, location) => sum + location.stock, 0);
+
+  (this.variants || []).forEach(variant => {
+    if (variant.locations && variant.locations.length > 0) {
+      variant.stock = sumLocations(variant);
+    }
+  });
+  if (this.locations && this.locations.length > 0) {
+    this.stock = sumLocations(this);
+  }
+
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+
+    const variantSizes = this.variants.map(variant => variant.size).filter(Boolean);
+    this.sizes = [...new Set([...(this.sizes || []), ...variantSizes])];
+  }
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
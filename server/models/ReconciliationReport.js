@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const RESULTS = ['matched', 'missing_capture', 'amount_mismatch', 'orphan_payment', 'stuck_pending'];
+
+// One line of a reconciliation run: an order, a gateway payment, or both
+const reconciliationRowSchema = new mongoose.Schema({
+  result: {
+    type: String,
+    enum: RESULTS,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: String,
+  orderStatus: String,
+  orderPaymentStatus: String,
+  orderAmount: Number,
+  paymentId: String,
+  gatewayOrderId: String,
+  gatewayStatus: String,
+  gatewayAmount: Number,
+  currency: String,
+  settlementId: String,
+  settledAmount: Number,
+  fee: Number,
+  tax: Number,
+  settledAt: Date,
+  detail: String
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual'
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  summary: {
+    matched: { type: Number, default: 0 },
+    missingCapture: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    orphanPayment: { type: Number, default: 0 },
+    stuckPending: { type: Number, default: 0 },
+    capturedAmount: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 }
+  },
+  rows: [reconciliationRowSchema]
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+reconciliationReportSchema.statics.RESULTS = RESULTS;
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
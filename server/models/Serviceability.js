@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Where we deliver, one record per pincode, as imported from the courier's
+// serviceability list. Pincodes that aren't listed are not delivered to,
+// unless the list is empty or SERVICEABILITY_FALLBACK=zones (see
+// services/serviceability.js).
+const serviceabilitySchema = new mongoose.Schema({
+  pincode: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  city: String,
+  district: String,
+  state: String,
+  serviceable: {
+    type: Boolean,
+    default: true
+  },
+  codAllowed: {
+    type: Boolean,
+    default: false
+  },
+  // Days in transit after dispatch with standard delivery
+  transitDays: {
+    type: Number,
+    min: 0
+  },
+  // Days in transit with express delivery; express isn't offered when unset
+  expressTransitDays: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+serviceabilitySchema.index({ state: 1 });
+
+module.exports = mongoose.model('Serviceability', serviceabilitySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const cartPlugin = require('./plugins/cart');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -98,24 +100,6 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
-  cart: [{
-    product: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Product',
-      required: true
-    },
-    quantity: {
-      type: Number,
-      required: true,
-      min: 1,
-      default: 1
-    },
-    size: String,
-    addedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   isActive: {
     type: Boolean,
     default: true
@@ -128,6 +112,7 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  passwordChangedAt: Date,
   lastLogin: Date,
   preferences: {
     newsletter: {
@@ -147,17 +132,25 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.plugin(cartPlugin);
+
 // Index for email lookup
 userSchema.index({ email: 1 });
 
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // JWT timestamps are in whole seconds, so back-date by one second to keep
+  // tokens issued right after the change valid
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -166,6 +159,34 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether the password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Tokens are emailed in plain form and only their hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createToken = () => crypto.randomBytes(32).toString('hex');
+
+// Generate an email verification token (valid for 24 hours)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = createToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Generate a password reset token (valid for 30 minutes)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = createToken();
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + 30 * 60 * 1000);
+  return token;
+};
+
+userSchema.statics.hashToken = hashToken;
+
 // Ensure only one default address
 userSchema.pre('save', function(next) {
   if (this.addresses && this.addresses.length > 0) {
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A location stock is held at and shipped from (a godown)
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true
+  },
+  // Short code shown on stock levels and shipments, e.g. VNS
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{2,10}$/, 'Code must be 2-10 letters or digits']
+  },
+  address: {
+    addressLine1: {
+      type: String,
+      required: true
+    },
+    addressLine2: String,
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    pincode: {
+      type: String,
+      required: true,
+      match: [/^\d{6}$/, 'Pincode must be 6 digits']
+    }
+  },
+  phone: String,
+  // Name of this address in the courier's pickup locations
+  courierPickupLocation: String,
+  // Breaks ties between equally close warehouses; lower goes first. The
+  // first active warehouse is the default, which holds stock that was never
+  // assigned to a warehouse.
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.statics.listActive = function() {
+  return this.find({ isActive: true }).sort({ priority: 1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('Warehouse', warehouseSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Cart lines shared by user accounts and guest carts
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  size: String,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = function cartPlugin(schema) {
+  schema.add({ cart: [cartItemSchema] });
+
+  // Find the cart line for a product/variant/size combination
+  schema.methods.findCartItemIndex = function(productId, variantId, size) {
+    return this.cart.findIndex(item =>
+      item.product.toString() === productId.toString() &&
+      String(item.variant || '') === String(variantId || '') &&
+      item.size === size
+    );
+  };
+};
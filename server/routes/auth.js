@@ -1,18 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { protect } = require('../middleware/authMiddleware');
+const { notifyUser } = require('../services/notifications');
+const { mergeGuestCart, claimGuestOrders } = require('../services/guestCheckout');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions
+} = require('../services/sessions');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
-};
-
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -45,15 +47,22 @@ router.post('/register', [
     }
 
     // Create user
-    const user = await User.create({
+    const user = new User({
       firstName,
       lastName,
       email,
       password,
       phone
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
 
     if (user) {
+      notifyUser('welcome', user._id, { verificationToken });
+      await mergeGuestCart(user, req.get('x-cart-token'));
+
+      const { token, refreshToken } = await createSession(user, req);
+
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
@@ -63,7 +72,9 @@ router.post('/register', [
           lastName: user.lastName,
           email: user.email,
           role: user.role,
-          token: generateToken(user._id)
+          emailVerified: user.emailVerified,
+          token,
+          refreshToken
         }
       });
     } else {
@@ -130,6 +141,9 @@ router.post('/login', [
     // Update last login
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
+    await mergeGuestCart(user, req.get('x-cart-token'));
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -141,7 +155,9 @@ router.post('/login', [
         email: user.email,
         role: user.role,
         avatar: user.avatar,
-        token: generateToken(user._id)
+        emailVerified: user.emailVerified,
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -206,6 +222,7 @@ router.put('/profile', protect, [
 
     // Update fields
     const { firstName, lastName, email, phone, preferences } = req.body;
+    let verificationToken;
 
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
@@ -219,12 +236,18 @@ router.put('/profile', protect, [
         });
       }
       user.email = email;
+      user.emailVerified = false;
+      verificationToken = user.createEmailVerificationToken();
     }
     if (phone) user.phone = phone;
     if (preferences) user.preferences = { ...user.preferences, ...preferences };
 
     const updatedUser = await user.save();
 
+    if (verificationToken) {
+      notifyUser('verifyEmail', updatedUser._id, { verificationToken });
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -235,6 +258,7 @@ router.put('/profile', protect, [
         email: updatedUser.email,
         phone: updatedUser.phone,
         role: updatedUser.role,
+        emailVerified: updatedUser.emailVerified,
         preferences: updatedUser.preferences
       }
     });
@@ -282,9 +306,17 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, then start a fresh session for this one
+    await revokeUserSessions(user._id, 'password_changed');
+    const { token, refreshToken } = await createSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Password change error:', error);
@@ -295,14 +327,330 @@ router.put('/change-password', protect, [
   }
 });
 
-// @desc    Logout user
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post('/verify-email/:token', [
+  param('token').isHexadecimal().withMessage('Invalid verification token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    // Guest orders placed with this address now belong to the account
+    const claimedOrders = await claimGuestOrders(user);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        claimedOrders
+      }
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email'
+    });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    notifyUser('verifyEmail', user._id, { verificationToken });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email'
+    });
+  }
+});
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response either way so the endpoint can't be used to find accounts
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      notifyUser('passwordReset', user._id, { resetToken });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset'
+    });
+  }
+});
+
+// @desc    Reset password using an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  param('token').isHexadecimal().withMessage('Invalid reset token'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    // The link was delivered to this inbox, which proves ownership
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_changed');
+    await claimGuestOrders(user);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password'
+    });
+  }
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isHexadecimal().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token'
+    });
+  }
+});
+
+// @desc    Logout user (ends the current session)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out'
+    });
+  }
+});
+
+// @desc    List active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions'
+    });
+  }
+});
+
+// @desc    Sign out every other device
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'revoked', { except: req.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions'
+    });
+  }
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session'
+    });
+  }
 });
 
 module.exports = router;
@@ -1,49 +1,113 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/authMiddleware');
+const GuestCart = require('../models/GuestCart');
+const { protect, protectOrGuest } = require('../middleware/authMiddleware');
+const { evaluateCoupon, allocateDiscount } = require('../services/coupons');
+const { calculateTax } = require('../services/tax');
+const { getFabricHsnCodes } = require('../services/taxonomy');
+const { quoteShipping } = require('../services/shipping');
+const { getServiceability } = require('../services/serviceability');
+const { findGuestCart, signCartToken } = require('../services/guestCheckout');
 
 const router = express.Router();
 
+// Document holding the cart for this request: the signed-in user, or the
+// guest cart named by the X-Cart-Token header
+const loadCart = (req, { create = false } = {}) => {
+  if (req.user) {
+    return User.findById(req.user._id);
+  }
+  return findGuestCart(req.get('x-cart-token'), { create });
+};
+
+// Guests get their cart token back so they can keep using the cart
+const cartTokenFor = (owner) => (owner instanceof GuestCart ? signCartToken(owner._id) : undefined);
+
+// Variant a populated cart item points at: null when the product has no
+// variants, undefined when the variant is gone or no longer sold
+const getCartItemVariant = (item) => {
+  if (!item.variant) {
+    return item.product.variants && item.product.variants.length > 0 ? undefined : null;
+  }
+  const variant = item.product.variants.id(item.variant);
+  return variant && variant.isActive ? variant : undefined;
+};
+
+// State the cart would ship to, for splitting GST in the preview: the one
+// asked for, or the signed-in user's default address
+const destinationStateFor = (req, owner) => {
+  const state = req.query.state || req.body.state;
+  if (state || !owner || !owner.addresses) return state;
+
+  const address = owner.addresses.find(addr => addr.isDefault) || owner.addresses[0];
+  return address && address.state;
+};
+
+// Cart totals worked out the same way as at checkout, before shipping
+const summarizeCart = (items, { coupon = null, discount = 0, destinationState, fabricHsnCodes } = {}) => {
+  const lines = items.map(item => ({
+    product: item.product,
+    price: item.product.getPriceFor(getCartItemVariant(item)),
+    quantity: item.quantity
+  }));
+  const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+  const lineDiscounts = allocateDiscount(coupon, lines, discount);
+  const gst = calculateTax({
+    lines: lines.map((line, index) => ({ ...line, discount: lineDiscounts[index] })),
+    destinationState,
+    fabricHsnCodes
+  });
+
+  return {
+    totalItems: items.reduce((total, item) => total + item.quantity, 0),
+    subtotal,
+    discount,
+    tax: gst.total,
+    taxBreakdown: gst.breakdown,
+    total: Math.round((subtotal - discount + gst.total) * 100) / 100
+  };
+};
+
 // @desc    Get user cart
 // @route   GET /api/cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Private or guest (X-Cart-Token)
+router.get('/', protectOrGuest, [
+  query('state').optional().isString().trim().notEmpty().withMessage('State cannot be empty')
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate('cart.product', 'name price images stock isActive')
-      .select('cart');
-
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Filter out inactive products and calculate totals
-    const activeCartItems = user.cart.filter(item => 
-      item.product && item.product.isActive && item.product.stock > 0
-    );
+    const owner = await loadCart(req);
 
-    const cartTotal = activeCartItems.reduce((total, item) => {
-      return total + (item.product.price * item.quantity);
-    }, 0);
+    if (owner) {
+      await owner.populate('cart.product', 'name price images category fabric hsnCode stock isActive variants');
+    }
 
-    const totalItems = activeCartItems.reduce((total, item) => {
-      return total + item.quantity;
-    }, 0);
+    // Filter out inactive products and variants and calculate totals
+    const activeCartItems = (owner ? owner.cart : []).filter(item => {
+      if (!item.product || !item.product.isActive) return false;
+      const variant = getCartItemVariant(item);
+      return variant !== undefined && item.product.getStockFor(variant) > 0;
+    });
 
     res.json({
       success: true,
       data: {
         items: activeCartItems,
-        summary: {
-          totalItems,
-          subtotal: cartTotal,
-          total: cartTotal
-        }
-      }
+        summary: summarizeCart(activeCartItems, {
+          destinationState: destinationStateFor(req, owner),
+          fabricHsnCodes: await getFabricHsnCodes()
+        })
+      },
+      cartToken: cartTokenFor(owner)
     });
   } catch (error) {
     console.error('Get cart error:', error);
@@ -56,10 +120,11 @@ router.get('/', protect, async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart/add
-// @access  Private
-router.post('/add', protect, [
+// @access  Private or guest (X-Cart-Token)
+router.post('/add', protectOrGuest, [
   body('productId').isMongoId().withMessage('Invalid product ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
   body('size').optional().notEmpty().withMessage('Size cannot be empty if provided')
 ], async (req, res) => {
   try {
@@ -72,15 +137,8 @@ router.post('/add', protect, [
       });
     }
 
-    const { productId, quantity, size } = req.body;
-    const user = await User.findById(req.user._id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    const { productId, quantity, variantId } = req.body;
+    const owner = await loadCart(req, { create: true });
 
     // Check if product exists and is active
     const Product = require('../models/Product');
@@ -100,48 +158,60 @@ router.post('/add', protect, [
       });
     }
 
-    if (product.stock < quantity) {
+    const variant = product.resolveVariant({ variantId, size: req.body.size });
+
+    if (variant === undefined) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} items available in stock`
+        message: 'Please select an available variant'
+      });
+    }
+
+    const availableStock = product.getStockFor(variant);
+    const size = variant ? variant.size : req.body.size;
+
+    if (availableStock < quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${availableStock} items available in stock`
       });
     }
 
     // Check if item already exists in cart
-    const existingItemIndex = user.cart.findIndex(
-      item => item.product.toString() === productId && item.size === size
-    );
+    const existingItemIndex = owner.findCartItemIndex(productId, variant && variant._id, size);
 
     if (existingItemIndex !== -1) {
       // Update quantity of existing item
-      const newQuantity = user.cart[existingItemIndex].quantity + quantity;
+      const newQuantity = owner.cart[existingItemIndex].quantity + quantity;
       
-      if (newQuantity > product.stock) {
+      if (newQuantity > availableStock) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} items available in stock`
+          message: `Only ${availableStock} items available in stock`
         });
       }
 
-      user.cart[existingItemIndex].quantity = newQuantity;
+      owner.cart[existingItemIndex].quantity = newQuantity;
     } else {
       // Add new item to cart
-      user.cart.push({
+      owner.cart.push({
         product: productId,
+        variant: variant ? variant._id : undefined,
         quantity,
         size: size || undefined
       });
     }
 
-    await user.save();
+    await owner.save();
 
     // Populate cart for response
-    await user.populate('cart.product', 'name price images stock');
+    await owner.populate('cart.product', 'name price images stock variants');
 
     res.json({
       success: true,
       message: 'Item added to cart successfully',
-      data: user.cart
+      data: owner.cart,
+      cartToken: cartTokenFor(owner)
     });
   } catch (error) {
     console.error('Add to cart error:', error);
@@ -154,8 +224,8 @@ router.post('/add', protect, [
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/update/:itemId
-// @access  Private
-router.put('/update/:itemId', protect, [
+// @access  Private or guest (X-Cart-Token)
+router.put('/update/:itemId', protectOrGuest, [
   param('itemId').isMongoId().withMessage('Invalid item ID'),
   body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer')
 ], async (req, res) => {
@@ -170,16 +240,16 @@ router.put('/update/:itemId', protect, [
     }
 
     const { quantity } = req.body;
-    const user = await User.findById(req.user._id);
+    const owner = await loadCart(req);
 
-    if (!user) {
+    if (!owner) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Cart not found'
       });
     }
 
-    const cartItem = user.cart.id(req.params.itemId);
+    const cartItem = owner.cart.id(req.params.itemId);
 
     if (!cartItem) {
       return res.status(404).json({
@@ -203,25 +273,37 @@ router.put('/update/:itemId', protect, [
         });
       }
 
-      if (quantity > product.stock) {
+      const variant = cartItem.variant ? product.variants.id(cartItem.variant) : null;
+
+      if (cartItem.variant && (!variant || !variant.isActive)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This variant is no longer available'
+        });
+      }
+
+      const availableStock = product.getStockFor(variant);
+
+      if (quantity > availableStock) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} items available in stock`
+          message: `Only ${availableStock} items available in stock`
         });
       }
 
       cartItem.quantity = quantity;
     }
 
-    await user.save();
+    await owner.save();
 
     // Populate cart for response
-    await user.populate('cart.product', 'name price images stock');
+    await owner.populate('cart.product', 'name price images stock variants');
 
     res.json({
       success: true,
       message: 'Cart updated successfully',
-      data: user.cart
+      data: owner.cart,
+      cartToken: cartTokenFor(owner)
     });
   } catch (error) {
     console.error('Update cart error:', error);
@@ -234,8 +316,8 @@ router.put('/update/:itemId', protect, [
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/remove/:itemId
-// @access  Private
-router.delete('/remove/:itemId', protect, [
+// @access  Private or guest (X-Cart-Token)
+router.delete('/remove/:itemId', protectOrGuest, [
   param('itemId').isMongoId().withMessage('Invalid item ID')
 ], async (req, res) => {
   try {
@@ -248,16 +330,16 @@ router.delete('/remove/:itemId', protect, [
       });
     }
 
-    const user = await User.findById(req.user._id);
+    const owner = await loadCart(req);
 
-    if (!user) {
+    if (!owner) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Cart not found'
       });
     }
 
-    const cartItem = user.cart.id(req.params.itemId);
+    const cartItem = owner.cart.id(req.params.itemId);
 
     if (!cartItem) {
       return res.status(404).json({
@@ -267,11 +349,12 @@ router.delete('/remove/:itemId', protect, [
     }
 
     cartItem.remove();
-    await user.save();
+    await owner.save();
 
     res.json({
       success: true,
-      message: 'Item removed from cart successfully'
+      message: 'Item removed from cart successfully',
+      cartToken: cartTokenFor(owner)
     });
   } catch (error) {
     console.error('Remove from cart error:', error);
@@ -284,24 +367,25 @@ router.delete('/remove/:itemId', protect, [
 
 // @desc    Clear entire cart
 // @route   DELETE /api/cart/clear
-// @access  Private
-router.delete('/clear', protect, async (req, res) => {
+// @access  Private or guest (X-Cart-Token)
+router.delete('/clear', protectOrGuest, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const owner = await loadCart(req);
 
-    if (!user) {
+    if (!owner) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Cart not found'
       });
     }
 
-    user.cart = [];
-    await user.save();
+    owner.cart = [];
+    await owner.save();
 
     res.json({
       success: true,
-      message: 'Cart cleared successfully'
+      message: 'Cart cleared successfully',
+      cartToken: cartTokenFor(owner)
     });
   } catch (error) {
     console.error('Clear cart error:', error);
@@ -318,7 +402,8 @@ router.delete('/clear', protect, async (req, res) => {
 router.post('/sync', protect, [
   body('cartItems').isArray().withMessage('Cart items must be an array'),
   body('cartItems.*.productId').isMongoId().withMessage('Invalid product ID'),
-  body('cartItems.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+  body('cartItems.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('cartItems.*.variantId').optional().isMongoId().withMessage('Invalid variant ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -342,7 +427,7 @@ router.post('/sync', protect, [
 
     // Validate all products exist and are active
     const Product = require('../models/Product');
-    const productIds = cartItems.map(item => item.productId);
+    const productIds = [...new Set(cartItems.map(item => item.productId))];
     const products = await Product.find({
       _id: { $in: productIds },
       isActive: true
@@ -360,32 +445,42 @@ router.post('/sync', protect, [
     const newCart = [];
 
     // Add items from local storage
+    const syncedItems = [];
     for (const item of cartItems) {
       const product = products.find(p => p._id.toString() === item.productId);
-      
-      if (product && item.quantity <= product.stock) {
+      const variant = product && product.resolveVariant({ variantId: item.variantId, size: item.size });
+
+      if (!product || variant === undefined) {
+        continue;
+      }
+
+      const availableStock = product.getStockFor(variant);
+      const variantId = variant ? variant._id : undefined;
+      const size = variant ? variant.size : item.size;
+      syncedItems.push({ productId: item.productId, variantId, size });
+
+      if (item.quantity <= availableStock) {
         // Check if item already exists in server cart
-        const existingItem = existingCart.find(
-          cartItem => cartItem.product.toString() === item.productId && 
-                     cartItem.size === item.size
-        );
+        const existingItem = existingCart[user.findCartItemIndex(item.productId, variantId, size)];
 
         if (existingItem) {
           // Use the maximum quantity
           const maxQuantity = Math.min(
             Math.max(existingItem.quantity, item.quantity),
-            product.stock
+            availableStock
           );
           newCart.push({
             product: item.productId,
+            variant: variantId,
             quantity: maxQuantity,
-            size: item.size
+            size
           });
         } else {
           newCart.push({
             product: item.productId,
-            quantity: Math.min(item.quantity, product.stock),
-            size: item.size
+            variant: variantId,
+            quantity: Math.min(item.quantity, availableStock),
+            size
           });
         }
       }
@@ -393,9 +488,10 @@ router.post('/sync', protect, [
 
     // Add existing server items that weren't in local storage
     for (const existingItem of existingCart) {
-      const localItem = cartItems.find(
-        item => item.productId === existingItem.product.toString() && 
-               item.size === existingItem.size
+      const localItem = syncedItems.find(item =>
+        item.productId === existingItem.product.toString() &&
+        String(item.variantId || '') === String(existingItem.variant || '') &&
+        item.size === existingItem.size
       );
 
       if (!localItem) {
@@ -407,7 +503,7 @@ router.post('/sync', protect, [
     await user.save();
 
     // Populate cart for response
-    await user.populate('cart.product', 'name price images stock');
+    await user.populate('cart.product', 'name price images stock variants');
 
     res.json({
       success: true,
@@ -423,4 +519,184 @@ router.post('/sync', protect, [
   }
 });
 
+// @desc    Preview a coupon against the current cart
+// @route   POST /api/cart/apply-coupon
+// @access  Private or guest (X-Cart-Token)
+router.post('/apply-coupon', protectOrGuest, [
+  body('code').isString().trim().notEmpty().withMessage('Coupon code is required'),
+  // Guests' checkout email, so the per-customer limit is checked as it will be at checkout
+  body('email').optional().isEmail().withMessage('Invalid email'),
+  body('state').optional().isString().trim().notEmpty().withMessage('State cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owner = await loadCart(req);
+
+    if (owner) {
+      await owner.populate('cart.product', 'name price category fabric hsnCode stock isActive variants');
+    }
+
+    const activeCartItems = (owner ? owner.cart : []).filter(item => {
+      if (!item.product || !item.product.isActive) return false;
+      const variant = getCartItemVariant(item);
+      return variant !== undefined && item.product.getStockFor(variant) > 0;
+    });
+
+    if (activeCartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const { coupon, discount } = await evaluateCoupon({
+      code: req.body.code,
+      userId: req.user && req.user._id,
+      guestEmail: !req.user && req.body.email,
+      lines: activeCartItems.map(item => ({
+        product: item.product,
+        price: item.product.getPriceFor(getCartItemVariant(item)),
+        quantity: item.quantity
+      }))
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: {
+        coupon: {
+          code: coupon.code,
+          description: coupon.description,
+          type: coupon.type,
+          value: coupon.value
+        },
+        summary: summarizeCart(activeCartItems, {
+          coupon,
+          discount,
+          destinationState: destinationStateFor(req, owner),
+          fabricHsnCodes: await getFabricHsnCodes()
+        })
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying coupon'
+    });
+  }
+});
+
+// @desc    Quote shipping options for the current cart
+// @route   POST /api/cart/shipping-quote
+// @access  Private or guest (X-Cart-Token)
+router.post('/shipping-quote', protectOrGuest, [
+  body('pincode').matches(/^\d{6}$/).withMessage('Invalid pincode'),
+  body('state').optional().isString().trim().notEmpty().withMessage('State cannot be empty'),
+  body('paymentMethod').optional().isIn(['razorpay', 'stripe', 'cod', 'upi']).withMessage('Invalid payment method'),
+  body('couponCode').optional().isString().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('email').optional().isEmail().withMessage('Invalid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owner = await loadCart(req);
+
+    if (owner) {
+      await owner.populate('cart.product', 'name price category fabric weight dimensions stock isActive variants');
+    }
+
+    const activeCartItems = (owner ? owner.cart : []).filter(item => {
+      if (!item.product || !item.product.isActive) return false;
+      const variant = getCartItemVariant(item);
+      return variant !== undefined && item.product.getStockFor(variant) > 0;
+    });
+
+    if (activeCartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const lines = activeCartItems.map(item => ({
+      product: item.product,
+      price: item.product.getPriceFor(getCartItemVariant(item)),
+      quantity: item.quantity
+    }));
+    const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+
+    // Free-shipping thresholds go by the value after any coupon
+    let discount = 0;
+    if (req.body.couponCode) {
+      ({ discount } = await evaluateCoupon({
+        code: req.body.couponCode,
+        userId: req.user && req.user._id,
+        guestEmail: !req.user && req.body.email,
+        lines
+      }));
+    }
+
+    const serviceability = await getServiceability(req.body.pincode);
+    const serviceable = Boolean(serviceability && serviceability.serviceable);
+    const codAvailable = serviceable && serviceability.codAllowed;
+
+    const options = serviceable && (req.body.paymentMethod !== 'cod' || codAvailable)
+      ? quoteShipping({
+          lines,
+          pincode: req.body.pincode,
+          state: req.body.state,
+          serviceability,
+          orderValue: subtotal - discount,
+          paymentMethod: req.body.paymentMethod
+        })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        pincode: req.body.pincode,
+        serviceable,
+        codAvailable,
+        options
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Shipping quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error quoting shipping'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const { protect, admin } = require('../middleware/authMiddleware');
+const { resolveCategoryIds } = require('../services/taxonomy');
+
+const router = express.Router();
+
+// Fields an admin may set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minSubtotal',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit',
+  'applicableCategories', 'applicableFabrics', 'isActive'
+];
+
+// Categories may be given by id, slug or name
+const pickCouponFields = async (data) => {
+  const couponData = {};
+  COUPON_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      couponData[field] = data[field];
+    }
+  });
+  if (couponData.applicableCategories) {
+    couponData.applicableCategories = await resolveCategoryIds(couponData.applicableCategories);
+  }
+  return couponData;
+};
+
+const couponValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    field('code').isString().trim().notEmpty().withMessage('Coupon code is required'),
+    field('type').isIn(['percentage', 'fixed']).withMessage('Coupon type must be percentage or fixed'),
+    field('value').isFloat({ min: 0 }).withMessage('Coupon value must be a positive number'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+    body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be a positive number'),
+    body('validFrom').optional().isISO8601().withMessage('Invalid start date'),
+    body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Invalid end date'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('applicableCategories').optional().isArray().withMessage('Categories must be an array'),
+    body('applicableFabrics').optional().isArray().withMessage('Fabrics must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// @desc    Get all coupons (Admin only)
+// @route   GET /api/coupons
+// @access  Private/Admin
+router.get('/', protect, admin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let filter = {};
+
+    // Active status filter
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    // Search by code
+    if (req.query.code) {
+      filter.code = new RegExp(req.query.code, 'i');
+    }
+
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalCoupons: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons'
+    });
+  }
+});
+
+// @desc    Get single coupon (Admin only)
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+router.get('/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid coupon ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon'
+    });
+  }
+});
+
+// @desc    Create coupon (Admin only)
+// @route   POST /api/coupons
+// @access  Private/Admin
+router.post('/', protect, admin, couponValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...(await pickCouponFields(req.body)),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating coupon'
+    });
+  }
+});
+
+// @desc    Update coupon (Admin only)
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+router.put('/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid coupon ID'),
+  ...couponValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    Object.assign(coupon, await pickCouponFields(req.body));
+    const updatedCoupon = await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: updatedCoupon
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating coupon'
+    });
+  }
+});
+
+// @desc    Delete coupon (Admin only)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+router.delete('/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid coupon ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting coupon'
+    });
+  }
+});
+
+module.exports = router;
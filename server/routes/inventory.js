@@ -0,0 +1,390 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const InventoryMovement = require('../models/InventoryMovement');
+const Warehouse = require('../models/Warehouse');
+const { protect, admin } = require('../middleware/authMiddleware');
+const { adjustStock, transferStock, listLowStock, auditStock } = require('../services/inventory');
+
+const router = express.Router();
+
+// @desc    Get stock movement history
+// @route   GET /api/inventory/movements
+// @access  Private/Admin
+router.get('/movements', protect, admin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  query('order').optional().isMongoId().withMessage('Invalid order ID'),
+  query('warehouse').optional().isMongoId().withMessage('Invalid warehouse ID'),
+  query('reason').optional().isIn(InventoryMovement.REASONS).withMessage('Invalid reason'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    ['product', 'variant', 'order', 'warehouse', 'reason'].forEach(field => {
+      if (req.query[field]) filter[field] = req.query[field];
+    });
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const movements = await InventoryMovement.find(filter)
+      .populate('product', 'name sku')
+      .populate('order', 'orderNumber')
+      .populate('warehouse', 'name code')
+      .populate('actor', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InventoryMovement.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalMovements: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get inventory movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory movements'
+    });
+  }
+});
+
+// @desc    Adjust stock to a counted level or by a quantity
+// @route   POST /api/inventory/adjust
+// @access  Private/Admin
+router.post('/adjust', protect, admin, [
+  body('product').isMongoId().withMessage('Invalid product ID'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('warehouse').optional().isMongoId().withMessage('Invalid warehouse ID'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('quantity').optional().isInt().withMessage('Quantity must be a whole number'),
+  body().custom(value => (value.stock === undefined) !== (value.quantity === undefined))
+    .withMessage('Give either stock or quantity'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { product, movement } = await adjustStock(req.body.product, {
+      variant: req.body.variant,
+      warehouse: req.body.warehouse,
+      stock: req.body.stock !== undefined ? parseInt(req.body.stock) : undefined,
+      quantity: req.body.quantity !== undefined ? parseInt(req.body.quantity) : undefined,
+      actor: req.user._id,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: movement ? 'Stock adjusted successfully' : 'Stock is already at this level',
+      data: {
+        product,
+        movement
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Adjust stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adjusting stock'
+    });
+  }
+});
+
+// @desc    Move stock between warehouses
+// @route   POST /api/inventory/transfers
+// @access  Private/Admin
+router.post('/transfers', protect, admin, [
+  body('product').isMongoId().withMessage('Invalid product ID'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('from').isMongoId().withMessage('Invalid source warehouse ID'),
+  body('to').isMongoId().withMessage('Invalid destination warehouse ID'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { product, movements } = await transferStock(req.body.product, {
+      variant: req.body.variant,
+      from: req.body.from,
+      to: req.body.to,
+      quantity: parseInt(req.body.quantity),
+      actor: req.user._id,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock transferred successfully',
+      data: {
+        product,
+        movements
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Transfer stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring stock'
+    });
+  }
+});
+
+// @desc    Get products at or below their reorder threshold
+// @route   GET /api/inventory/low-stock
+// @access  Private/Admin
+router.get('/low-stock', protect, admin, async (req, res) => {
+  try {
+    const products = await listLowStock();
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        count: products.length
+      }
+    });
+  } catch (error) {
+    console.error('Get low stock error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching low stock products'
+    });
+  }
+});
+
+// @desc    Check product stock against the movement ledger
+// @route   GET /api/inventory/audit
+// @access  Private/Admin
+router.get('/audit', protect, admin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await auditStock()
+    });
+  } catch (error) {
+    console.error('Stock audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error auditing stock'
+    });
+  }
+});
+
+// @desc    Record adjustments so the ledger matches current stock
+// @route   POST /api/inventory/audit/reconcile
+// @access  Private/Admin
+router.post('/audit/reconcile', protect, admin, async (req, res) => {
+  try {
+    const result = await auditStock({ fix: true, actor: req.user._id });
+
+    res.json({
+      success: true,
+      message: `${result.fixed} stock level(s) reconciled`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Stock reconcile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reconciling stock'
+    });
+  }
+});
+
+const warehouseValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    field('code').trim().matches(/^[A-Za-z0-9]{2,10}$/).withMessage('Code must be 2-10 letters or digits'),
+    field('address.addressLine1').trim().notEmpty().withMessage('Address line 1 is required'),
+    field('address.city').trim().notEmpty().withMessage('City is required'),
+    field('address.state').trim().notEmpty().withMessage('State is required'),
+    field('address.pincode').matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+    body('phone').optional().isMobilePhone('en-IN').withMessage('Please provide a valid phone number'),
+    body('courierPickupLocation').optional().isString().trim(),
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+const pickWarehouseFields = (data) => {
+  const fields = {};
+  ['name', 'code', 'phone', 'courierPickupLocation', 'priority', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+// @desc    Get warehouses
+// @route   GET /api/inventory/warehouses
+// @access  Private/Admin
+router.get('/warehouses', protect, admin, async (req, res) => {
+  try {
+    const warehouses = await Warehouse.find().sort({ isActive: -1, priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { warehouses }
+    });
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching warehouses'
+    });
+  }
+});
+
+// @desc    Create warehouse
+// @route   POST /api/inventory/warehouses
+// @access  Private/Admin
+router.post('/warehouses', protect, admin, warehouseValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const warehouse = await Warehouse.create({
+      ...pickWarehouseFields(req.body),
+      address: req.body.address
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      data: { warehouse }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A warehouse with this code already exists'
+      });
+    }
+
+    console.error('Create warehouse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating warehouse'
+    });
+  }
+});
+
+// @desc    Update warehouse
+// @route   PUT /api/inventory/warehouses/:id
+// @access  Private/Admin
+router.put('/warehouses/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid warehouse ID'),
+  ...warehouseValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const warehouse = await Warehouse.findById(req.params.id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    Object.assign(warehouse, pickWarehouseFields(req.body));
+    if (req.body.address) {
+      warehouse.address = { ...warehouse.address.toObject(), ...req.body.address };
+    }
+    await warehouse.save();
+
+    res.json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      data: { warehouse }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A warehouse with this code already exists'
+      });
+    }
+
+    console.error('Update warehouse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating warehouse'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,24 +3,38 @@ const { body, param, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Product = require('../models/Product');
-const { protect, admin } = require('../middleware/authMiddleware');
+const Invoice = require('../models/Invoice');
+const { protect, protectOrGuest, admin, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { reserveStock, releaseStock } = require('../services/inventory');
+const { planFulfilment, buildShipments, getLineOrigins, stockItemsFor } = require('../services/fulfilment');
+const { ONLINE_PAYMENT_METHODS, getHoldExpiry, listActiveHolds } = require('../services/reservations');
+const { evaluateCoupon, allocateDiscount, redeemCoupon, releaseCoupon } = require('../services/coupons');
+const { calculateTax } = require('../services/tax');
+const { getFabricHsnCodes } = require('../services/taxonomy');
+const { getShippingOption, getShippingRates } = require('../services/shipping');
+const { assertDeliverable } = require('../services/serviceability');
+const { issueRefund, listRefundQueue } = require('../services/refunds');
+const { transitionOrder } = require('../services/orderStateMachine');
+const { notifyOrder } = require('../services/notifications');
+const { findGuestCart, signOrderToken, canAccessOrder } = require('../services/guestCheckout');
+const { issueInvoice, listCreditNotes } = require('../services/invoices');
+const { createShipment, getShipmentLabel, syncTracking, toPublicTracking } = require('../services/shipments');
+const { requestReturn, approveReturn, rejectReturn, receiveReturn, listOpenReturns } = require('../services/returns');
+const { upload, toDataUri } = require('../middleware/uploadMiddleware');
+const { uploadMultipleImages } = require('../config/cloudinary');
 
 const router = express.Router();
 
-// Generate unique order number
-const generateOrderNumber = () => {
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).substr(2, 5);
-  return `ORD-${timestamp}-${random}`.toUpperCase();
-};
+const isGuest = (value, { req }) => !req.user;
 
 // @desc    Create new order
 // @route   POST /api/orders
-// @access  Private
-router.post('/', protect, [
+// @access  Private or guest
+router.post('/', protectOrGuest, requireVerifiedEmail, [
   body('items').isArray({ min: 1 }).withMessage('Order must have at least one item'),
   body('items.*.product').isMongoId().withMessage('Invalid product ID'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant ID'),
   body('shippingAddress.firstName').notEmpty().withMessage('First name is required'),
   body('shippingAddress.lastName').notEmpty().withMessage('Last name is required'),
   body('shippingAddress.addressLine1').notEmpty().withMessage('Address is required'),
@@ -28,7 +42,11 @@ router.post('/', protect, [
   body('shippingAddress.state').notEmpty().withMessage('State is required'),
   body('shippingAddress.pincode').matches(/^\d{6}$/).withMessage('Invalid pincode'),
   body('shippingAddress.phone').matches(/^\d{10}$/).withMessage('Invalid phone number'),
-  body('paymentInfo.method').isIn(['razorpay', 'stripe', 'cod', 'upi']).withMessage('Invalid payment method')
+  body('paymentInfo.method').isIn(['razorpay', 'stripe', 'cod', 'upi']).withMessage('Invalid payment method'),
+  body('coupon.code').optional().isString().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('shippingMethod').optional().custom(value => Object.keys(getShippingRates().methods).includes(value)).withMessage('Invalid shipping method'),
+  body('guest.email').if(isGuest).isEmail().withMessage('Email is required for guest checkout'),
+  body('guest.phone').if(isGuest).matches(/^\d{10}$/).withMessage('Phone number is required for guest checkout')
 ], async (req, res) => {
   try {
     console.log('Order creation request received');
@@ -45,20 +63,21 @@ router.post('/', protect, [
       });
     }
 
-    const { items, shippingAddress, billingAddress, paymentInfo, coupon } = req.body;
+    const { items, shippingAddress, billingAddress, paymentInfo, coupon, shippingMethod, guest } = req.body;
 
-    // Validate user exists
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not authenticated'
-      });
-    }
+    // Orders belong to the signed-in user, or carry the guest's contact details
+    const customer = req.user
+      ? { user: req.user._id }
+      : { guest: { email: guest.email, phone: guest.phone } };
+
+    console.log('Processing order for', req.user ? `user: ${req.user._id}` : 'guest');
 
-    console.log('Processing order for user:', req.user._id);
+    // Throws for pincodes we don't deliver to, or can't collect cash at
+    const serviceability = await assertDeliverable(shippingAddress.pincode, { paymentMethod: paymentInfo.method });
 
     // Validate all products exist and calculate total
-    const productIds = items.map(item => item.product);
+    // The same product may appear more than once with different variants
+    const productIds = [...new Set(items.map(item => item.product))];
     const products = await Product.find({ 
       _id: { $in: productIds }, 
       isActive: true 
@@ -71,8 +90,9 @@ router.post('/', protect, [
       });
     }
 
-    // Check stock and prepare order items
+    // Prepare order items (stock is reserved atomically further down)
     const orderItems = [];
+    const fulfilmentLines = [];
     let subtotal = 0;
 
     for (const item of items) {
@@ -85,46 +105,88 @@ router.post('/', protect, [
         });
       }
 
-      if (product.stock < item.quantity) {
+      const variant = product.resolveVariant({ variantId: item.variant, size: item.size });
+
+      if (variant === undefined) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Only ${product.stock} items available.`
+          message: `Please select an available variant for ${product.name}`
         });
       }
 
-      const itemTotal = product.price * item.quantity;
+      const price = product.getPriceFor(variant);
+      const itemTotal = price * item.quantity;
       subtotal += itemTotal;
 
       orderItems.push({
         product: product._id,
+        variant: variant ? variant._id : undefined,
         name: product.name,
-        price: product.price,
+        price,
         quantity: item.quantity,
-        size: item.size,
-        image: product.images[0]?.url || '',
-        sku: product.sku
+        size: variant ? variant.size : item.size,
+        blouse: variant ? variant.blouse : undefined,
+        color: variant ? variant.color : undefined,
+        image: (variant && variant.images[0]?.url) || product.images[0]?.url || '',
+        sku: variant ? variant.sku : product.sku
       });
-
-      // Update product stock
-      product.stock -= item.quantity;
-      await product.save();
+      fulfilmentLines.push({ product, variant, quantity: item.quantity });
     }
 
+    // Choose the warehouse(s) to ship from, closest to the customer first
+    const fulfilmentPlan = await planFulfilment(fulfilmentLines, { pincode: shippingAddress.pincode });
+
     // Calculate pricing
-    const tax = Math.round(subtotal * 0.18); // 18% GST
-    const shippingCost = subtotal > 1000 ? 0 : 100; // Free shipping above ₹1000
     let discount = 0;
 
-    // Apply coupon if provided
+    const lines = orderItems.map(orderItem => ({
+      product: products.find(p => p._id.equals(orderItem.product)),
+      price: orderItem.price,
+      quantity: orderItem.quantity
+    }));
+
+    // Apply coupon if provided. Only the code is taken from the client;
+    // the discount itself always comes from the stored coupon.
+    let appliedCoupon = null;
     if (coupon && coupon.code) {
-      if (coupon.type === 'percentage') {
-        discount = Math.round(subtotal * (coupon.discount / 100));
-      } else if (coupon.type === 'fixed') {
-        discount = coupon.discount;
-      }
+      const result = await evaluateCoupon({
+        code: coupon.code,
+        userId: req.user && req.user._id,
+        guestEmail: !req.user && guest.email,
+        lines
+      });
+      appliedCoupon = result.coupon;
+      discount = result.discount;
     }
 
-    const total = subtotal + tax + shippingCost - discount;
+    // GST is charged per line on the discounted value, split by whether
+    // each unit ships from a warehouse in the destination state
+    const lineDiscounts = allocateDiscount(appliedCoupon, lines, discount);
+    const lineOrigins = getLineOrigins(fulfilmentPlan, lines.length);
+    const gst = calculateTax({
+      lines: lines.map((line, index) => ({ ...line, discount: lineDiscounts[index], origins: lineOrigins[index] })),
+      destinationState: shippingAddress.state,
+      fabricHsnCodes: await getFabricHsnCodes()
+    });
+    gst.lines.forEach(({ hsnCode, ...lineTax }, index) => {
+      orderItems[index].hsnCode = hsnCode;
+      orderItems[index].tax = lineTax;
+    });
+    const tax = gst.total;
+
+    // Shipping is priced on the parcel's weight and destination; free-shipping
+    // thresholds and the COD surcharge go by the discounted value
+    const shipping = getShippingOption(shippingMethod, {
+      lines,
+      pincode: shippingAddress.pincode,
+      state: shippingAddress.state,
+      serviceability,
+      orderValue: subtotal - discount,
+      paymentMethod: paymentInfo.method
+    });
+    const shippingCost = shipping.total;
+
+    const total = Math.round((subtotal + tax + shippingCost - discount) * 100) / 100;
 
     // Prepare billing address with fallback to shipping address
     const finalBillingAddress = billingAddress || {
@@ -144,42 +206,105 @@ router.post('/', protect, [
 
     // Generate unique order number
     // Note: The Order model's pre-save hook will also generate one if not provided
-    const orderNumber = generateOrderNumber();
+    const orderNumber = Order.generateOrderNumber();
 
     // Create order
     const order = new Order({
       orderNumber,
-      user: req.user._id,
+      ...customer,
       items: orderItems,
       shippingAddress,
       billingAddress: finalBillingAddress,
-      paymentInfo,
+      // Payment details are only ever filled in by the payment routes
+      paymentInfo: { method: paymentInfo.method },
       pricing: {
         subtotal,
         tax,
+        taxBreakdown: gst.breakdown,
         shippingCost,
         discount,
         total
       },
-      coupon: coupon || undefined,
+      shipping: {
+        method: shipping.method,
+        label: shipping.label,
+        zone: shipping.zone,
+        chargeableWeight: shipping.chargeableWeight,
+        charge: shipping.charge,
+        codCharge: shipping.codCharge,
+        estimatedDays: shipping.estimatedDays
+      },
+      tracking: {
+        estimatedDelivery: shipping.estimatedDelivery
+      },
+      coupon: appliedCoupon ? {
+        code: appliedCoupon.code,
+        discount: appliedCoupon.value,
+        type: appliedCoupon.type
+      } : undefined,
       status: paymentInfo.method === 'cod' ? 'confirmed' : 'pending'
     });
 
-    console.log('Order object before save:', JSON.stringify(order, null, 2));
-    const savedOrder = await order.save();
+    order.shipments = buildShipments(order, fulfilmentPlan);
+
+    // Online payments only hold stock until the payment window runs out
+    if (ONLINE_PAYMENT_METHODS.includes(paymentInfo.method)) {
+      order.reservation = { expiresAt: getHoldExpiry() };
+    }
+
+    // Reserve stock, redeem the coupon, save the order and clear the cart
+    // as one unit. If any step fails, the steps before it are undone.
+    const stockContext = { order, actor: req.user && req.user._id };
+    const stockItems = stockItemsFor(order);
+    await reserveStock(stockItems, { ...stockContext, reason: 'sale' });
+    const undo = [() => releaseStock(stockItems, { ...stockContext, reason: 'cancel', note: 'Checkout failed' })];
+
+    let savedOrder;
+    try {
+      if (appliedCoupon) {
+        const couponCustomer = { userId: req.user && req.user._id, guestEmail: !req.user && guest.email };
+        await redeemCoupon(appliedCoupon, couponCustomer);
+        undo.push(() => releaseCoupon(appliedCoupon.code, couponCustomer));
+      }
+
+      savedOrder = await order.save();
+      undo.push(() => Order.deleteOne({ _id: order._id }));
+
+      if (req.user) {
+        await User.updateOne({ _id: req.user._id }, { $set: { cart: [] } });
+      } else {
+        const guestCart = await findGuestCart(req.get('x-cart-token'));
+        if (guestCart) await guestCart.deleteOne();
+      }
+    } catch (error) {
+      for (const step of undo.reverse()) {
+        await step();
+      }
+      throw error;
+    }
+
     console.log('Order saved successfully:', savedOrder._id);
 
-    // Clear user's cart
-    const user = await User.findById(req.user._id);
-    user.cart = [];
-    await user.save();
+    // Online orders are confirmed by email once the payment comes through
+    if (savedOrder.paymentInfo.method === 'cod') {
+      notifyOrder('orderPlaced', savedOrder);
+    }
 
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: savedOrder
+      data: savedOrder,
+      // Guests send this back as X-Order-Token to pay for or manage the order
+      orderToken: req.user ? undefined : signOrderToken(savedOrder._id)
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create order error:', error);
     console.error('Error stack:', error.stack);
     console.error('Error message:', error.message);
@@ -251,10 +376,93 @@ router.get('/', protect, [
   }
 });
 
+// @desc    Look up a guest order by order number and email
+// @route   POST /api/orders/lookup
+// @access  Public
+router.post('/lookup', [
+  body('orderNumber').isString().trim().notEmpty().withMessage('Order number is required'),
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({
+      orderNumber: req.body.orderNumber.trim().toUpperCase(),
+      'guest.email': req.body.email.trim().toLowerCase()
+    })
+      .select('-notes.admin -paymentInfo.signature')
+      .populate('items.product', 'name images');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order found with these details'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Order lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error looking up order'
+    });
+  }
+});
+
+// @desc    Track an order's shipments
+// @route   GET /api/orders/track/:orderNumber
+// @access  Public
+router.get('/track/:orderNumber', [
+  param('orderNumber').isString().trim().notEmpty().withMessage('Order number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber.toUpperCase() })
+      .select('orderNumber status tracking shipments deliveredAt');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicTracking(order)
+    });
+  } catch (error) {
+    console.error('Track order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error tracking order'
+    });
+  }
+});
+
 // @desc    Get single order
 // @route   GET /api/orders/:id
-// @access  Private
-router.get('/:id', protect, [
+// @access  Private or guest (X-Order-Token)
+router.get('/:id', protectOrGuest, [
   param('id').isMongoId().withMessage('Invalid order ID')
 ], async (req, res) => {
   try {
@@ -279,7 +487,7 @@ router.get('/:id', protect, [
     }
 
     // Check if user owns the order or is admin
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (!canAccessOrder(req, order) && !(req.user && req.user.role === 'admin')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this order'
@@ -299,12 +507,17 @@ router.get('/:id', protect, [
   }
 });
 
-// @desc    Cancel order
-// @route   PUT /api/orders/:id/cancel
-// @access  Private
-router.put('/:id/cancel', protect, [
-  param('id').isMongoId().withMessage('Invalid order ID'),
-  body('reason').optional().notEmpty().withMessage('Cancellation reason cannot be empty')
+const sendInvoicePdf = (res, invoice) => {
+  res.set('Content-Type', 'application/pdf');
+  res.attachment(`${invoice.number.replace(/\//g, '-')}.pdf`);
+  res.send(invoice.pdf);
+};
+
+// @desc    Download the tax invoice for an order
+// @route   GET /api/orders/:id/invoice
+// @access  Private or guest (X-Order-Token)
+router.get('/:id/invoice', protectOrGuest, [
+  param('id').isMongoId().withMessage('Invalid order ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -325,61 +538,88 @@ router.put('/:id/cancel', protect, [
       });
     }
 
-    // Check if user owns the order
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (!canAccessOrder(req, order) && !(req.user && req.user.role === 'admin')) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to cancel this order'
+        message: 'Not authorized to view this order'
       });
     }
 
-    // Check if order can be cancelled
-    if (!['pending', 'confirmed', 'processing'].includes(order.status)) {
+    sendInvoicePdf(res, await issueInvoice(order));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating invoice'
+    });
+  }
+});
+
+// @desc    List credit notes issued for an order's refunds
+// @route   GET /api/orders/:id/credit-notes
+// @access  Private or guest (X-Order-Token)
+router.get('/:id/credit-notes', protectOrGuest, [
+  param('id').isMongoId().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Order cannot be cancelled at this stage'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Update order status
-    order.status = 'cancelled';
-    order.cancellation = {
-      reason: req.body.reason || 'Cancelled by customer',
-      cancelledAt: new Date(),
-      refundStatus: order.paymentInfo.status === 'completed' ? 'pending' : 'processed',
-      refundAmount: order.paymentInfo.status === 'completed' ? order.pricing.total : 0
-    };
+    const order = await Order.findById(req.params.id);
 
-    await order.save();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: item.quantity } }
-      );
+    if (!canAccessOrder(req, order) && !(req.user && req.user.role === 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
     }
 
     res.json({
       success: true,
-      message: 'Order cancelled successfully',
-      data: order
+      data: await listCreditNotes(order)
     });
   } catch (error) {
-    console.error('Cancel order error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get credit notes error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error cancelling order'
+      message: 'Error fetching credit notes'
     });
   }
 });
 
-// @desc    Get all orders (Admin only)
-// @route   GET /api/orders/admin/all
-// @access  Private/Admin
-router.get('/admin/all', protect, admin, [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+// @desc    Download a credit note
+// @route   GET /api/orders/:id/credit-notes/:creditNoteId
+// @access  Private or guest (X-Order-Token)
+router.get('/:id/credit-notes/:creditNoteId', protectOrGuest, [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  param('creditNoteId').isMongoId().withMessage('Invalid credit note ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -391,72 +631,51 @@ router.get('/admin/all', protect, admin, [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    let filter = {};
-
-    // Status filter
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
+    const order = await Order.findById(req.params.id).select('user');
 
-    // Date range filter
-    if (req.query.startDate || req.query.endDate) {
-      filter.createdAt = {};
-      if (req.query.startDate) {
-        filter.createdAt.$gte = new Date(req.query.startDate);
-      }
-      if (req.query.endDate) {
-        filter.createdAt.$lte = new Date(req.query.endDate);
-      }
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
 
-    // Search by order number
-    if (req.query.orderNumber) {
-      filter.orderNumber = new RegExp(req.query.orderNumber, 'i');
+    if (!canAccessOrder(req, order) && !(req.user && req.user.role === 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
     }
 
-    const orders = await Order.find(filter)
-      .populate('user', 'firstName lastName email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const creditNote = await Invoice.findOne({
+      _id: req.params.creditNoteId,
+      order: order._id,
+      type: 'credit_note'
+    });
 
-    const total = await Order.countDocuments(filter);
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        orders,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(total / limit),
-          totalOrders: total,
-          hasNextPage: page < Math.ceil(total / limit),
-          hasPrevPage: page > 1,
-          limit
-        }
-      }
-    });
+    sendInvoicePdf(res, creditNote);
   } catch (error) {
-    console.error('Get admin orders error:', error);
+    console.error('Get credit note error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching orders'
+      message: 'Error fetching credit note'
     });
   }
 });
 
-// @desc    Update order status (Admin only)
-// @route   PUT /api/orders/:id/status
-// @access  Private/Admin
-router.put('/:id/status', protect, admin, [
+// @desc    Cancel order
+// @route   PUT /api/orders/:id/cancel
+// @access  Private or guest (X-Order-Token)
+router.put('/:id/cancel', protectOrGuest, [
   param('id').isMongoId().withMessage('Invalid order ID'),
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned']).withMessage('Invalid status'),
-  body('trackingNumber').optional().notEmpty().withMessage('Tracking number cannot be empty'),
-  body('courier').optional().notEmpty().withMessage('Courier cannot be empty')
+  body('reason').optional().notEmpty().withMessage('Cancellation reason cannot be empty')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -468,7 +687,6 @@ router.put('/:id/status', protect, admin, [
       });
     }
 
-    const { status, trackingNumber, courier, estimatedDelivery } = req.body;
     const order = await Order.findById(req.params.id);
 
     if (!order) {
@@ -478,28 +696,665 @@ router.put('/:id/status', protect, admin, [
       });
     }
 
-    // Update order status
-    order.status = status;
-
-    // Update tracking info if provided
-    if (trackingNumber) {
-      order.tracking.trackingNumber = trackingNumber;
-    }
-    if (courier) {
-      order.tracking.courier = courier;
+    // Check if user owns the order
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this order'
+      });
     }
-    if (estimatedDelivery) {
-      order.tracking.estimatedDelivery = new Date(estimatedDelivery);
+
+    // Check if order can be cancelled
+    if (!['pending', 'confirmed', 'processing'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be cancelled at this stage'
+      });
     }
 
-    await order.save();
+    // Cancelling restores stock and the coupon use, and queues or issues the refund
+    await transitionOrder(order, 'cancelled', {
+      actor: req.user ? req.user._id : undefined,
+      reason: req.body.reason || 'Cancelled by customer',
+      message: 'Order cancelled by customer'
+    });
 
     res.json({
       success: true,
-      message: 'Order status updated successfully',
+      message: 'Order cancelled successfully',
       data: order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling order'
+    });
+  }
+});
+
+// @desc    Request a return or exchange for delivered items
+// @route   POST /api/orders/:id/returns
+// @access  Private or guest (X-Order-Token)
+router.post('/:id/returns', protectOrGuest, upload.array('photos', 5), [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('reason').notEmpty().withMessage('Return reason is required'),
+  body('type').optional().isIn(['refund', 'exchange']).withMessage('Return type must be refund or exchange')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Parse items if it's a string (from FormData)
+    let items = req.body.items;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        items = null;
+      }
+    }
+
+    const validItems = Array.isArray(items) && items.length > 0 && items.every(item =>
+      item && typeof item.itemId === 'string' && Number.isInteger(Number(item.quantity)) && Number(item.quantity) >= 1
+    );
+
+    if (!validItems) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one item and quantity to return'
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns the order
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return this order'
+      });
+    }
+
+    // Upload photos of the items
+    let photos = [];
+    if (req.files && req.files.length > 0) {
+      try {
+        photos = await uploadMultipleImages(req.files.map(toDataUri), 'saree-store/returns');
+      } catch (uploadError) {
+        console.error('Return photo upload error:', uploadError);
+        return res.status(500).json({
+          success: false,
+          message: 'Error uploading return photos'
+        });
+      }
+    }
+
+    const returnRequest = await requestReturn(order, {
+      items: items.map(item => ({ itemId: item.itemId, quantity: Number(item.quantity) })),
+      reason: req.body.reason,
+      type: req.body.type,
+      photos
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: returnRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Request return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting return'
+    });
+  }
+});
+
+// @desc    Get all orders (Admin only)
+// @route   GET /api/orders/admin/all
+// @access  Private/Admin
+router.get('/admin/all', protect, admin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    let filter = {};
+
+    // Status filter
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    // Date range filter
+    if (req.query.startDate || req.query.endDate) {
+      filter.createdAt = {};
+      if (req.query.startDate) {
+        filter.createdAt.$gte = new Date(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.createdAt.$lte = new Date(req.query.endDate);
+      }
+    }
+
+    // Search by order number
+    if (req.query.orderNumber) {
+      filter.orderNumber = new RegExp(req.query.orderNumber, 'i');
+    }
+
+    const orders = await Order.find(filter)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalOrders: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get admin orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders'
+    });
+  }
+});
+
+// @desc    Get orders currently holding stock while awaiting payment (Admin only)
+// @route   GET /api/orders/admin/holds
+// @access  Private/Admin
+router.get('/admin/holds', protect, admin, async (req, res) => {
+  try {
+    const holds = await listActiveHolds();
+
+    res.json({
+      success: true,
+      data: {
+        holds,
+        totalHolds: holds.length
+      }
+    });
+  } catch (error) {
+    console.error('Get stock holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stock holds'
+    });
+  }
+});
+
+// @desc    Get orders awaiting or processing a refund (Admin only)
+// @route   GET /api/orders/admin/refunds
+// @access  Private/Admin
+router.get('/admin/refunds', protect, admin, async (req, res) => {
+  try {
+    const orders = await listRefundQueue();
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        totalOrders: orders.length
+      }
+    });
+  } catch (error) {
+    console.error('Get refund queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refund queue'
+    });
+  }
+});
+
+// @desc    Issue a full or partial refund (Admin only)
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin
+router.post('/:id/refunds', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('reason').optional().notEmpty().withMessage('Refund reason cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = await issueRefund(order, {
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason: req.body.reason,
+      initiatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === 'processed' ? 'Refund processed successfully' : 'Refund initiated successfully',
+      data: {
+        refund,
+        paymentInfo: order.paymentInfo,
+        cancellation: order.cancellation
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Issue refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing refund'
+    });
+  }
+});
+
+// @desc    Get open return requests (Admin only)
+// @route   GET /api/orders/admin/returns
+// @access  Private/Admin
+router.get('/admin/returns', protect, admin, async (req, res) => {
+  try {
+    const orders = await listOpenReturns();
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        totalOrders: orders.length
+      }
+    });
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching returns'
+    });
+  }
+});
+
+// Shared handler for the admin return actions
+const returnActionHandler = (action, successMessage) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const returnRequest = await action(order, req.params.returnId, {
+      note: req.body.note,
+      actor: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: returnRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Return action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating return'
+    });
+  }
+};
+
+const returnActionValidators = [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  param('returnId').isMongoId().withMessage('Invalid return ID'),
+  body('note').optional().isString().withMessage('Note must be text')
+];
+
+// @desc    Approve a return request (Admin only)
+// @route   PUT /api/orders/:id/returns/:returnId/approve
+// @access  Private/Admin
+router.put('/:id/returns/:returnId/approve', protect, admin, returnActionValidators,
+  returnActionHandler(approveReturn, 'Return approved successfully'));
+
+// @desc    Reject a return request (Admin only)
+// @route   PUT /api/orders/:id/returns/:returnId/reject
+// @access  Private/Admin
+router.put('/:id/returns/:returnId/reject', protect, admin, returnActionValidators,
+  returnActionHandler(rejectReturn, 'Return rejected successfully'));
+
+// @desc    Mark returned items as received (Admin only)
+// @route   PUT /api/orders/:id/returns/:returnId/receive
+// @access  Private/Admin
+router.put('/:id/returns/:returnId/receive', protect, admin, returnActionValidators,
+  returnActionHandler(receiveReturn, 'Return received successfully'));
+
+// @desc    Book one of the order's shipments with the courier (Admin only)
+// @route   POST /api/orders/:id/shipment
+// @access  Private/Admin
+router.post('/:id/shipment', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('shipment').optional().isMongoId().withMessage('Invalid shipment ID'),
+  body('courier').optional().isString().notEmpty().withMessage('Courier cannot be empty'),
+  body('weight').optional().isInt({ min: 1 }).withMessage('Weight must be a positive number of grams'),
+  body(['length', 'width', 'height']).optional().isFloat({ gt: 0 }).withMessage('Dimensions must be positive numbers')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const parcel = {};
+    ['weight', 'length', 'width', 'height'].forEach(field => {
+      if (req.body[field] !== undefined) parcel[field] = Number(req.body[field]);
+    });
+
+    const shipment = await createShipment(order, {
+      shipment: req.body.shipment,
+      provider: req.body.courier,
+      parcel,
+      actor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created successfully',
+      data: {
+        status: order.status,
+        shipment,
+        shipments: order.shipments
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating shipment'
+    });
+  }
+});
+
+// @desc    Get the shipping label for one of the order's shipments (Admin only)
+// @route   GET /api/orders/:id/shipment/label
+// @access  Private/Admin
+router.get('/:id/shipment/label', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  query('shipment').optional().isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const label = await getShipmentLabel(order, req.query.shipment);
+
+    if (label.pdf) {
+      res.set('Content-Type', 'application/pdf');
+      res.attachment(`label-${label.awb}.pdf`);
+      return res.send(label.pdf);
+    }
+    if (!label.url) {
+      return res.status(404).json({
+        success: false,
+        message: 'The courier has not generated a label yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { url: label.url }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get shipping label error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting shipping label'
+    });
+  }
+});
+
+// @desc    Fetch the latest tracking from the courier (Admin only)
+// @route   POST /api/orders/:id/shipment/sync
+// @access  Private/Admin
+router.post('/:id/shipment/sync', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('shipment').optional().isMongoId().withMessage('Invalid shipment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const applied = await syncTracking(order, { shipment: req.body.shipment, actor: req.user._id });
+
+    res.json({
+      success: true,
+      message: applied > 0 ? `${applied} tracking update(s) recorded` : 'Tracking is up to date',
+      data: {
+        status: order.status,
+        shipments: order.shipments,
+        tracking: order.tracking
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Sync tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing tracking'
+    });
+  }
+});
+
+// @desc    Update order status (Admin only)
+// @route   PUT /api/orders/:id/status
+// @access  Private/Admin
+router.put('/:id/status', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'expired']).withMessage('Invalid status'),
+  body('trackingNumber').optional().notEmpty().withMessage('Tracking number cannot be empty'),
+  body('courier').optional().notEmpty().withMessage('Courier cannot be empty'),
+  body('reason').optional().notEmpty().withMessage('Reason cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, trackingNumber, courier, estimatedDelivery } = req.body;
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Update tracking info if provided
+    if (trackingNumber) {
+      order.tracking.trackingNumber = trackingNumber;
+    }
+    if (courier) {
+      order.tracking.courier = courier;
+    }
+    if (estimatedDelivery) {
+      order.tracking.estimatedDelivery = new Date(estimatedDelivery);
+    }
+
+    // Re-sending the current status only updates the tracking details
+    if (status === order.status) {
+      await order.save();
+    } else {
+      await transitionOrder(order, status, {
+        actor: req.user._id,
+        reason: req.body.reason || 'Cancelled by store',
+        message: req.body.reason ? `Order ${status}: ${req.body.reason}` : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
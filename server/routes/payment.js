@@ -1,24 +1,29 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const Razorpay = require('razorpay');
+const { body, param, query, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const Order = require('../models/Order');
-const { protect } = require('../middleware/authMiddleware');
+const WebhookEvent = require('../models/WebhookEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { protect, protectOrGuest, admin } = require('../middleware/authMiddleware');
+const { canAccessOrder } = require('../services/guestCheckout');
+const { applyCapturedPayment } = require('../services/orderPayments');
+const { receiveWebhookEvent, replayWebhookEvent } = require('../services/webhooks');
+const { reconcilePayments } = require('../services/reconciliation');
+const { toCsv } = require('../utils/csv');
+const razorpayProvider = require('../services/payments/razorpayProvider');
+const stripeProvider = require('../services/payments/stripeProvider');
+const { transitionOrder } = require('../services/orderStateMachine');
+const { assertDeliverable } = require('../services/serviceability');
 
 const router = express.Router();
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+const RAZORPAY_METHODS = ['razorpay', 'upi'];
 
-// @desc    Create Razorpay order
+// @desc    Create Razorpay order for an order
 // @route   POST /api/payment/razorpay/create-order
-// @access  Private
-router.post('/razorpay/create-order', protect, [
-  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
-  body('currency').optional().equals('INR').withMessage('Currency must be INR')
+// @access  Private or guest (X-Order-Token)
+router.post('/razorpay/create-order', protectOrGuest, [
+  body('orderId').isMongoId().withMessage('Invalid order ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,23 +35,50 @@ router.post('/razorpay/create-order', protect, [
       });
     }
 
-    const { amount, currency = 'INR' } = req.body;
+    const order = await Order.findById(req.body.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!RAZORPAY_METHODS.includes(order.paymentInfo.method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment method for this order'
+      });
+    }
+
+    if (order.status !== 'pending' || order.paymentInfo.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This order is not awaiting payment'
+      });
+    }
 
-    const options = {
-      amount: amount * 100, // Amount in paise
-      currency,
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1
-    };
+    // The amount always comes from the order, never from the client
+    const razorpayOrder = await razorpayProvider.createGatewayOrder(order);
 
-    const order = await razorpay.orders.create(options);
+    if (order.paymentInfo.orderId !== razorpayOrder.id) {
+      order.paymentInfo.orderId = razorpayOrder.id;
+      await order.save();
+    }
 
     res.json({
       success: true,
       data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
+        orderId: razorpayOrder.id,
+        amount: razorpayOrder.amount,
+        currency: razorpayOrder.currency,
         key: process.env.RAZORPAY_KEY_ID
       }
     });
@@ -61,8 +93,8 @@ router.post('/razorpay/create-order', protect, [
 
 // @desc    Verify Razorpay payment
 // @route   POST /api/payment/razorpay/verify
-// @access  Private
-router.post('/razorpay/verify', protect, [
+// @access  Private or guest (X-Order-Token)
+router.post('/razorpay/verify', protectOrGuest, [
   body('razorpay_order_id').notEmpty().withMessage('Razorpay order ID is required'),
   body('razorpay_payment_id').notEmpty().withMessage('Razorpay payment ID is required'),
   body('razorpay_signature').notEmpty().withMessage('Razorpay signature is required'),
@@ -86,11 +118,13 @@ router.post('/razorpay/verify', protect, [
     } = req.body;
 
     // Verify signature
-    const hmac = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET);
-    hmac.update(`${razorpay_order_id}|${razorpay_payment_id}`);
-    const generated_signature = hmac.digest('hex');
+    const validSignature = razorpayProvider.verifyPaymentSignature({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
-    if (generated_signature !== razorpay_signature) {
+    if (!validSignature) {
       return res.status(400).json({
         success: false,
         message: 'Payment verification failed'
@@ -98,7 +132,7 @@ router.post('/razorpay/verify', protect, [
     }
 
     // Update order with payment info
-    const order = await Order.findById(orderId);
+    let order = await Order.findById(orderId);
 
     if (!order) {
       return res.status(404).json({
@@ -107,24 +141,28 @@ router.post('/razorpay/verify', protect, [
       });
     }
 
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (!canAccessOrder(req, order)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
       });
     }
 
-    order.paymentInfo = {
-      ...order.paymentInfo,
-      paymentId: razorpay_payment_id,
-      orderId: razorpay_order_id,
-      signature: razorpay_signature,
-      status: 'completed',
-      paidAt: new Date()
-    };
-    order.status = 'confirmed';
+    // The payment must be for the Razorpay order we created for this order,
+    // for its full amount. The signature alone only proves it came from Razorpay.
+    if (razorpay_order_id !== order.paymentInfo.orderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not match this order'
+      });
+    }
+
+    const payment = await razorpayProvider.fetchPayment(razorpay_payment_id);
 
-    await order.save();
+    order = await applyCapturedPayment(order, razorpayProvider, payment, {
+      actor: req.user ? req.user._id : undefined,
+      signature: razorpay_signature
+    });
 
     res.json({
       success: true,
@@ -136,6 +174,13 @@ router.post('/razorpay/verify', protect, [
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Razorpay verify payment error:', error);
     res.status(500).json({
       success: false,
@@ -148,52 +193,31 @@ router.post('/razorpay/verify', protect, [
 // @route   POST /api/payment/razorpay/webhook
 // @access  Public
 router.post('/razorpay/webhook', async (req, res) => {
-  try {
-    const webhookSignature = req.headers['x-razorpay-signature'];
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const webhookBody = JSON.stringify(req.body);
-
-    if (webhookSecret) {
-      const hmac = crypto.createHmac('sha256', webhookSecret);
-      hmac.update(webhookBody);
-      const generated_signature = hmac.digest('hex');
-
-      if (generated_signature !== webhookSignature) {
-        return res.status(400).json({
-          success: false,
-          message: 'Webhook signature verification failed'
-        });
-      }
-    }
-
-    const event = req.body.event;
-    const paymentEntity = req.body.payload.payment.entity;
-
-    switch (event) {
-      case 'payment.captured':
-        // Payment was successful
-        console.log('Payment captured:', paymentEntity.id);
-        break;
-
-      case 'payment.failed':
-        // Payment failed
-        console.log('Payment failed:', paymentEntity.id);
-        // Update order status to failed
-        const failedOrder = await Order.findOne({
-          'paymentInfo.orderId': paymentEntity.order_id
-        });
-        if (failedOrder) {
-          failedOrder.paymentInfo.status = 'failed';
-          failedOrder.paymentInfo.failureReason = paymentEntity.error_description;
-          await failedOrder.save();
-        }
-        break;
+  if (!razorpayProvider.verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook signature verification failed'
+    });
+  }
 
-      default:
-        console.log('Unhandled webhook event:', event);
-    }
+  try {
+    // Retries of an event carry the same id
+    const eventId = req.headers['x-razorpay-event-id'] ||
+      crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    const { event, duplicate } = await receiveWebhookEvent('razorpay', {
+      eventId,
+      type: req.body.event,
+      payload: req.body
+    });
 
-    res.json({ success: true });
+    res.json({
+      success: true,
+      data: {
+        status: event.status,
+        duplicate
+      }
+    });
   } catch (error) {
     console.error('Razorpay webhook error:', error);
     res.status(500).json({
@@ -203,12 +227,11 @@ router.post('/razorpay/webhook', async (req, res) => {
   }
 });
 
-// @desc    Create payment intent for Stripe
+// @desc    Create a Stripe PaymentIntent for an order
 // @route   POST /api/payment/stripe/create-intent
-// @access  Private
-router.post('/stripe/create-intent', protect, [
-  body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
-  body('currency').optional().equals('inr').withMessage('Currency must be INR')
+// @access  Private or guest (X-Order-Token)
+router.post('/stripe/create-intent', protectOrGuest, [
+  body('orderId').isMongoId().withMessage('Invalid order ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -220,17 +243,52 @@ router.post('/stripe/create-intent', protect, [
       });
     }
 
-    // Note: Stripe integration would require the Stripe SDK
-    // This is a placeholder implementation
-    const { amount, currency = 'inr' } = req.body;
+    const order = await Order.findById(req.body.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (order.paymentInfo.method !== 'stripe') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment method for this order'
+      });
+    }
+
+    if (order.status !== 'pending' || order.paymentInfo.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This order is not awaiting payment'
+      });
+    }
+
+    // The amount always comes from the order, never from the client
+    const intent = await stripeProvider.createPaymentIntent(order);
+
+    if (order.paymentInfo.orderId !== intent.id) {
+      order.paymentInfo.orderId = intent.id;
+      await order.save();
+    }
 
     res.json({
       success: true,
-      message: 'Stripe integration coming soon',
       data: {
-        amount,
-        currency,
-        client_secret: 'stripe_client_secret_placeholder'
+        clientSecret: intent.client_secret,
+        paymentIntentId: intent.id,
+        amount: order.pricing.total,
+        currency: 'INR',
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
       }
     });
   } catch (error) {
@@ -242,10 +300,49 @@ router.post('/stripe/create-intent', protect, [
   }
 });
 
+// @desc    Handle Stripe webhook
+// @route   POST /api/payment/stripe/webhook
+// @access  Public
+router.post('/stripe/webhook', async (req, res) => {
+  let stripeEvent;
+
+  try {
+    stripeEvent = stripeProvider.constructWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Stripe webhook signature error:', error.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Webhook signature verification failed'
+    });
+  }
+
+  try {
+    const { event, duplicate } = await receiveWebhookEvent('stripe', {
+      eventId: stripeEvent.id,
+      type: stripeEvent.type,
+      payload: stripeEvent
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status: event.status,
+        duplicate
+      }
+    });
+  } catch (error) {
+    console.error('Stripe webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook'
+    });
+  }
+});
+
 // @desc    Process COD order
 // @route   POST /api/payment/cod/process
-// @access  Private
-router.post('/cod/process', protect, [
+// @access  Private or guest (X-Order-Token)
+router.post('/cod/process', protectOrGuest, [
   body('orderId').isMongoId().withMessage('Invalid order ID')
 ], async (req, res) => {
   try {
@@ -268,7 +365,7 @@ router.post('/cod/process', protect, [
       });
     }
 
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (!canAccessOrder(req, order)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -282,11 +379,15 @@ router.post('/cod/process', protect, [
       });
     }
 
-    // Update order status for COD
-    order.status = 'confirmed';
-    order.paymentInfo.status = 'pending'; // Will be completed on delivery
+    // Update order status for COD. Payment is completed on delivery.
+    if (order.status === 'pending') {
+      await assertDeliverable(order.shippingAddress.pincode, { paymentMethod: 'cod' });
 
-    await order.save();
+      await transitionOrder(order, 'confirmed', {
+        actor: req.user ? req.user._id : undefined,
+        message: 'Cash on delivery order confirmed'
+      });
+    }
 
     res.json({
       success: true,
@@ -298,6 +399,13 @@ router.post('/cod/process', protect, [
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('COD process error:', error);
     res.status(500).json({
       success: false,
@@ -306,4 +414,305 @@ router.post('/cod/process', protect, [
   }
 });
 
+// @desc    List received webhook events
+// @route   GET /api/payment/admin/webhook-events
+// @access  Private/Admin
+router.get('/admin/webhook-events', protect, admin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('provider').optional().isIn(['razorpay', 'stripe']).withMessage('Invalid provider'),
+  query('status').optional().isIn(['received', 'processing', 'processed', 'ignored', 'failed']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.provider) filter.provider = req.query.provider;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+
+    const events = await WebhookEvent.find(filter)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WebhookEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEvents: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events'
+    });
+  }
+});
+
+// @desc    Get a webhook event with its payload
+// @route   GET /api/payment/admin/webhook-events/:id
+// @access  Private/Admin
+router.get('/admin/webhook-events/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid event ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('replayedBy', 'firstName lastName email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook event'
+    });
+  }
+});
+
+// @desc    Process a stored webhook event again
+// @route   POST /api/payment/admin/webhook-events/:id/replay
+// @access  Private/Admin
+router.post('/admin/webhook-events/:id/replay', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid event ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const event = await replayWebhookEvent(req.params.id, { actor: req.user._id });
+
+    res.json({
+      success: true,
+      message: event.status === 'failed'
+        ? `Event replayed but could not be applied: ${event.error}`
+        : 'Event replayed successfully',
+      data: event
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook event'
+    });
+  }
+});
+
+// Column order of the reconciliation CSV download
+const RECONCILIATION_CSV_COLUMNS = [
+  'result', 'orderNumber', 'orderStatus', 'orderPaymentStatus', 'orderAmount',
+  'paymentId', 'gatewayOrderId', 'gatewayStatus', 'gatewayAmount', 'currency',
+  'settlementId', 'settledAmount', 'fee', 'tax', 'settledAt', 'detail'
+].map(key => ({ key }));
+
+// @desc    Reconcile orders against gateway payments and settlements
+// @route   POST /api/payment/admin/reconciliation
+// @access  Private/Admin
+router.post('/admin/reconciliation', protect, admin, [
+  body('from').isISO8601().withMessage('From must be a valid date'),
+  body('to').isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await reconcilePayments({
+      from: req.body.from,
+      to: req.body.to,
+      generatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation completed',
+      data: report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running reconciliation'
+    });
+  }
+});
+
+// @desc    List reconciliation reports
+// @route   GET /api/payment/admin/reconciliation
+// @access  Private/Admin
+router.get('/admin/reconciliation', protect, admin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const reports = await ReconciliationReport.find()
+      .select('-rows')
+      .populate('generatedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ReconciliationReport.countDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalReports: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation reports'
+    });
+  }
+});
+
+// @desc    Get a reconciliation report, optionally as a JSON or CSV download
+// @route   GET /api/payment/admin/reconciliation/:id
+// @access  Private/Admin
+router.get('/admin/reconciliation/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid report ID'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('result').optional().isIn(ReconciliationReport.RESULTS).withMessage('Invalid result')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('generatedBy', 'firstName lastName email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation report not found'
+      });
+    }
+
+    const rows = req.query.result
+      ? report.rows.filter(row => row.result === req.query.result)
+      : report.rows;
+
+    if (!req.query.format) {
+      return res.json({
+        success: true,
+        data: { ...report.toObject(), rows }
+      });
+    }
+
+    const filename = `reconciliation-${report.from.toISOString().slice(0, 10)}-${report.to.toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`${filename}.csv`);
+      return res.send(toCsv(rows.map(row => row.toObject()), RECONCILIATION_CSV_COLUMNS));
+    }
+
+    res.attachment(`${filename}.json`);
+    res.send(JSON.stringify({ ...report.toObject(), rows }, null, 2));
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reconciliation report'
+    });
+  }
+});
+
 module.exports = router;
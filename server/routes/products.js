@@ -1,29 +1,45 @@
 const express = require('express');
-const multer = require('multer');
+const path = require('path');
+const { once } = require('events');
 const { query, param, body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const { protect, admin, optionalAuth } = require('../middleware/authMiddleware');
+const { upload, dataUpload } = require('../middleware/uploadMiddleware');
+const { stockLevels, recordStockChanges } = require('../services/inventory');
+const { CATALOGUE_CSV_COLUMNS, toCatalogueRecord, toCatalogueCsvRow, importCatalogue } = require('../services/catalogue');
+const { resolveCategory, expandCategories, getCategoryTree, getAttributeValues } = require('../services/taxonomy');
+const { getProductListing } = require('../services/productFacets');
+const { csvHeader, csvLine } = require('../utils/csv');
 const { uploadImage, deleteImage, uploadMultipleImages } = require('../config/cloudinary');
 
 const router = express.Router();
 
-// Configure multer for memory storage
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
+const LOCATED_STOCK_MESSAGE = 'Stock is kept per warehouse; change it through the inventory adjust or transfer routes';
+
+// Stock kept per warehouse only changes through /api/inventory, which knows
+// which warehouse it's at. Returns an error message when an edit would set
+// it. Variants sent back in an update keep their warehouse locations.
+const checkLocatedStock = (product, productData) => {
+  if (productData.stock !== undefined && product.locations.length > 0 && Number(productData.stock) !== product.stock) {
+    return LOCATED_STOCK_MESSAGE;
+  }
+
+  for (const incoming of Array.isArray(productData.variants) ? productData.variants : []) {
+    const existing = incoming && incoming._id && product.variants.id(incoming._id);
+    if (existing && existing.locations.length > 0) {
+      if (incoming.stock !== undefined && Number(incoming.stock) !== existing.stock) {
+        return LOCATED_STOCK_MESSAGE;
+      }
+      incoming.locations = existing.locations;
     }
   }
-});
 
-// @desc    Get all products with filtering, sorting, and pagination
+  return null;
+};
+
+// @desc    Get all products with filtering, sorting, and pagination, plus
+//          facet counts (category, fabric, color, occasion, price) for the
+//          current filters
 // @route   GET /api/products
 // @access  Public
 router.get('/', [
@@ -46,34 +62,36 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    // Build filter object
+    // Build filter object. Faceted filters are kept apart, since each
+    // facet's counts leave out its own filter.
     let filter = { isActive: true };
+    const facetFilters = {};
 
-    // Category filter
+    // Category filter, by id, slug or name; subcategories are included
     if (req.query.category) {
-      filter.category = { $in: req.query.category.split(',') };
+      facetFilters.category = { $in: await expandCategories(req.query.category.split(',')) };
     }
 
     // Fabric filter
     if (req.query.fabric) {
-      filter.fabric = { $in: req.query.fabric.split(',') };
+      facetFilters.fabric = { $in: req.query.fabric.split(',') };
     }
 
     // Color filter
     if (req.query.color) {
-      filter.color = { $in: req.query.color.split(',') };
+      facetFilters.color = { $in: req.query.color.split(',') };
     }
 
     // Occasion filter
     if (req.query.occasion) {
-      filter.occasion = { $in: req.query.occasion.split(',') };
+      facetFilters.occasion = { $in: req.query.occasion.split(',') };
     }
 
     // Price range filter
     if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
+      facetFilters.price = {};
+      if (req.query.minPrice) facetFilters.price.$gte = parseFloat(req.query.minPrice);
+      if (req.query.maxPrice) facetFilters.price.$lte = parseFloat(req.query.maxPrice);
     }
 
     // Search filter
@@ -119,15 +137,8 @@ router.get('/', [
         sort.createdAt = -1; // Default to newest first
     }
 
-    // Execute query
-    const products = await Product.find(filter)
-      .select('-reviews') // Exclude reviews for better performance
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+    // The page, the total for pagination and the facet counts, in one query
+    const { products, total, facets } = await getProductListing(filter, facetFilters, { sort, skip, limit });
 
     // Calculate pagination info
     const totalPages = Math.ceil(total / limit);
@@ -138,6 +149,7 @@ router.get('/', [
       success: true,
       data: {
         products,
+        facets,
         pagination: {
           currentPage: page,
           totalPages,
@@ -170,6 +182,7 @@ router.get('/featured', async (req, res) => {
       stock: { $gt: 0 } 
     })
     .select('-reviews')
+    .populate('category', 'name slug')
     .sort({ createdAt: -1 })
     .limit(limit);
 
@@ -186,6 +199,126 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+// @desc    Export the whole catalogue as CSV or JSON (Admin only)
+// @route   GET /api/products/export
+// @access  Private/Admin
+router.get('/export', protect, admin, [
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const format = req.query.format || 'csv';
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  // Products are written out as they're read, so the whole catalogue is
+  // never held in memory
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+  };
+
+  try {
+    const cursor = Product.find().populate('category', 'slug').sort({ createdAt: 1 }).cursor();
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      await write(csvHeader(CATALOGUE_CSV_COLUMNS));
+      for await (const product of cursor) {
+        await write(`\r\n${csvLine(toCatalogueCsvRow(product), CATALOGUE_CSV_COLUMNS)}`);
+      }
+    } else {
+      res.set('Content-Type', 'application/json; charset=utf-8');
+      let separator = '\n';
+      await write('[');
+      for await (const product of cursor) {
+        await write(`${separator}${JSON.stringify(toCatalogueRecord(product))}`);
+        separator = ',\n';
+      }
+      await write('\n]\n');
+    }
+
+    res.end();
+  } catch (error) {
+    console.error('Export products error:', error);
+    if (res.headersSent) {
+      // Part of the file has gone out; cut it short rather than corrupt it
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting products'
+    });
+  }
+});
+
+// @desc    Create or update products from a CSV or JSON file (field "file"), matched by SKU (Admin only).
+//          Existing products keep their stock unless updateStock=true.
+// @route   POST /api/products/import
+// @access  Private/Admin
+router.post('/import', protect, admin, dataUpload.single('file'), [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  query('updateStock').optional().isBoolean().withMessage('updateStock must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or JSON file is required'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const result = await importCatalogue(req.file.buffer.toString('utf8'), {
+      format: path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'csv',
+      dryRun,
+      updateStock: req.query.updateStock === 'true',
+      actor: req.user._id
+    });
+
+    let message = dryRun ? 'Dry run complete, nothing was saved' : 'Products imported successfully';
+    if (result.errors.length > 0) {
+      message = dryRun
+        ? `Dry run found ${result.errors.length} row(s) with errors`
+        : `Imported with ${result.errors.length} row(s) skipped`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing products'
+    });
+  }
+});
+
 // @desc    Get single product
 // @route   GET /api/products/:id
 // @access  Public
@@ -203,6 +336,7 @@ router.get('/:id', [
     }
 
     const product = await Product.findById(req.params.id)
+      .populate('category', 'name slug parent')
       .populate('reviews.user', 'firstName lastName avatar');
 
     if (!product) {
@@ -244,7 +378,9 @@ router.post('/', protect, admin, upload.array('images', 10), [
   body('category').notEmpty().withMessage('Category is required'),
   body('fabric').notEmpty().withMessage('Fabric is required'),
   body('color').notEmpty().withMessage('Color is required'),
-  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
+  body('hsnCode').optional({ checkFalsy: true }).matches(/^\d{4}(\d{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('lowStockThreshold').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Low stock threshold must be a non-negative integer')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -267,14 +403,30 @@ router.post('/', protect, admin, upload.array('images', 10), [
       }
     }
 
+    // Parse variants if it's a string (from FormData)
+    if (typeof productData.variants === 'string') {
+      try {
+        productData.variants = JSON.parse(productData.variants);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variants data'
+        });
+      }
+    }
+
     // Parse tags if provided
     if (productData.tags && typeof productData.tags === 'string') {
       productData.tags = productData.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
     }
 
+    // The form may name the category by id, slug or name
+    const category = await resolveCategory(productData.category);
+    productData.category = category._id;
+
     // Generate SKU if not provided
     if (!productData.sku) {
-      const categoryCode = productData.category.substring(0, 3).toUpperCase();
+      const categoryCode = category.name.replace(/[^a-z]/gi, '').substring(0, 3).toUpperCase();
       const count = await Product.countDocuments();
       productData.sku = `${categoryCode}${(count + 1).toString().padStart(3, '0')}`;
     }
@@ -316,6 +468,8 @@ router.post('/', protect, admin, upload.array('images', 10), [
     const product = await Product.create(productData);
     console.log('Product created successfully:', product._id);
 
+    await recordStockChanges(new Map(), product, { reason: 'adjust', actor: req.user._id, note: 'Opening stock' });
+
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
@@ -326,6 +480,13 @@ router.post('/', protect, admin, upload.array('images', 10), [
     console.error('Error stack:', error.stack);
     console.error('Request body:', req.body);
     console.error('Request files:', req.files ? req.files.length : 'none');
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     // Check if it's a validation error
     if (error.name === 'ValidationError') {
@@ -361,7 +522,9 @@ router.post('/', protect, admin, upload.array('images', 10), [
 router.put('/:id', protect, admin, upload.array('images', 10), [
   param('id').isMongoId().withMessage('Invalid product ID'),
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
+  body('hsnCode').optional({ checkFalsy: true }).matches(/^\d{4}(\d{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('lowStockThreshold').optional({ checkFalsy: true }).isInt({ min: 0 }).withMessage('Low stock threshold must be a non-negative integer')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -393,11 +556,35 @@ router.put('/:id', protect, admin, upload.array('images', 10), [
       }
     }
 
+    // Parse variants if it's a string (from FormData)
+    if (typeof productData.variants === 'string') {
+      try {
+        productData.variants = JSON.parse(productData.variants);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid variants data'
+        });
+      }
+    }
+
+    const locatedStockError = checkLocatedStock(product, productData);
+    if (locatedStockError) {
+      return res.status(400).json({
+        success: false,
+        message: locatedStockError
+      });
+    }
+
     // Parse tags if provided
     if (productData.tags && typeof productData.tags === 'string') {
       productData.tags = productData.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
     }
 
+    if (productData.category !== undefined) {
+      productData.category = (await resolveCategory(productData.category))._id;
+    }
+
     // Handle existing images
     let existingImages = product.images || [];
     if (productData.existingImages) {
@@ -438,15 +625,31 @@ router.put('/:id', protect, admin, upload.array('images', 10), [
     delete productData.existingImages;
 
     // Update product
+    const stockBefore = stockLevels(product);
     Object.assign(product, productData);
     const updatedProduct = await product.save();
 
+    await recordStockChanges(stockBefore, updatedProduct, { reason: 'adjust', actor: req.user._id, note: 'Product updated' });
+
     res.json({
       success: true,
       message: 'Product updated successfully',
       data: updatedProduct
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -505,6 +708,209 @@ router.delete('/:id', protect, admin, [
   }
 });
 
+// Fields an admin may set on a product variant
+const VARIANT_FIELDS = ['sku', 'size', 'blouse', 'color', 'stock', 'price', 'images', 'isActive'];
+
+const pickVariantFields = (data) => {
+  const variantData = {};
+  VARIANT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      variantData[field] = data[field];
+    }
+  });
+  return variantData;
+};
+
+// @desc    Add product variant (Admin only)
+// @route   POST /api/products/:id/variants
+// @access  Private/Admin
+router.post('/:id/variants', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  body('sku').trim().notEmpty().withMessage('Variant SKU is required'),
+  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('size').optional().isString().trim().notEmpty().withMessage('Size cannot be empty'),
+  body('blouse').optional().isIn(['Unstitched', 'Stitched', 'Without Blouse']).withMessage('Invalid blouse option'),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('images').optional().isArray().withMessage('Images must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const stockBefore = stockLevels(product);
+    product.variants.push(pickVariantFields(req.body));
+    const updatedProduct = await product.save();
+
+    await recordStockChanges(stockBefore, updatedProduct, { reason: 'adjust', actor: req.user._id, note: 'Variant added' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: updatedProduct
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate key error. SKU already exists.'
+      });
+    }
+
+    console.error('Add variant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding variant'
+    });
+  }
+});
+
+// @desc    Update product variant (Admin only)
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private/Admin
+router.put('/:id/variants/:variantId', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  param('variantId').isMongoId().withMessage('Invalid variant ID'),
+  body('sku').optional().trim().notEmpty().withMessage('Variant SKU cannot be empty'),
+  body('size').optional().isString().trim().notEmpty().withMessage('Size cannot be empty'),
+  body('blouse').optional().isIn(['Unstitched', 'Stitched', 'Without Blouse']).withMessage('Invalid blouse option'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('images').optional().isArray().withMessage('Images must be an array'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    if (req.body.stock !== undefined && variant.locations.length > 0 && Number(req.body.stock) !== variant.stock) {
+      return res.status(400).json({
+        success: false,
+        message: LOCATED_STOCK_MESSAGE
+      });
+    }
+
+    const stockBefore = stockLevels(product);
+    Object.assign(variant, pickVariantFields(req.body));
+    const updatedProduct = await product.save();
+
+    await recordStockChanges(stockBefore, updatedProduct, { reason: 'adjust', actor: req.user._id, note: 'Variant updated' });
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: updatedProduct
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate key error. SKU already exists.'
+      });
+    }
+
+    console.error('Update variant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating variant'
+    });
+  }
+});
+
+// @desc    Delete product variant (Admin only)
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private/Admin
+router.delete('/:id/variants/:variantId', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  param('variantId').isMongoId().withMessage('Invalid variant ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const stockBefore = stockLevels(product);
+    variant.deleteOne();
+    const updatedProduct = await product.save();
+
+    await recordStockChanges(stockBefore, updatedProduct, { reason: 'adjust', actor: req.user._id, note: 'Variant deleted' });
+
+    res.json({
+      success: true,
+      message: 'Variant deleted successfully',
+      data: updatedProduct
+    });
+  } catch (error) {
+    console.error('Delete variant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting variant'
+    });
+  }
+});
+
 // @desc    Add product review
 // @route   POST /api/products/:id/reviews
 // @access  Private
@@ -574,10 +980,10 @@ router.post('/:id/reviews', protect, [
 // @access  Public
 router.get('/filters/options', async (req, res) => {
   try {
-    const categories = await Product.distinct('category', { isActive: true });
-    const fabrics = await Product.distinct('fabric', { isActive: true });
+    // Categories and attribute values come from the admin-managed taxonomy
+    const categories = await getCategoryTree();
+    const attributes = await getAttributeValues();
     const colors = await Product.distinct('color', { isActive: true });
-    const occasions = await Product.distinct('occasion', { isActive: true });
 
     // Get price range
     const priceRange = await Product.aggregate([
@@ -594,10 +1000,11 @@ router.get('/filters/options', async (req, res) => {
     res.json({
       success: true,
       data: {
-        categories: categories.filter(Boolean),
-        fabrics: fabrics.filter(Boolean),
+        categories,
+        fabrics: attributes.fabric,
         colors: colors.filter(Boolean),
-        occasions: occasions.filter(Boolean),
+        occasions: attributes.occasion,
+        sizes: attributes.size,
         priceRange: priceRange[0] || { minPrice: 0, maxPrice: 50000 }
       }
     });
@@ -0,0 +1,182 @@
+const express = require('express');
+const path = require('path');
+const { param, query, validationResult } = require('express-validator');
+const Serviceability = require('../models/Serviceability');
+const { protect, admin } = require('../middleware/authMiddleware');
+const { dataUpload } = require('../middleware/uploadMiddleware');
+const { checkPincode, importServiceabilityCsv } = require('../services/serviceability');
+const { receiveTrackingWebhook } = require('../services/shipments');
+
+const router = express.Router();
+
+// @desc    Check delivery and COD availability for a pincode
+// @route   GET /api/shipping/pincode/:pincode
+// @access  Public
+router.get('/pincode/:pincode', [
+  param('pincode').matches(/^\d{6}$/).withMessage('Invalid pincode')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await checkPincode(req.params.pincode)
+    });
+  } catch (error) {
+    console.error('Check pincode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking pincode'
+    });
+  }
+});
+
+// @desc    List serviceable pincodes
+// @route   GET /api/shipping/serviceability
+// @access  Private/Admin
+router.get('/serviceability', protect, admin, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('pincode').optional().matches(/^\d{1,6}$/).withMessage('Pincode filter must be up to 6 digits'),
+  query('serviceable').optional().isBoolean().withMessage('Serviceable must be true or false'),
+  query('cod').optional().isBoolean().withMessage('COD must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.pincode) filter.pincode = { $regex: `^${req.query.pincode}` };
+    if (req.query.state) filter.state = req.query.state;
+    if (req.query.serviceable) filter.serviceable = req.query.serviceable === 'true';
+    if (req.query.cod) filter.codAllowed = req.query.cod === 'true';
+
+    const pincodes = await Serviceability.find(filter)
+      .sort({ pincode: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Serviceability.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        pincodes,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalPincodes: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching serviceability'
+    });
+  }
+});
+
+// @desc    Import serviceability from a CSV file (field "file")
+// @route   POST /api/shipping/serviceability/import
+// @access  Private/Admin
+router.post('/serviceability/import', protect, admin, dataUpload.single('file'), [
+  query('replace').optional().isBoolean().withMessage('Replace must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file || path.extname(req.file.originalname).toLowerCase() !== '.csv') {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV file is required'
+      });
+    }
+
+    const result = await importServiceabilityCsv(req.file.buffer.toString('utf8'), {
+      replace: req.query.replace === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: result.errors.length > 0
+        ? `Imported with ${result.errors.length} row(s) skipped`
+        : 'Serviceability imported successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Import serviceability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing serviceability'
+    });
+  }
+});
+
+// @desc    Receive tracking updates from a courier
+// @route   POST /api/shipping/webhooks/:courier
+// @access  Public (verified per courier)
+router.post('/webhooks/:courier', async (req, res) => {
+  try {
+    const { order, applied } = await receiveTrackingWebhook(req.params.courier, req);
+
+    // Unknown AWBs are acknowledged so the courier stops retrying them
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order ? order.orderNumber : null,
+        applied
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Courier webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const { protect, admin, optionalAuth } = require('../middleware/authMiddleware');
+const {
+  getCategoryTree,
+  saveCategory,
+  deleteCategory,
+  listAttributes,
+  saveAttribute,
+  deleteAttribute
+} = require('../services/taxonomy');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      error: error.message
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'The slug or name is already in use'
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Error: ${label.toLowerCase()}`
+  });
+};
+
+// Admins can see inactive categories and values to manage them
+const wantsInactive = (req) => req.query.includeInactive === 'true' && req.user && req.user.role === 'admin';
+
+const categoryValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('slug').optional().isString().trim().notEmpty().withMessage('Slug cannot be empty'),
+    body('description').optional().isString().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+    body('parent').optional({ nullable: true, checkFalsy: true }).isMongoId().withMessage('Invalid parent category ID'),
+    body('displayOrder').optional().isInt().withMessage('Display order must be a whole number'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const attributeValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    ...(optional ? [] : [body('type').isIn(Attribute.TYPES).withMessage(`Type must be one of ${Attribute.TYPES.join(', ')}`)]),
+    field('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+    body('slug').optional().isString().trim().notEmpty().withMessage('Slug cannot be empty'),
+    body('hsnCode').optional({ nullable: true, checkFalsy: true }).matches(/^\d{4}(\d{2}){0,2}$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+    body('displayOrder').optional().isInt().withMessage('Display order must be a whole number'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// @desc    Get categories as a tree
+// @route   GET /api/taxonomy/categories
+// @access  Public (admins may add ?includeInactive=true)
+router.get('/categories', optionalAuth, [
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    res.json({
+      success: true,
+      data: {
+        categories: await getCategoryTree({ includeInactive: wantsInactive(req) })
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching categories');
+  }
+});
+
+// @desc    Create category
+// @route   POST /api/taxonomy/categories
+// @access  Private/Admin
+router.post('/categories', protect, admin, categoryValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const category = await saveCategory(new Category(), req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    sendError(res, error, 'Creating category');
+  }
+});
+
+// @desc    Update category (rename, move, reorder, deactivate)
+// @route   PUT /api/taxonomy/categories/:id
+// @access  Private/Admin
+router.put('/categories/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid category ID'),
+  ...categoryValidators(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    await saveCategory(category, req.body);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    sendError(res, error, 'Updating category');
+  }
+});
+
+// @desc    Delete an empty category
+// @route   DELETE /api/taxonomy/categories/:id
+// @access  Private/Admin
+router.delete('/categories/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid category ID')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    await deleteCategory(category);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Deleting category');
+  }
+});
+
+// @desc    Get attribute values (fabrics, occasions, sizes)
+// @route   GET /api/taxonomy/attributes
+// @access  Public (admins may add ?includeInactive=true)
+router.get('/attributes', optionalAuth, [
+  query('type').optional().isIn(Attribute.TYPES).withMessage(`Type must be one of ${Attribute.TYPES.join(', ')}`),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attributes = await listAttributes({
+      type: req.query.type,
+      includeInactive: wantsInactive(req)
+    });
+
+    res.json({
+      success: true,
+      data: { attributes }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching attributes');
+  }
+});
+
+// @desc    Create attribute value
+// @route   POST /api/taxonomy/attributes
+// @access  Private/Admin
+router.post('/attributes', protect, admin, attributeValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attribute = await saveAttribute(new Attribute(), req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attribute created successfully',
+      data: attribute
+    });
+  } catch (error) {
+    sendError(res, error, 'Creating attribute');
+  }
+});
+
+// @desc    Update attribute value. A rename is carried over to products.
+// @route   PUT /api/taxonomy/attributes/:id
+// @access  Private/Admin
+router.put('/attributes/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid attribute ID'),
+  ...attributeValidators(true)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attribute = await Attribute.findById(req.params.id);
+    if (!attribute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attribute not found'
+      });
+    }
+
+    await saveAttribute(attribute, req.body);
+
+    res.json({
+      success: true,
+      message: 'Attribute updated successfully',
+      data: attribute
+    });
+  } catch (error) {
+    sendError(res, error, 'Updating attribute');
+  }
+});
+
+// @desc    Delete an attribute value no product uses
+// @route   DELETE /api/taxonomy/attributes/:id
+// @access  Private/Admin
+router.delete('/attributes/:id', protect, admin, [
+  param('id').isMongoId().withMessage('Invalid attribute ID')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const attribute = await Attribute.findById(req.params.id);
+    if (!attribute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attribute not found'
+      });
+    }
+
+    await deleteAttribute(attribute);
+
+    res.json({
+      success: true,
+      message: 'Attribute deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Deleting attribute');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect, admin } = require('../middleware/authMiddleware');
+const { revokeUserSessions } = require('../services/sessions');
 
 const router = express.Router();
 
@@ -369,6 +370,10 @@ router.put('/admin/:id/status', protect, admin, [
     user.isActive = isActive;
     await user.save();
 
+    if (!isActive) {
+      await revokeUserSessions(user._id, 'deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -196,6 +196,7 @@ router.delete('/clear', protect, async (req, res) => {
 router.post('/move-to-cart/:productId', protect, [
   param('productId').isMongoId().withMessage('Invalid product ID'),
   body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
   body('size').optional().notEmpty().withMessage('Size cannot be empty if provided')
 ], async (req, res) => {
   try {
@@ -209,7 +210,7 @@ router.post('/move-to-cart/:productId', protect, [
     }
 
     const { productId } = req.params;
-    const { quantity = 1, size } = req.body;
+    const { quantity = 1, variantId } = req.body;
     const user = await User.findById(req.user._id);
 
     if (!user) {
@@ -239,26 +240,36 @@ router.post('/move-to-cart/:productId', protect, [
       });
     }
 
-    if (product.stock < quantity) {
+    const variant = product.resolveVariant({ variantId, size: req.body.size });
+
+    if (variant === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select an available variant'
+      });
+    }
+
+    const availableStock = product.getStockFor(variant);
+    const size = variant ? variant.size : req.body.size;
+
+    if (availableStock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} items available in stock`
+        message: `Only ${availableStock} items available in stock`
       });
     }
 
     // Check if item already exists in cart
-    const existingCartItemIndex = user.cart.findIndex(
-      item => item.product.toString() === productId && item.size === size
-    );
+    const existingCartItemIndex = user.findCartItemIndex(productId, variant && variant._id, size);
 
     if (existingCartItemIndex !== -1) {
       // Update quantity of existing cart item
       const newQuantity = user.cart[existingCartItemIndex].quantity + quantity;
       
-      if (newQuantity > product.stock) {
+      if (newQuantity > availableStock) {
         return res.status(400).json({
           success: false,
-          message: `Only ${product.stock} items available in stock`
+          message: `Only ${availableStock} items available in stock`
         });
       }
 
@@ -267,6 +278,7 @@ router.post('/move-to-cart/:productId', protect, [
       // Add new item to cart
       user.cart.push({
         product: productId,
+        variant: variant ? variant._id : undefined,
         quantity,
         size: size || undefined
       });
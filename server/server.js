@@ -16,10 +16,19 @@ const orderRoutes = require('./routes/orders');
 const cartRoutes = require('./routes/cart');
 const wishlistRoutes = require('./routes/wishlist');
 const paymentRoutes = require('./routes/payment');
+const couponRoutes = require('./routes/coupons');
+const shippingRoutes = require('./routes/shipping');
+const inventoryRoutes = require('./routes/inventory');
+const taxonomyRoutes = require('./routes/taxonomy');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
 
+// Import background jobs
+const { startReservationSweeper } = require('./services/reservations');
+const { startReconciliationJob } = require('./services/reconciliation');
+const { startTrackingPoller } = require('./services/shipments');
+
 const app = express();
 
 // Middleware
@@ -27,7 +36,13 @@ app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('combined'));
 
@@ -39,6 +54,10 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -66,7 +85,12 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startReservationSweeper();
+  startReconciliationJob();
+  startTrackingPoller();
+})
 .catch((error) => {
   console.error('MongoDB connection error:', error);
   process.exit(1);
@@ -0,0 +1,407 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { parseCsv, unguardCell } = require('../utils/csv');
+const { stockLevels, recordStockChanges } = require('./inventory');
+
+const catalogueError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const LOCATED_STOCK_MESSAGE = 'stock is kept per warehouse; change it through the inventory routes';
+
+// Product fields an import may set. Anything else in a row is ignored.
+const IMPORT_FIELDS = [
+  'sku', 'name', 'description', 'price', 'originalPrice', 'category', 'fabric', 'hsnCode',
+  'color', 'occasion', 'sizes', 'stock', 'lowStockThreshold', 'tags', 'weight', 'dimensions',
+  'isFeatured', 'isActive', 'images', 'variants'
+];
+
+const VARIANT_FIELDS = ['sku', 'size', 'blouse', 'color', 'stock', 'price', 'images', 'isActive'];
+
+// Columns of the catalogue CSV. List cells (sizes, tags, image URLs and
+// public ids) are separated by "|"; variants are a JSON array, empty for
+// products without variants.
+const CATALOGUE_CSV_COLUMNS = [
+  { key: 'sku' },
+  { key: 'name' },
+  { key: 'description' },
+  { key: 'price' },
+  { key: 'originalPrice' },
+  { key: 'category' },
+  { key: 'fabric' },
+  { key: 'hsnCode' },
+  { key: 'color' },
+  { key: 'occasion' },
+  { key: 'sizes' },
+  { key: 'stock' },
+  { key: 'lowStockThreshold' },
+  { key: 'tags' },
+  { key: 'weight' },
+  { key: 'dimensions.length', header: 'length' },
+  { key: 'dimensions.width', header: 'width' },
+  { key: 'dimensions.height', header: 'height' },
+  { key: 'isFeatured' },
+  { key: 'isActive' },
+  { key: 'imageUrls' },
+  { key: 'imagePublicIds' },
+  { key: 'variants' }
+];
+
+const toImages = (images) => (images || []).map(({ url, public_id }) => ({ url, public_id }));
+
+// A product as exported, in the shape a JSON import takes back. The
+// category is given by slug when it's populated.
+const toCatalogueRecord = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  originalPrice: product.originalPrice,
+  category: product.category && product.category.slug ? product.category.slug : product.category,
+  fabric: product.fabric,
+  hsnCode: product.hsnCode,
+  color: product.color,
+  occasion: product.occasion,
+  sizes: product.sizes,
+  stock: product.stock,
+  lowStockThreshold: product.lowStockThreshold,
+  tags: product.tags,
+  weight: product.weight,
+  dimensions: product.dimensions && product.dimensions.toObject ? product.dimensions.toObject() : product.dimensions,
+  isFeatured: product.isFeatured,
+  isActive: product.isActive,
+  images: toImages(product.images),
+  variants: product.variants.map(variant => ({
+    sku: variant.sku,
+    size: variant.size,
+    blouse: variant.blouse,
+    color: variant.color,
+    stock: variant.stock,
+    price: variant.price,
+    images: toImages(variant.images),
+    isActive: variant.isActive
+  }))
+});
+
+// A product as a catalogue CSV row
+const toCatalogueCsvRow = (product) => {
+  const record = toCatalogueRecord(product);
+  return {
+    ...record,
+    imageUrls: record.images.map(image => image.url),
+    imagePublicIds: record.images.map(image => image.public_id),
+    variants: record.variants.length > 0 ? JSON.stringify(record.variants) : ''
+  };
+};
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false
+};
+
+const splitList = (value) => value.split('|').map(entry => entry.trim()).filter(Boolean);
+
+// Turn one catalogue CSV row into product fields. Empty cells leave the
+// stored value as it is. Returns { fields, errors }.
+const fromCsvRow = (cells) => {
+  // Cells the export guarded against spreadsheet formulas ("'- Handwoven")
+  // come back as they were
+  const row = Object.fromEntries(Object.entries(cells).map(([key, value]) => (
+    [key, typeof value === 'string' ? unguardCell(value) : value]
+  )));
+  const fields = {};
+  const errors = [];
+  const has = (key) => row[key] !== undefined && row[key] !== '';
+
+  ['sku', 'name', 'description', 'category', 'fabric', 'hsnCode', 'color', 'occasion'].forEach(key => {
+    if (has(key)) fields[key] = row[key];
+  });
+
+  ['price', 'originalPrice', 'stock', 'lowStockThreshold', 'weight'].forEach(key => {
+    if (!has(key)) return;
+    const value = Number(row[key]);
+    if (Number.isNaN(value)) {
+      errors.push(`${key} must be a number`);
+    } else {
+      fields[key] = value;
+    }
+  });
+
+  ['length', 'width', 'height'].forEach(key => {
+    if (!has(key)) return;
+    const value = Number(row[key]);
+    if (Number.isNaN(value)) {
+      errors.push(`${key} must be a number`);
+    } else {
+      fields[`dimensions.${key}`] = value;
+    }
+  });
+
+  ['isFeatured', 'isActive'].forEach(key => {
+    if (!has(key)) return;
+    const value = BOOLEAN_VALUES[row[key].toLowerCase()];
+    if (value === undefined) {
+      errors.push(`${key} must be true or false`);
+    } else {
+      fields[key] = value;
+    }
+  });
+
+  ['sizes', 'tags'].forEach(key => {
+    if (has(key)) fields[key] = splitList(row[key]);
+  });
+
+  if (has('imageUrls') || has('imagePublicIds')) {
+    const urls = has('imageUrls') ? splitList(row.imageUrls) : [];
+    const publicIds = has('imagePublicIds') ? splitList(row.imagePublicIds) : [];
+    if (urls.length !== publicIds.length) {
+      errors.push('imageUrls and imagePublicIds must list the same number of images');
+    } else {
+      fields.images = urls.map((url, index) => ({ url, public_id: publicIds[index] }));
+    }
+  }
+
+  if (has('variants')) {
+    try {
+      fields.variants = JSON.parse(row.variants);
+      if (!Array.isArray(fields.variants)) throw new Error('not an array');
+    } catch (error) {
+      delete fields.variants;
+      errors.push('variants must be a JSON array');
+    }
+  }
+
+  return { fields, errors };
+};
+
+// Product fields from one JSON record. Keys that are missing leave the
+// stored value as it is.
+const fromJsonRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { fields: {}, errors: ['Each product must be an object'] };
+  }
+
+  const fields = {};
+  IMPORT_FIELDS.forEach(key => {
+    if (record[key] !== undefined && record[key] !== null) fields[key] = record[key];
+  });
+  if (fields.variants !== undefined && !Array.isArray(fields.variants)) {
+    delete fields.variants;
+    return { fields, errors: ['variants must be an array'] };
+  }
+  return { fields, errors: [] };
+};
+
+// Rows of an import file, as [{ line, fields, errors }]. line is the CSV
+// line, or the product's position in a JSON array (from 1). JSON may be an
+// array of products or { products: [...] }, as exported.
+const readCatalogue = (text, format) => {
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw catalogueError('The file is not valid JSON');
+    }
+    const records = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(records)) {
+      throw catalogueError('The JSON must be an array of products');
+    }
+    return records.map((record, index) => ({ line: index + 1, ...fromJsonRecord(record) }));
+  }
+
+  return parseCsv(text).map(row => ({ line: row._line, ...fromCsvRow(row) }));
+};
+
+// Variants as sent, matched by SKU to the stored ones so they keep their
+// ids (which carts and orders point at), warehouse locations and any fields
+// the row leaves out. Stored variants keep their stock unless
+// `updateStock`. Returns { variants, error }.
+const mergeVariants = (product, incoming, { updateStock }) => {
+  const variants = [];
+
+  for (const entry of incoming) {
+    if (!entry || typeof entry !== 'object') {
+      return { error: 'Each variant must be an object' };
+    }
+
+    const fields = {};
+    VARIANT_FIELDS.forEach(key => {
+      if (entry[key] !== undefined && entry[key] !== null) fields[key] = entry[key];
+    });
+
+    const existing = fields.sku && product.variants.find(variant => variant.sku === fields.sku);
+    if (!existing) {
+      variants.push(fields);
+      continue;
+    }
+    if (!updateStock) delete fields.stock;
+
+    if (existing.locations.length > 0 && fields.stock !== undefined && Number(fields.stock) !== existing.stock) {
+      return { error: `Variant ${existing.sku}: ${LOCATED_STOCK_MESSAGE}` };
+    }
+    variants.push({ ...existing.toObject(), ...fields });
+  }
+
+  return { variants };
+};
+
+const describeValidation = (error) => Object.values(error.errors).map(entry => entry.message);
+
+// Create or update products from a catalogue file, matching them by SKU.
+// Every row is checked against the Product schema (required fields,
+// category, fabric, occasion and size values and so on) before anything
+// is written. Rows with errors are skipped and reported; with `dryRun`
+// nothing is saved and the result shows what would happen.
+//
+// A file's stock is the count when it was exported, and writing it back
+// would undo every sale since, so existing products keep their stock unless
+// `updateStock` (for a stock count). Either way a product is only saved if
+// its stock and the product itself are as they were read; a row that lost
+// that race is reported to import again. Stock changes go into the
+// inventory ledger as imports.
+const importCatalogue = async (text, { format = 'csv', dryRun = false, updateStock = false, actor } = {}) => {
+  const rows = readCatalogue(text, format);
+  if (rows.length === 0) {
+    throw catalogueError('The file has no rows to import');
+  }
+
+  const errors = [];
+  const report = (row, messages) => {
+    errors.push({ line: row.line, sku: row.fields.sku, message: messages.join('; ') });
+  };
+
+  // A SKU listed twice would have its rows overwrite each other
+  const firstLine = new Map();
+  rows.forEach(row => {
+    if (!row.fields.sku) {
+      row.errors.push('sku is required');
+    } else if (firstLine.has(String(row.fields.sku))) {
+      row.errors.push(`sku ${row.fields.sku} is already on line ${firstLine.get(String(row.fields.sku))}`);
+    } else {
+      firstLine.set(String(row.fields.sku), row.line);
+    }
+  });
+
+  const stored = await Product.find({ sku: { $in: [...firstLine.keys()] } });
+  const bySku = new Map(stored.map(product => [product.sku, product]));
+
+  // Rows name their category by id, slug or name
+  const categories = new Map();
+  (await Category.find().select('name slug')).forEach(category => {
+    [category._id.toString(), category.slug, category.name.toLowerCase()].forEach(key => categories.set(key, category._id));
+  });
+
+  const planned = [];
+  for (const row of rows) {
+    if (row.fields.category !== undefined) {
+      const category = categories.get(String(row.fields.category).trim().toLowerCase());
+      if (category) {
+        row.fields.category = category;
+      } else {
+        row.errors.push(`Unknown category: ${row.fields.category}`);
+      }
+    }
+
+    if (row.errors.length > 0) {
+      report(row, row.errors);
+      continue;
+    }
+
+    const existing = bySku.get(String(row.fields.sku));
+    const product = existing || new Product();
+    const { variants, ...fields } = row.fields;
+    if (existing && !updateStock) delete fields.stock;
+
+    if (existing && existing.locations.length > 0 && fields.stock !== undefined && Number(fields.stock) !== existing.stock) {
+      report(row, [LOCATED_STOCK_MESSAGE]);
+      continue;
+    }
+
+    const before = existing ? stockLevels(existing) : new Map();
+    const unchangedSince = existing && { stock: existing.stock, updatedAt: existing.updatedAt };
+    // Setting arrays marks them modified even when they're equal, so
+    // changes are found by comparing the exported form
+    const snapshot = existing && JSON.stringify(toCatalogueRecord(existing));
+    product.set(fields);
+
+    if (variants) {
+      const merged = mergeVariants(product, variants, { updateStock });
+      if (merged.error) {
+        report(row, [merged.error]);
+        continue;
+      }
+      product.variants = merged.variants;
+    }
+
+    // Attribute values are checked against the taxonomy, so validation
+    // has to run asynchronously
+    try {
+      await product.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      report(row, describeValidation(error));
+      continue;
+    }
+
+    planned.push({ row, product, before, snapshot, unchangedSince, isNew: !existing });
+  }
+
+  let created = 0;
+  let updated = 0;
+  let unchanged = 0;
+
+  for (const { row, product, before, snapshot, unchangedSince, isNew } of planned) {
+    if (!isNew && JSON.stringify(toCatalogueRecord(product)) === snapshot) {
+      unchanged += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      if (unchangedSince) product.$where = unchangedSince;
+      try {
+        await product.save();
+      } catch (error) {
+        if (error.name === 'DocumentNotFoundError') {
+          report(row, ['The product was changed (an order or an admin edit) during the import; import it again']);
+          continue;
+        }
+        if (error.code === 11000) {
+          report(row, ['SKU is already used by another product or variant']);
+          continue;
+        }
+        if (error.name === 'ValidationError') {
+          report(row, describeValidation(error));
+          continue;
+        }
+        throw error;
+      }
+      await recordStockChanges(before, product, { reason: 'import', actor, note: 'Catalogue import' });
+    }
+
+    if (isNew) {
+      created += 1;
+    } else {
+      updated += 1;
+    }
+  }
+
+  return {
+    dryRun,
+    rows: rows.length,
+    created,
+    updated,
+    unchanged,
+    errors: errors.sort((a, b) => a.line - b.line)
+  };
+};
+
+module.exports = {
+  CATALOGUE_CSV_COLUMNS,
+  toCatalogueRecord,
+  toCatalogueCsvRow,
+  readCatalogue,
+  importCatalogue
+};
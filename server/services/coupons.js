@@ -0,0 +1,205 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Order = require('../models/Order');
+const { expandCategories } = require('./taxonomy');
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Does this line item fall within the coupon's category/fabric restrictions?
+// evaluateCoupon fills in coupon.$locals.categories with the coupon's
+// categories and those nested under them.
+const isEligibleItem = (coupon, product) => {
+  if (coupon.applicableCategories.length > 0) {
+    const categories = coupon.$locals.categories || new Set(coupon.applicableCategories.map(String));
+    const category = product.category && product.category._id ? product.category._id : product.category;
+    if (!categories.has(String(category))) return false;
+  }
+  if (coupon.applicableFabrics.length > 0 && !coupon.applicableFabrics.includes(product.fabric)) {
+    return false;
+  }
+  return true;
+};
+
+// Key a customer's coupon uses are counted under: the account, or the
+// guest's checkout email. null when neither is known.
+const customerKey = ({ userId, guestEmail } = {}) => {
+  if (userId) return `user:${userId}`;
+  if (guestEmail) return `guest:${guestEmail.trim().toLowerCase()}`;
+  return null;
+};
+
+// The customer an order's coupon use counts against
+const orderCustomer = (order) => ({
+  userId: order.user && (order.user._id || order.user),
+  guestEmail: order.guest && order.guest.email
+});
+
+// Work out the discount a coupon gives on a set of line items.
+// `lines` is an array of { product, price, quantity } where product has
+// at least category and fabric. The per-customer limit is counted against
+// userId, or guestEmail for guest checkout. Throws with a statusCode if the
+// coupon can't be used.
+const evaluateCoupon = async ({ code, userId, guestEmail, lines, now = new Date() }) => {
+  if (!code || typeof code !== 'string') {
+    throw couponError('Coupon code is required');
+  }
+
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('Invalid coupon code', 404);
+  }
+
+  if (coupon.validFrom && coupon.validFrom > now) {
+    throw couponError('This coupon is not active yet');
+  }
+
+  if (coupon.validUntil && coupon.validUntil < now) {
+    throw couponError('This coupon has expired');
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  if (subtotal < coupon.minSubtotal) {
+    throw couponError(`A minimum order value of ₹${coupon.minSubtotal} is required for this coupon`);
+  }
+
+  const customer = userId
+    ? { user: userId }
+    : guestEmail && { 'guest.email': guestEmail.trim().toLowerCase() };
+
+  if (customer) {
+    const timesUsed = await Order.countDocuments({
+      ...customer,
+      'coupon.code': coupon.code,
+      status: { $nin: ['cancelled', 'expired'] }
+    });
+
+    if (timesUsed >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  if (coupon.applicableCategories.length > 0) {
+    coupon.$locals.categories = new Set((await expandCategories(coupon.applicableCategories)).map(String));
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => isEligibleItem(coupon, line.product))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  if (eligibleSubtotal === 0) {
+    throw couponError('This coupon does not apply to any items in your cart');
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? Math.round(eligibleSubtotal * (coupon.value / 100))
+    : coupon.value;
+
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return {
+    coupon,
+    subtotal,
+    eligibleSubtotal,
+    discount
+  };
+};
+
+// Share a coupon's discount out over the line items it applies to, in
+// proportion to their value. Returns the discount on each line, in the
+// order given; the last eligible line takes any rounding difference.
+const allocateDiscount = (coupon, lines, discount) => {
+  const eligible = lines.map(line => Boolean(coupon) && isEligibleItem(coupon, line.product));
+  const eligibleSubtotal = lines
+    .filter((line, index) => eligible[index])
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const lastEligible = eligible.lastIndexOf(true);
+
+  let allocated = 0;
+  return lines.map((line, index) => {
+    if (!eligible[index] || !discount) return 0;
+    if (index === lastEligible) return Math.round((discount - allocated) * 100) / 100;
+
+    const share = Math.round(discount * (line.price * line.quantity) / eligibleSubtotal * 100) / 100;
+    allocated += share;
+    return share;
+  });
+};
+
+// Take one of the customer's uses of a coupon, only while they have some
+// left. Two checkouts by the same customer can't both take the last one.
+const claimCustomerUse = async (coupon, customer) => {
+  const filter = { coupon: coupon._id, customer, count: { $lt: coupon.perUserLimit } };
+
+  try {
+    const result = await CouponRedemption.updateOne(filter, { $inc: { count: 1 } }, { upsert: true });
+    return result.modifiedCount === 1 || result.upsertedCount === 1;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // The customer's record exists: either it's used up, or a concurrent
+    // checkout created it first and there's still a use to take
+    const result = await CouponRedemption.updateOne(filter, { $inc: { count: 1 } });
+    return result.modifiedCount === 1;
+  }
+};
+
+const giveBackCustomerUse = (coupon, customer) => CouponRedemption.updateOne(
+  { coupon: coupon._id, customer, count: { $gt: 0 } },
+  { $inc: { count: -1 } }
+);
+
+// Count one use of a coupon by a customer ({ userId } or { guestEmail }),
+// failing if their own limit or the global limit was reached in the meantime
+const redeemCoupon = async (coupon, customer) => {
+  const key = customerKey(customer);
+  if (key && !await claimCustomerUse(coupon, key)) {
+    throw couponError('You have already used this coupon', 409);
+  }
+
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const result = await Coupon.updateOne(filter, { $inc: { usedCount: 1 } });
+
+  if (result.modifiedCount !== 1) {
+    if (key) await giveBackCustomerUse(coupon, key);
+    throw couponError('This coupon has reached its usage limit', 409);
+  }
+};
+
+// Give back a use when the order that redeemed the coupon doesn't go through
+const releaseCoupon = async (code, customer) => {
+  if (!code) return;
+
+  const coupon = await Coupon.findOneAndUpdate(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  const key = customerKey(customer);
+  if (coupon && key) {
+    await giveBackCustomerUse(coupon, key);
+  }
+};
+
+module.exports = {
+  orderCustomer,
+  evaluateCoupon,
+  allocateDiscount,
+  redeemCoupon,
+  releaseCoupon
+};
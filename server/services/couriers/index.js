@@ -0,0 +1,59 @@
+const shiprocketCourier = require('./shiprocketCourier');
+const simulatorCourier = require('./simulatorCourier');
+
+// Courier adapters implement:
+//   createShipment(order, request) -> { awb, shipmentId, courier, labelUrl, trackingUrl }
+//   getLabel(order, shipment) -> { url } or { pdf }
+//   getTracking(awb) -> [event]
+//   verifyWebhook(req) -> boolean
+//   parseWebhook(body) -> { awb, events: [event] }
+// where request describes one parcel of the order:
+//   { reference, items: [{ name, sku, quantity, price, hsnCode }], value,
+//     pickupLocation, parcel: { weight (grams), length, width, height (cm) } }
+// value being what the parcel is worth (and collects, for COD). An event is
+// { status, rawStatus, message, location, timestamp } with status one of
+// TRACKING_STATUSES, or null for scans that don't change anything, and
+// timestamp null when the courier didn't say when the scan happened.
+const couriers = {
+  shiprocket: shiprocketCourier,
+  simulator: simulatorCourier
+};
+
+const TRACKING_STATUSES = [
+  'created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'failed_delivery',
+  'delivered',
+  'rto',
+  'rto_delivered',
+  'cancelled'
+];
+
+const courierError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// COURIER_PROVIDER picks the adapter for new shipments, e.g. "simulator"
+// in development
+const getCourier = (name = process.env.COURIER_PROVIDER || 'shiprocket') => {
+  const courier = couriers[name];
+  if (!courier) {
+    throw courierError(`Unknown courier: ${name}`);
+  }
+  return courier;
+};
+
+// Swap in a courier implementation, e.g. a test double
+const registerCourier = (name, courier) => {
+  couriers[name] = courier;
+};
+
+module.exports = {
+  TRACKING_STATUSES,
+  getCourier,
+  registerCourier
+};
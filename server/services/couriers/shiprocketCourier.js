@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+const BASE_URL = 'https://apiv2.shiprocket.in/v1/external';
+
+// Shiprocket tokens last 10 days; renew a day early
+const TOKEN_LIFETIME_MS = 9 * 24 * 60 * 60 * 1000;
+
+let auth = null;
+
+const shiprocketError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getToken = async () => {
+  if (auth && auth.expiresAt > Date.now()) return auth.token;
+
+  if (!process.env.SHIPROCKET_EMAIL || !process.env.SHIPROCKET_PASSWORD) {
+    throw shiprocketError('SHIPROCKET_EMAIL and SHIPROCKET_PASSWORD are not configured', 500);
+  }
+
+  const response = await fetch(`${BASE_URL}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      email: process.env.SHIPROCKET_EMAIL,
+      password: process.env.SHIPROCKET_PASSWORD
+    })
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.token) {
+    throw shiprocketError(`Shiprocket login failed: ${data.message || response.status}`);
+  }
+
+  auth = { token: data.token, expiresAt: Date.now() + TOKEN_LIFETIME_MS };
+  return auth.token;
+};
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${await getToken()}`
+    },
+    body: body && JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    auth = null;
+  }
+  if (!response.ok) {
+    throw shiprocketError(`Shiprocket ${path} failed: ${data.message || response.status}`);
+  }
+  return data;
+};
+
+// Shiprocket status labels, as they appear on scans and webhooks
+const STATUS_MAP = {
+  'AWB ASSIGNED': 'created',
+  'LABEL GENERATED': 'created',
+  'PICKUP SCHEDULED': 'created',
+  'PICKUP GENERATED': 'created',
+  'MANIFEST GENERATED': 'created',
+  'PICKED UP': 'picked_up',
+  SHIPPED: 'in_transit',
+  'IN TRANSIT': 'in_transit',
+  'REACHED AT DESTINATION HUB': 'in_transit',
+  'OUT FOR DELIVERY': 'out_for_delivery',
+  UNDELIVERED: 'failed_delivery',
+  DELIVERED: 'delivered',
+  'RTO INITIATED': 'rto',
+  'RTO IN TRANSIT': 'rto',
+  'RTO DELIVERED': 'rto_delivered',
+  CANCELED: 'cancelled',
+  CANCELLED: 'cancelled'
+};
+
+const toStatus = (label) => STATUS_MAP[(label || '').trim().toUpperCase()] || null;
+
+// Scan dates come as "2024-01-15 10:30:00" in IST. Scans without a
+// (readable) date get none rather than the time they were read, so the
+// same scan read twice is still recognised.
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(`${String(value).replace(' ', 'T')}+05:30`);
+  if (!Number.isNaN(date.getTime())) return date;
+  const fallback = new Date(value);
+  return Number.isNaN(fallback.getTime()) ? null : fallback;
+};
+
+const toEvent = (scan) => {
+  const rawStatus = scan['sr-status-label'] || scan.status || scan.current_status;
+  return {
+    status: toStatus(rawStatus),
+    rawStatus,
+    message: scan.activity || rawStatus,
+    location: scan.location,
+    timestamp: parseDate(scan.date || scan.current_timestamp)
+  };
+};
+
+// Create the parcel as an order on Shiprocket, assign an AWB and generate
+// its label
+const createShipment = async (order, { reference, items, value, pickupLocation, parcel }) => {
+  const address = order.shippingAddress;
+
+  const created = await request('/orders/create/adhoc', {
+    method: 'POST',
+    body: {
+      order_id: reference,
+      order_date: new Date(order.createdAt).toISOString().slice(0, 16).replace('T', ' '),
+      pickup_location: pickupLocation || process.env.SHIPROCKET_PICKUP_LOCATION || 'Primary',
+      billing_customer_name: address.firstName,
+      billing_last_name: address.lastName,
+      billing_address: address.addressLine1,
+      billing_address_2: address.addressLine2 || '',
+      billing_city: address.city,
+      billing_pincode: address.pincode,
+      billing_state: address.state,
+      billing_country: address.country || 'India',
+      billing_email: (order.guest && order.guest.email) || '',
+      billing_phone: address.phone,
+      shipping_is_billing: true,
+      order_items: items.map(item => ({
+        name: item.name,
+        sku: item.sku,
+        units: item.quantity,
+        selling_price: item.price,
+        hsn: item.hsnCode || ''
+      })),
+      payment_method: order.paymentInfo.method === 'cod' ? 'COD' : 'Prepaid',
+      sub_total: value,
+      length: parcel.length,
+      breadth: parcel.width,
+      height: parcel.height,
+      weight: parcel.weight / 1000
+    }
+  });
+
+  const assigned = await request('/courier/assign/awb', {
+    method: 'POST',
+    body: { shipment_id: created.shipment_id }
+  });
+  const awbData = assigned.response && assigned.response.data;
+  if (!awbData || !awbData.awb_code) {
+    throw shiprocketError(`Shiprocket could not assign an AWB: ${assigned.message || 'no courier available'}`);
+  }
+
+  const label = await request('/courier/generate/label', {
+    method: 'POST',
+    body: { shipment_id: [created.shipment_id] }
+  });
+
+  return {
+    awb: awbData.awb_code,
+    shipmentId: String(created.shipment_id),
+    courier: awbData.courier_name,
+    labelUrl: label.label_url,
+    trackingUrl: `https://shiprocket.co/tracking/${awbData.awb_code}`
+  };
+};
+
+const getLabel = async (order, shipment) => ({ url: shipment.labelUrl });
+
+const getTracking = async (awb) => {
+  const data = await request(`/courier/track/awb/${encodeURIComponent(awb)}`);
+  const activities = (data.tracking_data && data.tracking_data.shipment_track_activities) || [];
+  return activities.map(toEvent);
+};
+
+// Shiprocket sends the token set in its webhook settings as x-api-key
+const verifyWebhook = (req) => {
+  const expected = process.env.SHIPROCKET_WEBHOOK_TOKEN;
+  const received = req.get('x-api-key');
+  if (!expected || !received) return false;
+
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const parseWebhook = (body) => {
+  const scans = Array.isArray(body.scans) ? body.scans : [];
+  const current = toEvent({
+    'sr-status-label': body.shipment_status || body.current_status,
+    activity: body.current_status,
+    current_timestamp: body.current_timestamp
+  });
+
+  return {
+    awb: body.awb && String(body.awb),
+    events: [...scans.map(toEvent), current]
+  };
+};
+
+module.exports = {
+  name: 'shiprocket',
+  createShipment,
+  getLabel,
+  getTracking,
+  verifyWebhook,
+  parseWebhook
+};
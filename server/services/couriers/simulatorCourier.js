@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+// Local courier for development and tests. Keeps no state: the AWB carries
+// its creation time, and tracking is replayed from how long ago that was, one
+// scan every COURIER_SIMULATOR_MINUTES_PER_STEP minutes. AWBs ending in an
+// odd digit fail delivery once before going out again.
+const STEPS = [
+  { status: 'picked_up', message: 'Picked up from seller', location: 'Chennai' },
+  { status: 'in_transit', message: 'Reached origin hub', location: 'Chennai Hub' },
+  { status: 'in_transit', message: 'Reached destination hub', location: 'Destination Hub' },
+  { status: 'out_for_delivery', message: 'Out for delivery', location: 'Destination Hub' },
+  { status: 'delivered', message: 'Delivered', location: 'Destination' }
+];
+
+const FAILED_ATTEMPT = [
+  { status: 'failed_delivery', message: 'Customer not available', location: 'Destination Hub' },
+  { status: 'out_for_delivery', message: 'Out for delivery, second attempt', location: 'Destination Hub' }
+];
+
+const AWB_PATTERN = /^SIM([0-9A-Z]+)-([0-9]{4})$/;
+
+const getStepMs = () => (Number(process.env.COURIER_SIMULATOR_MINUTES_PER_STEP) || 60) * 60 * 1000;
+
+const parseAwb = (awb) => {
+  const match = AWB_PATTERN.exec(awb || '');
+  if (!match) return null;
+  return {
+    createdAt: parseInt(match[1], 36),
+    failsOnce: Number(match[2]) % 2 === 1
+  };
+};
+
+const createShipment = async () => {
+  const awb = `SIM${Date.now().toString(36).toUpperCase()}-${String(crypto.randomInt(10000)).padStart(4, '0')}`;
+  return {
+    awb,
+    shipmentId: awb,
+    courier: 'Simulator Express',
+    labelUrl: null,
+    trackingUrl: null
+  };
+};
+
+// A 4x6 inch label, the size thermal label printers take
+const getLabel = (order, shipment) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: [288, 432], margin: 18 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve({ pdf: Buffer.concat(chunks) }));
+  doc.on('error', reject);
+
+  const address = order.shippingAddress;
+  const units = shipment.items.reduce((sum, item) => sum + item.quantity, 0);
+  const method = order.paymentInfo.method === 'cod'
+    ? `COD  Rs. ${(shipment.value || 0).toFixed(2)}`
+    : 'PREPAID';
+
+  doc.fontSize(14).font('Helvetica-Bold').text('Simulator Express');
+  doc.moveDown(0.5);
+  doc.fontSize(18).text(shipment.trackingNumber);
+  doc.fontSize(9).font('Helvetica').text(`Order ${order.orderNumber}`);
+  doc.moveDown();
+  doc.fontSize(9).font('Helvetica-Bold').text('Deliver to');
+  doc.font('Helvetica').text(`${address.firstName} ${address.lastName}`);
+  doc.text(address.addressLine1);
+  if (address.addressLine2) doc.text(address.addressLine2);
+  doc.text(`${address.city}, ${address.state} ${address.pincode}`);
+  doc.text(`Phone: ${address.phone}`);
+  doc.moveDown();
+  doc.fontSize(12).font('Helvetica-Bold').text(method);
+  doc.fontSize(9).font('Helvetica').text(`${units} item(s)`);
+  doc.end();
+});
+
+const getTracking = async (awb) => {
+  const parsed = parseAwb(awb);
+  if (!parsed) {
+    const error = new Error(`Unknown simulator AWB: ${awb}`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const steps = parsed.failsOnce
+    ? [...STEPS.slice(0, 4), ...FAILED_ATTEMPT, STEPS[4]]
+    : STEPS;
+  const reached = Math.floor((Date.now() - parsed.createdAt) / getStepMs());
+
+  return steps.slice(0, Math.min(reached, steps.length)).map((step, index) => ({
+    status: step.status,
+    rawStatus: step.message,
+    message: step.message,
+    location: step.location,
+    timestamp: new Date(parsed.createdAt + (index + 1) * getStepMs())
+  }));
+};
+
+const sign = (payload, secret = process.env.COURIER_WEBHOOK_SECRET) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest('hex');
+
+// Webhooks carry an HMAC of the raw body in x-simulator-signature
+const verifyWebhook = (req) => {
+  const received = req.get('x-simulator-signature');
+  if (!process.env.COURIER_WEBHOOK_SECRET || !received || !req.rawBody) return false;
+
+  const a = Buffer.from(received);
+  const b = Buffer.from(sign(req.rawBody));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const parseWebhook = (body) => ({
+  awb: body.awb,
+  events: (Array.isArray(body.events) ? body.events : []).map(event => ({
+    status: event.status,
+    rawStatus: event.status,
+    message: event.message,
+    location: event.location,
+    timestamp: event.timestamp ? new Date(event.timestamp) : null
+  }))
+});
+
+// Build a signed webhook request, as the simulator would send it
+const signWebhook = (awb, events, secret = process.env.COURIER_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify({ awb, events });
+  return { payload, signature: sign(payload, secret) };
+};
+
+module.exports = {
+  name: 'simulator',
+  createShipment,
+  getLabel,
+  getTracking,
+  verifyWebhook,
+  parseWebhook,
+  signWebhook
+};
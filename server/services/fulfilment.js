@@ -0,0 +1,171 @@
+const Warehouse = require('../models/Warehouse');
+
+const fulfilmentError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// How close a warehouse is to a destination: the number of leading digits
+// their pincodes share. The digits narrow down region, sub-region and
+// sorting district in turn, so this stands in for distance.
+const proximity = (from, to) => {
+  let shared = 0;
+  while (shared < 6 && from && to && from[shared] === to[shared]) {
+    shared += 1;
+  }
+  return shared;
+};
+
+const describeLine = ({ product, variant }) => (variant
+  ? `${product.name} (${[variant.size, variant.blouse, variant.color].filter(Boolean).join(', ')})`
+  : product.name);
+
+// Decide which warehouse ships which units. Lines are
+// { product, variant, quantity } with the product document (and variant
+// subdocument) as loaded for the order.
+//
+// The closest warehouse that can fill the whole order ships it. When none
+// can, the order is split: each round takes what it can from the warehouse
+// able to ship the most of what's left, closest first on a tie, so the
+// order goes out in as few parcels as possible.
+//
+// Returns [{ warehouse, items: [{ line, quantity }] }] where line is the
+// index into lines. warehouse is null when no warehouses are set up.
+// Stock is only read here; reserveStock takes it.
+const planFulfilment = async (lines, { pincode } = {}) => {
+  const warehouses = await Warehouse.listActive();
+
+  if (warehouses.length === 0) {
+    return [{ warehouse: null, items: lines.map((line, index) => ({ line: index, quantity: line.quantity })) }];
+  }
+
+  const ranked = warehouses
+    .map((warehouse, index) => ({ warehouse, index, closeness: proximity(warehouse.address.pincode, pincode) }))
+    .sort((a, b) => b.closeness - a.closeness || a.index - b.index)
+    .map(entry => entry.warehouse);
+
+  // Units available per product/variant at each warehouse. Lines for the
+  // same variant draw on the same stock.
+  const keyOf = (line) => `${line.product._id}:${line.variant ? line.variant._id : ''}`;
+  const available = new Map();
+  lines.forEach(line => {
+    line.product.getLocationStock(line.variant, warehouses[0]._id).forEach((stock, warehouseId) => {
+      available.set(`${keyOf(line)}@${warehouseId}`, stock);
+    });
+  });
+
+  // What a warehouse would ship of the remaining quantities
+  const takeFrom = (warehouse, remaining) => {
+    const left = new Map();
+    const items = [];
+
+    lines.forEach((line, index) => {
+      const key = `${keyOf(line)}@${warehouse._id}`;
+      const stock = left.has(key) ? left.get(key) : (available.get(key) || 0);
+      const quantity = Math.min(remaining[index], stock);
+
+      left.set(key, stock - quantity);
+      if (quantity > 0) items.push({ line: index, quantity });
+    });
+
+    return { items, left, units: items.reduce((sum, item) => sum + item.quantity, 0) };
+  };
+
+  const remaining = lines.map(line => line.quantity);
+  const total = remaining.reduce((sum, quantity) => sum + quantity, 0);
+
+  const whole = ranked
+    .map(warehouse => ({ warehouse, ...takeFrom(warehouse, remaining) }))
+    .find(entry => entry.units === total);
+  if (whole) {
+    return [{ warehouse: whole.warehouse, items: whole.items }];
+  }
+
+  const plan = [];
+  while (remaining.some(quantity => quantity > 0)) {
+    const best = ranked
+      .map(warehouse => ({ warehouse, ...takeFrom(warehouse, remaining) }))
+      .reduce((top, entry) => (entry.units > top.units ? entry : top), { units: 0 });
+
+    if (best.units === 0) {
+      const line = lines[remaining.findIndex(quantity => quantity > 0)];
+      throw fulfilmentError(`Insufficient stock for ${describeLine(line)}. Only ${line.product.getStockFor(line.variant)} items available.`);
+    }
+
+    best.left.forEach((stock, key) => available.set(key, stock));
+    best.items.forEach(item => {
+      remaining[item.line] -= item.quantity;
+    });
+    plan.push({ warehouse: best.warehouse, items: best.items });
+  }
+
+  return plan;
+};
+
+// Order shipments for a plan, to set on order.shipments. The order's items
+// must be in the same order as the planned lines.
+const buildShipments = (order, plan) => plan.map(({ warehouse, items }) => ({
+  warehouse: warehouse ? warehouse._id : undefined,
+  items: items.map(({ line, quantity }) => {
+    const orderItem = order.items[line];
+    return {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity
+    };
+  })
+}));
+
+// The states each planned line ships from, for GST: one array per line of
+// [{ state, quantity }]. Lines shipped without a warehouse have no state,
+// which the tax service takes to mean the seller's state.
+const getLineOrigins = (plan, lineCount) => {
+  const origins = Array.from({ length: lineCount }, () => []);
+  plan.forEach(({ warehouse, items }) => {
+    items.forEach(({ line, quantity }) => {
+      origins[line].push({ state: warehouse ? warehouse.address.state : undefined, quantity });
+    });
+  });
+  return origins;
+};
+
+// Stock items, with the warehouse each unit ships from, for some of an
+// order's lines ([{ orderItem, quantity }], all of them by default). Units
+// not found in a shipment carry no warehouse, which the inventory service
+// takes to mean the default one.
+const stockItemsFor = (order, lines) => {
+  const entries = lines || order.items.map(item => ({ orderItem: item._id, quantity: item.quantity }));
+  const items = [];
+
+  entries.forEach(({ orderItem, quantity }) => {
+    const item = order.items.id(orderItem);
+    if (!item) return;
+    let left = quantity;
+
+    (order.shipments || []).forEach(shipment => {
+      shipment.items.forEach(entry => {
+        if (left > 0 && entry.orderItem && entry.orderItem.toString() === item._id.toString()) {
+          const taken = Math.min(left, entry.quantity);
+          items.push({ product: item.product, variant: item.variant, warehouse: shipment.warehouse, quantity: taken });
+          left -= taken;
+        }
+      });
+    });
+
+    if (left > 0) {
+      items.push({ product: item.product, variant: item.variant, quantity: left });
+    }
+  });
+
+  return items;
+};
+
+module.exports = {
+  proximity,
+  planFulfilment,
+  buildShipments,
+  getLineOrigins,
+  stockItemsFor
+};
@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+const GuestCart = require('../models/GuestCart');
+const Order = require('../models/Order');
+
+// Guests carry two kinds of signed token: one naming their cart
+// (X-Cart-Token) and one per order they placed (X-Order-Token). The type
+// claim keeps them from being used for each other or as access tokens.
+const signToken = (type, id, expiresIn) => jwt.sign(
+  { type, id: id.toString() },
+  process.env.JWT_SECRET,
+  { expiresIn }
+);
+
+const readToken = (type, token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === type ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const signCartToken = (cartId) => signToken('guest_cart', cartId, `${GuestCart.getLifetimeDays()}d`);
+
+const signOrderToken = (orderId) => signToken('guest_order', orderId, '180d');
+
+// Guest cart named by a cart token. With `create`, a new (unsaved) cart is
+// returned when the token is missing or its cart has expired.
+const findGuestCart = async (cartToken, { create = false } = {}) => {
+  const cartId = readToken('guest_cart', cartToken);
+  const cart = cartId ? await GuestCart.findById(cartId) : null;
+
+  if (!cart && create) {
+    return new GuestCart();
+  }
+  return cart;
+};
+
+// Move a guest cart into a user's cart after they sign in. Lines already in
+// the user's cart keep the larger of the two quantities.
+const mergeGuestCart = async (user, cartToken) => {
+  const guestCart = await findGuestCart(cartToken);
+  if (!guestCart) return;
+
+  guestCart.cart.forEach(item => {
+    const index = user.findCartItemIndex(item.product, item.variant, item.size);
+
+    if (index === -1) {
+      user.cart.push({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        size: item.size
+      });
+    } else {
+      user.cart[index].quantity = Math.max(user.cart[index].quantity, item.quantity);
+    }
+  });
+
+  await user.save({ validateBeforeSave: false });
+  await GuestCart.deleteOne({ _id: guestCart._id });
+};
+
+// Whether the requester owns an order: the signed-in user it belongs to, or a
+// guest presenting that order's token
+const canAccessOrder = (req, order) => {
+  const ownerId = order.user && (order.user._id || order.user);
+
+  if (req.user) {
+    return Boolean(ownerId) && ownerId.toString() === req.user._id.toString();
+  }
+  return !ownerId && readToken('guest_order', req.get('x-order-token')) === order._id.toString();
+};
+
+// Attach guest orders placed with this email to the user's account. Only
+// called once the user has proven they own the address.
+const claimGuestOrders = async (user) => {
+  const result = await Order.updateMany(
+    { user: null, 'guest.email': user.email.toLowerCase() },
+    { $set: { user: user._id } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  signCartToken,
+  signOrderToken,
+  findGuestCart,
+  mergeGuestCart,
+  canAccessOrder,
+  claimGuestOrders
+};
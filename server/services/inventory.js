@@ -0,0 +1,567 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Warehouse = require('../models/Warehouse');
+const InventoryMovement = require('../models/InventoryMovement');
+const { notifyUser } = require('./notifications');
+
+// Every stock change goes through this module and is written to the
+// InventoryMovement ledger with its reason, so stock can always be explained
+// and checked (see auditStock). Callers pass the context for the ledger:
+//   reason - one of InventoryMovement.REASONS
+//   order  - order the change belongs to
+//   actor  - id of the user making the change
+//   note   - free text shown in the movement history
+
+const STOCK_FIELDS = 'name sku stock locations lowStockThreshold variants';
+
+// Reorder threshold for products that don't set their own
+const getDefaultThreshold = () => (
+  process.env.LOW_STOCK_THRESHOLD !== undefined ? Number(process.env.LOW_STOCK_THRESHOLD) : 5
+);
+
+const getThreshold = (product) => (
+  product.lowStockThreshold != null ? product.lowStockThreshold : getDefaultThreshold()
+);
+
+const inventoryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const describeItem = (product, variant) => (variant
+  ? `${product.name} (${[variant.size, variant.blouse, variant.color].filter(Boolean).join(', ')})`
+  : product.name);
+
+// Emails every active admin
+const emailAdmins = async (item) => {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+  admins.forEach(admin => notifyUser('lowStock', admin._id, { item }));
+};
+
+let lowStockAlert = emailAdmins;
+
+// Replace what happens when stock runs low, e.g. to post to a chat channel.
+// The handler gets { product, variant, sku, label, stock, threshold }.
+const setLowStockAlert = (handler) => {
+  lowStockAlert = handler;
+};
+
+// Alert when a change takes stock from above the reorder threshold to at or
+// below it. Runs in the background so stock changes never wait on it.
+const checkLowStock = (product, variant, before, after) => {
+  const threshold = getThreshold(product);
+  if (!(before > threshold && after <= threshold)) return;
+
+  const item = {
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    label: describeItem(product, variant),
+    stock: after,
+    threshold
+  };
+
+  Promise.resolve()
+    .then(() => lowStockAlert(item))
+    .catch(error => console.error(`Low stock alert for ${item.label} failed:`, error));
+};
+
+const movementContext = ({ reason, order, actor, note } = {}) => ({
+  reason,
+  order: order && (order._id || order),
+  actor,
+  note
+});
+
+// Ledger entry for a change already applied to `product` (as it is after the change)
+const toMovement = (item, change, product, context) => {
+  const variant = item.variant ? product.variants.id(item.variant) : null;
+  const balance = variant ? variant.stock : product.stock;
+  checkLowStock(product, variant, balance - change, balance);
+
+  return {
+    product: product._id,
+    variant: variant ? variant._id : undefined,
+    sku: variant ? variant.sku : product.sku,
+    warehouse: item.warehouse,
+    quantity: change,
+    balance,
+    ...movementContext(context)
+  };
+};
+
+// The stock has already moved by the time movements are written. If writing
+// them fails the ledger falls behind, which auditStock reports.
+const recordMovements = async (movements) => {
+  if (movements.length === 0) return;
+
+  try {
+    await InventoryMovement.insertMany(movements);
+  } catch (error) {
+    console.error('Inventory ledger error:', error);
+  }
+};
+
+// Build the filter, $inc and array filters for changing an item's stock.
+// Items with a variant move both the variant's stock and the product total;
+// items with a warehouse also move that warehouse's location.
+const stockUpdate = (item, change) => {
+  if (!item.warehouse) {
+    return item.variant
+      ? {
+        filter: { _id: item.product, 'variants._id': item.variant },
+        update: { $inc: { 'variants.$.stock': change, stock: change } }
+      }
+      : {
+        filter: { _id: item.product },
+        update: { $inc: { stock: change } }
+      };
+  }
+
+  return item.variant
+    ? {
+      filter: { _id: item.product, 'variants._id': item.variant },
+      update: {
+        $inc: {
+          stock: change,
+          'variants.$[v].stock': change,
+          'variants.$[v].locations.$[l].stock': change
+        }
+      },
+      arrayFilters: [{ 'v._id': item.variant }, { 'l.warehouse': item.warehouse }]
+    }
+    : {
+      filter: { _id: item.product },
+      update: { $inc: { stock: change, 'locations.$[l].stock': change } },
+      arrayFilters: [{ 'l.warehouse': item.warehouse }]
+    };
+};
+
+// Filter matching an item only while its stock (at its warehouse, if it has
+// one) meets `condition`. With `active`, only while it's on sale.
+const stockFilter = (item, condition, { active = false } = {}) => {
+  const level = item.warehouse
+    ? { locations: { $elemMatch: { warehouse: item.warehouse, stock: condition } } }
+    : { stock: condition };
+  const activeOnly = active ? { isActive: true } : {};
+
+  return item.variant
+    ? { _id: item.product, ...activeOnly, variants: { $elemMatch: { _id: item.variant, ...activeOnly, ...level } } }
+    : { _id: item.product, ...activeOnly, ...level };
+};
+
+// Stock from before warehouses were set up is moved into the default
+// warehouse the first time a warehouse's stock is touched, so locations
+// always add up to the total. Then the item's warehouse gets a location if
+// it has none yet.
+const prepareLocation = async (item, defaultWarehouse) => {
+  const warehouse = item.warehouse;
+
+  if (item.variant) {
+    await Product.updateOne(
+      { _id: item.product, variants: { $elemMatch: { 'locations.0': { $exists: false } } } },
+      [{
+        $set: {
+          variants: {
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$$variant.locations', []] } }, 0] },
+                  '$$variant',
+                  { $mergeObjects: ['$$variant', { locations: [{ warehouse: defaultWarehouse, stock: '$$variant.stock' }] }] }
+                ]
+              }
+            }
+          }
+        }
+      }]
+    );
+    await Product.updateOne(
+      { _id: item.product, variants: { $elemMatch: { _id: item.variant, 'locations.warehouse': { $ne: warehouse } } } },
+      { $push: { 'variants.$.locations': { warehouse, stock: 0 } } }
+    );
+    return;
+  }
+
+  await Product.updateOne(
+    { _id: item.product, 'locations.0': { $exists: false } },
+    [{ $set: { locations: [{ warehouse: defaultWarehouse, stock: '$stock' }] } }]
+  );
+  await Product.updateOne(
+    { _id: item.product, 'locations.warehouse': { $ne: warehouse } },
+    { $push: { locations: { warehouse, stock: 0 } } }
+  );
+};
+
+// Once warehouses are set up, every change is made at one. Items without a
+// warehouse (orders placed before, admin edits) go to the default one.
+const resolveWarehouses = async (items) => {
+  const [defaultWarehouse] = await Warehouse.listActive().select('_id').limit(1);
+  if (!defaultWarehouse) return items;
+
+  const resolved = items.map(item => ({
+    product: item.product,
+    variant: item.variant,
+    warehouse: item.warehouse || defaultWarehouse._id,
+    quantity: item.quantity
+  }));
+  for (const item of resolved) {
+    await prepareLocation(item, defaultWarehouse._id);
+  }
+  return resolved;
+};
+
+// Change an item's stock. Returns the product after the change, or null when
+// the filter didn't match.
+const applyChange = (item, change, filter) => {
+  const { filter: matchItem, update, arrayFilters } = stockUpdate(item, change);
+  return Product.findOneAndUpdate(filter || matchItem, update, {
+    new: true,
+    projection: STOCK_FIELDS,
+    arrayFilters
+  });
+};
+
+// Put stock back for items that were previously reserved
+const releaseStock = async (items, context) => {
+  const movements = [];
+
+  for (const item of await resolveWarehouses(items)) {
+    const product = await applyChange(item, item.quantity);
+    if (product) {
+      movements.push(toMovement(item, item.quantity, product, context));
+    }
+  }
+
+  await recordMovements(movements);
+};
+
+const insufficientStockError = async (item) => {
+  const product = await Product.findById(item.product).select('name stock variants');
+  let message = 'Some products are not available';
+
+  if (product) {
+    const variant = item.variant ? product.variants.id(item.variant) : null;
+    const available = variant ? variant.stock : product.stock;
+    message = `Insufficient stock for ${describeItem(product, variant)}. Only ${available} items available.`;
+  }
+
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+// Reserve stock for every item or for none of them.
+// Each decrement is conditional on enough stock being left, so two
+// concurrent checkouts can never both take the last unit. If any item
+// cannot be reserved, everything taken so far is put back. Only a complete
+// reservation is written to the ledger.
+const reserveStock = async (items, context) => {
+  const reserved = [];
+
+  for (const item of await resolveWarehouses(items)) {
+    const filter = stockFilter(item, { $gte: item.quantity }, { active: true });
+    const product = await applyChange(item, -item.quantity, filter);
+
+    if (!product) {
+      for (const entry of reserved) {
+        await applyChange(entry.item, entry.item.quantity);
+      }
+      throw await insufficientStockError(item);
+    }
+
+    reserved.push({ item, product });
+  }
+
+  await recordMovements(reserved.map(({ item, product }) => (
+    toMovement(item, -item.quantity, product, context)
+  )));
+
+  return items;
+};
+
+// Load a product and the variant named for a stock change
+const findStockTarget = async (productId, variant) => {
+  const product = await Product.findById(productId).select(STOCK_FIELDS);
+  if (!product) {
+    throw inventoryError('Product not found', 404);
+  }
+  if (product.variants.length > 0 && !variant) {
+    throw inventoryError('This product has variants; choose the variant whose stock to change');
+  }
+
+  const target = variant ? product.variants.id(variant) : product;
+  if (!target) {
+    throw inventoryError('Variant not found', 404);
+  }
+  return { product, target };
+};
+
+const findWarehouse = async (id) => {
+  const warehouse = await Warehouse.findById(id);
+  if (!warehouse) {
+    throw inventoryError('Warehouse not found', 404);
+  }
+  return warehouse;
+};
+
+// Set an item's stock to a counted level, or move it by a quantity. Once
+// warehouses are set up this is the stock at `warehouse` (the default one
+// when not given). A counted level only applies if the stock hasn't changed
+// since it was read, so a sale in between isn't overwritten.
+// Returns { product, movement }.
+const adjustStock = async (productId, { variant, warehouse, quantity, stock, reason = 'adjust', actor, note } = {}) => {
+  const found = await findStockTarget(productId, variant);
+  if (warehouse) {
+    await findWarehouse(warehouse);
+  }
+
+  const [item] = await resolveWarehouses([{
+    product: found.product._id,
+    variant: variant && found.target._id,
+    warehouse
+  }]);
+
+  // Read again now any location has been set up
+  const { product, target } = await findStockTarget(productId, variant);
+  const location = item.warehouse && target.locations.find(entry => entry.warehouse.equals(item.warehouse));
+  const current = location ? location.stock : target.stock;
+  const change = stock !== undefined ? stock - current : quantity;
+
+  if (!Number.isInteger(change)) {
+    throw inventoryError('Give either a stock count or a whole-number quantity');
+  }
+  if (change === 0) {
+    return { product, movement: null };
+  }
+  if (current + change < 0) {
+    throw inventoryError(`Only ${current} in stock`, 409);
+  }
+
+  const updated = await applyChange(item, change, stockFilter(item, stock !== undefined ? current : { $gte: -change }));
+  if (!updated) {
+    throw inventoryError(stock !== undefined
+      ? 'Stock changed while you were counting, check the latest level and try again'
+      : 'Not enough stock for this adjustment', 409);
+  }
+
+  const movement = await InventoryMovement.create(
+    toMovement(item, change, updated, { reason, actor, note })
+  );
+
+  return { product: updated, movement };
+};
+
+// Move stock of a product (or variant) from one warehouse to another. The
+// total doesn't change, so both sides are moved in one update.
+// Returns { product, movements }.
+const transferStock = async (productId, { variant, from, to, quantity, actor, note } = {}) => {
+  if (String(from) === String(to)) {
+    throw inventoryError('Choose two different warehouses');
+  }
+
+  const { product, target } = await findStockTarget(productId, variant);
+  const [source, destination] = await Promise.all([findWarehouse(from), findWarehouse(to)]);
+  if (!destination.isActive) {
+    throw inventoryError(`${destination.name} is not active`);
+  }
+
+  const out = { product: product._id, variant: variant && target._id, warehouse: source._id, quantity };
+  const into = { ...out, warehouse: destination._id };
+  await resolveWarehouses([out, into]);
+
+  const updated = await Product.findOneAndUpdate(
+    stockFilter(out, { $gte: quantity }),
+    {
+      $inc: out.variant
+        ? { 'variants.$[v].locations.$[from].stock': -quantity, 'variants.$[v].locations.$[to].stock': quantity }
+        : { 'locations.$[from].stock': -quantity, 'locations.$[to].stock': quantity }
+    },
+    {
+      new: true,
+      projection: STOCK_FIELDS,
+      arrayFilters: [
+        ...(out.variant ? [{ 'v._id': out.variant }] : []),
+        { 'from.warehouse': source._id },
+        { 'to.warehouse': destination._id }
+      ]
+    }
+  );
+
+  if (!updated) {
+    throw inventoryError(`Not enough stock at ${source.name} to transfer ${quantity}`, 409);
+  }
+
+  const holder = out.variant ? updated.variants.id(out.variant) : updated;
+  const movement = {
+    product: updated._id,
+    variant: out.variant,
+    sku: holder.sku,
+    balance: holder.stock,
+    reason: 'transfer',
+    actor,
+    note: note || `${source.code} to ${destination.code}`
+  };
+  const movements = await InventoryMovement.insertMany([
+    { ...movement, warehouse: source._id, quantity: -quantity },
+    { ...movement, warehouse: destination._id, quantity }
+  ]);
+
+  return { product: updated, movements };
+};
+
+// Stock levels of a product keyed by variant id ('' for a product without
+// variants)
+const stockLevels = (product) => {
+  const levels = new Map();
+
+  if (product.variants && product.variants.length > 0) {
+    product.variants.forEach(variant => {
+      levels.set(variant._id.toString(), { variant: variant._id, sku: variant.sku, stock: variant.stock });
+    });
+  } else {
+    levels.set('', { sku: product.sku, stock: product.stock || 0 });
+  }
+
+  return levels;
+};
+
+// Record the stock changes made by saving a product document (admin edits,
+// new products and variants). `before` is stockLevels() of the product as it
+// was loaded, or an empty Map for a new product.
+const recordStockChanges = async (before, product, context) => {
+  const after = stockLevels(product);
+  const movements = [];
+
+  new Set([...before.keys(), ...after.keys()]).forEach(key => {
+    const was = before.get(key);
+    const now = after.get(key);
+    const change = (now ? now.stock : 0) - (was ? was.stock : 0);
+    if (change === 0) return;
+
+    const level = now || was;
+    movements.push({
+      product: product._id,
+      variant: level.variant,
+      sku: level.sku,
+      quantity: change,
+      balance: now ? now.stock : 0,
+      ...movementContext(context)
+    });
+
+    if (now) {
+      checkLowStock(product, key ? product.variants.id(key) : null, was ? was.stock : 0, now.stock);
+    }
+  });
+
+  await recordMovements(movements);
+};
+
+// Active products (or variants) at or below their reorder threshold,
+// lowest stock first
+const listLowStock = () => Product.aggregate([
+  { $match: { isActive: true } },
+  { $addFields: { threshold: { $ifNull: ['$lowStockThreshold', getDefaultThreshold()] } } },
+  {
+    $addFields: {
+      lowVariants: {
+        $filter: {
+          input: { $ifNull: ['$variants', []] },
+          as: 'variant',
+          cond: { $and: ['$$variant.isActive', { $lte: ['$$variant.stock', '$threshold'] }] }
+        }
+      }
+    }
+  },
+  {
+    $match: {
+      $or: [
+        { 'variants.0': { $exists: false }, $expr: { $lte: ['$stock', '$threshold'] } },
+        { 'lowVariants.0': { $exists: true } }
+      ]
+    }
+  },
+  {
+    $project: {
+      name: 1,
+      sku: 1,
+      stock: 1,
+      threshold: 1,
+      lowStockThreshold: 1,
+      'lowVariants._id': 1,
+      'lowVariants.sku': 1,
+      'lowVariants.size': 1,
+      'lowVariants.blouse': 1,
+      'lowVariants.color': 1,
+      'lowVariants.stock': 1
+    }
+  },
+  { $sort: { stock: 1, name: 1 } }
+]);
+
+// Compare every product's stock with the sum of its ledger movements.
+// With `fix`, an adjustment is recorded for each difference so the ledger
+// matches again (e.g. to open the ledger for stock that predates it).
+const auditStock = async ({ fix = false, actor } = {}) => {
+  const sums = await InventoryMovement.aggregate([
+    { $group: { _id: { product: '$product', variant: '$variant' }, quantity: { $sum: '$quantity' } } }
+  ]);
+  const ledger = new Map(sums.map(entry => [
+    `${entry._id.product}:${entry._id.variant || ''}`,
+    entry.quantity
+  ]));
+
+  const products = await Product.find().select('name sku stock variants').lean();
+  const mismatches = [];
+
+  products.forEach(product => {
+    stockLevels(product).forEach((level, key) => {
+      const recorded = ledger.get(`${product._id}:${key}`) || 0;
+      if (recorded !== level.stock) {
+        mismatches.push({
+          product: product._id,
+          name: product.name,
+          variant: level.variant,
+          sku: level.sku,
+          stock: level.stock,
+          ledger: recorded,
+          difference: level.stock - recorded
+        });
+      }
+    });
+  });
+
+  if (fix && mismatches.length > 0) {
+    await InventoryMovement.insertMany(mismatches.map(mismatch => ({
+      product: mismatch.product,
+      variant: mismatch.variant,
+      sku: mismatch.sku,
+      quantity: mismatch.difference,
+      balance: mismatch.stock,
+      reason: 'adjust',
+      actor,
+      note: 'Ledger reconciliation'
+    })));
+  }
+
+  return {
+    checked: products.length,
+    mismatches,
+    fixed: fix ? mismatches.length : 0
+  };
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  adjustStock,
+  transferStock,
+  stockLevels,
+  recordStockChanges,
+  listLowStock,
+  auditStock,
+  setLowStockAlert
+};
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const Invoice = require('../../models/Invoice');
+const User = require('../../models/User');
+const { seller, invoicePrefix, creditNotePrefix } = require('../../config/invoice');
+const { getSupplyType, splitTax } = require('../tax');
+const { amountInWords } = require('../../utils/amountInWords');
+const { roundMoney } = require('../../utils/money');
+const { renderInvoicePdf } = require('./pdf');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Documents issued at the same moment can clash over a number; each clash
+// moves on to the next one
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const invoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Indian financial year (April to March, in IST) a date falls in, e.g. '2024-25'
+const getFinancialYear = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The next number in a series, e.g. INV/24-25/000123: one past the last
+// document issued in it. Each prefix restarts at 1 every financial year.
+// Numbers are zero-padded, so the highest sorts last.
+const nextNumber = async (prefix, financialYear) => {
+  const series = `${prefix}/${financialYear.slice(2)}/`;
+  const last = await Invoice.findOne({ number: new RegExp(`^${escapeRegExp(series)}`) })
+    .sort({ number: -1 })
+    .select('sequence');
+  const sequence = last ? last.sequence + 1 : 1;
+  return {
+    sequence,
+    number: `${series}${String(sequence).padStart(6, '0')}`
+  };
+};
+
+const addressParty = (address) => ({
+  name: `${address.firstName || ''} ${address.lastName || ''}`.trim(),
+  addressLines: [
+    address.addressLine1,
+    address.addressLine2,
+    [address.city, address.pincode].filter(Boolean).join(' - '),
+    address.country
+  ].filter(Boolean),
+  state: address.state,
+  phone: address.phone
+});
+
+const getCustomerEmail = async (order) => {
+  if (!order.user) return order.guest && order.guest.email;
+  if (order.user.email) return order.user.email;
+
+  const user = await User.findById(order.user).select('email');
+  return user && user.email;
+};
+
+const getSupplyTypeFor = (order) => (
+  (order.pricing.taxBreakdown && order.pricing.taxBreakdown.supplyType) ||
+  getSupplyType(order.shippingAddress.state)
+);
+
+const describeItem = (item) => [item.name, item.size, item.color].filter(Boolean).join(' - ');
+
+// Invoice lines from the tax stored on each order item. Orders placed before
+// tax was stored per line only have an order-level total, which is shared
+// out by value.
+const invoiceLines = (order, supplyType) => {
+  const legacy = order.items.some(item => !item.tax || item.tax.taxableValue == null);
+
+  return order.items.map(item => {
+    const gross = item.price * item.quantity;
+    const line = {
+      orderItem: item._id,
+      description: describeItem(item),
+      hsnCode: item.hsnCode,
+      quantity: item.quantity,
+      unitPrice: item.price
+    };
+
+    if (legacy) {
+      const share = order.pricing.subtotal ? gross / order.pricing.subtotal : 0;
+      const taxableValue = roundMoney(gross - (order.pricing.discount || 0) * share);
+      const amount = roundMoney((order.pricing.tax || 0) * share);
+      return {
+        ...line,
+        discount: roundMoney(gross - taxableValue),
+        taxableValue,
+        ...splitTax(amount, supplyType),
+        total: roundMoney(taxableValue + amount)
+      };
+    }
+
+    const { rate, taxableValue, cgst, sgst, igst, amount } = item.tax;
+    return {
+      ...line,
+      discount: roundMoney(gross - taxableValue),
+      taxableValue,
+      rate,
+      cgst,
+      sgst,
+      igst,
+      total: roundMoney(taxableValue + amount)
+    };
+  });
+};
+
+const sumLines = (lines) => {
+  const sum = (key) => roundMoney(lines.reduce((total, line) => total + (line[key] || 0), 0));
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+
+  return {
+    taxableValue: sum('taxableValue'),
+    cgst,
+    sgst,
+    igst,
+    tax: roundMoney(cgst + sgst + igst)
+  };
+};
+
+// Number, render and store a document. A number is only taken by storing
+// a document under it (numbers are unique), so a document that fails to
+// issue leaves no gap in the series. When another document takes the
+// number first this one moves on to the next. `existing` is the filter
+// that finds the same document if another request issued it at the same
+// moment.
+const createDocument = async (data, prefix, existing) => {
+  const financialYear = getFinancialYear(data.issuedAt);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const { sequence, number } = await nextNumber(prefix, financialYear);
+    const document = { ...data, financialYear, sequence, number };
+    const pdf = await renderInvoicePdf(document);
+
+    try {
+      return await Invoice.create({
+        ...document,
+        pdf,
+        checksum: crypto.createHash('sha256').update(pdf).digest('hex')
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (!error.keyPattern || !error.keyPattern.number) {
+        return Invoice.findOne(existing);
+      }
+      if (attempt === MAX_NUMBERING_ATTEMPTS) {
+        throw invoiceError(`Could not number ${data.orderNumber}; try again`, 409);
+      }
+    }
+  }
+};
+
+const getOrderInvoice = (orderId) => Invoice.findOne({ order: orderId, type: 'invoice' });
+
+// The tax invoice for an order, issued the first time it's asked for.
+// Only paid orders (including delivered COD orders) can be invoiced.
+const issueInvoice = async (order) => {
+  const existing = await getOrderInvoice(order._id);
+  if (existing) return existing;
+
+  if (!['completed', 'refunded'].includes(order.paymentInfo.status)) {
+    throw invoiceError('An invoice is available once the order has been paid');
+  }
+
+  const supplyType = getSupplyTypeFor(order);
+  const lines = invoiceLines(order, supplyType);
+  const shipTo = addressParty(order.shippingAddress);
+  const billTo = order.billingAddress && order.billingAddress.addressLine1
+    ? addressParty(order.billingAddress)
+    : shipTo;
+
+  const totals = {
+    ...sumLines(lines),
+    shipping: order.pricing.shippingCost || 0,
+    total: order.pricing.total
+  };
+
+  return createDocument({
+    type: 'invoice',
+    order: order._id,
+    orderNumber: order.orderNumber,
+    issuedAt: new Date(),
+    seller,
+    billTo: { ...billTo, email: await getCustomerEmail(order) },
+    shipTo,
+    supplyType,
+    placeOfSupply: order.shippingAddress.state,
+    lines,
+    totals,
+    amountInWords: amountInWords(totals.total)
+  }, invoicePrefix, { order: order._id, type: 'invoice' });
+};
+
+const scaleLine = (line, ratio) => ({
+  orderItem: line.orderItem,
+  description: line.description,
+  hsnCode: line.hsnCode,
+  rate: line.rate,
+  taxableValue: roundMoney(line.taxableValue * ratio),
+  cgst: roundMoney(line.cgst * ratio),
+  sgst: roundMoney(line.sgst * ratio),
+  igst: roundMoney(line.igst * ratio),
+  total: roundMoney(line.total * ratio)
+});
+
+// Lines a refund credits. A refund for a return credits the returned
+// units; any other refund credits every line in proportion to its value.
+const creditLines = (order, invoice, refund) => {
+  const returnRequest = refund.returnRequest && order.returns.id(refund.returnRequest);
+
+  if (returnRequest) {
+    return returnRequest.items.map(returned => {
+      const line = invoice.lines.find(entry => entry.orderItem && entry.orderItem.equals(returned.orderItem));
+      return {
+        ...scaleLine(line, returned.quantity / line.quantity),
+        quantity: returned.quantity,
+        unitPrice: line.unitPrice
+      };
+    });
+  }
+
+  const ratio = Math.min(refund.amount / invoice.totals.total, 1);
+  return invoice.lines.map(line => (ratio === 1 ? { ...line.toObject() } : scaleLine(line, ratio)));
+};
+
+// Credit note for a processed refund, against the order's invoice (which is
+// issued first if it hasn't been yet). Safe to call more than once.
+const issueCreditNote = async (order, refund) => {
+  if (!refund.refundId) {
+    throw invoiceError('Refund has no reference to credit');
+  }
+
+  const existing = await Invoice.findOne({ type: 'credit_note', refundId: refund.refundId });
+  if (existing) return existing;
+
+  const invoice = await issueInvoice(order);
+  const lines = creditLines(order, invoice, refund);
+  const itemTotals = sumLines(lines);
+
+  // Whatever the refund covers beyond the goods and their tax is shipping
+  const totals = {
+    ...itemTotals,
+    shipping: Math.max(roundMoney(refund.amount - itemTotals.taxableValue - itemTotals.tax), 0),
+    total: refund.amount
+  };
+
+  return createDocument({
+    type: 'credit_note',
+    order: order._id,
+    orderNumber: order.orderNumber,
+    invoice: invoice._id,
+    invoiceNumber: invoice.number,
+    invoiceDate: invoice.issuedAt,
+    refundId: refund.refundId,
+    reason: refund.reason,
+    issuedAt: new Date(),
+    seller: invoice.seller,
+    billTo: invoice.billTo,
+    shipTo: invoice.shipTo,
+    supplyType: invoice.supplyType,
+    placeOfSupply: invoice.placeOfSupply,
+    lines,
+    totals,
+    amountInWords: amountInWords(totals.total)
+  }, creditNotePrefix, { type: 'credit_note', refundId: refund.refundId });
+};
+
+// Credit notes for an order, issuing any that a processed refund is still
+// missing
+const listCreditNotes = async (order) => {
+  const refunds = order.refunds.filter(refund => refund.status === 'processed' && refund.refundId);
+
+  for (const refund of refunds) {
+    await issueCreditNote(order, refund);
+  }
+
+  return Invoice.find({ order: order._id, type: 'credit_note' })
+    .select('-pdf')
+    .sort({ issuedAt: 1 });
+};
+
+module.exports = {
+  getFinancialYear,
+  getOrderInvoice,
+  issueInvoice,
+  issueCreditNote,
+  listCreditNotes
+};
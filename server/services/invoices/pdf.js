@@ -0,0 +1,201 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+// The built-in PDF fonts have no rupee sign
+const formatAmount = (amount) => (amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+const partyLines = (party) => [
+  ...(party.addressLines || []),
+  party.state ? `State: ${party.state}` : '',
+  party.gstin ? `GSTIN: ${party.gstin}` : '',
+  party.phone ? `Phone: ${party.phone}` : '',
+  party.email ? `Email: ${party.email}` : ''
+].filter(Boolean);
+
+const drawParty = (doc, title, party, x, y, width) => {
+  doc.font(BOLD_FONT).fontSize(9).text(title, x, y, { width });
+  doc.font(BOLD_FONT).text(party.name || '', { width });
+  doc.font(FONT).text(partyLines(party).join('\n'), { width });
+  return doc.y;
+};
+
+// Columns of the line item table; widths add up to the printable width
+const TAX_COLUMNS = {
+  intra: [{ key: 'cgst', label: 'CGST', width: 48 }, { key: 'sgst', label: 'SGST', width: 48 }],
+  inter: [{ key: 'igst', label: 'IGST', width: 96 }],
+  mixed: [{ key: 'cgst', label: 'CGST', width: 32 }, { key: 'sgst', label: 'SGST', width: 32 }, { key: 'igst', label: 'IGST', width: 32 }]
+};
+
+const TAX_TOTALS = {
+  intra: [['CGST', 'cgst'], ['SGST', 'sgst']],
+  inter: [['IGST', 'igst']],
+  mixed: [['CGST', 'cgst'], ['SGST', 'sgst'], ['IGST', 'igst']]
+};
+
+const tableColumns = (supplyType) => {
+  const taxColumns = TAX_COLUMNS[supplyType] || TAX_COLUMNS.inter;
+
+  return [
+    { key: 'index', label: '#', width: 16 },
+    { key: 'description', label: 'Description', width: 107, align: 'left' },
+    { key: 'hsnCode', label: 'HSN', width: 38 },
+    { key: 'quantity', label: 'Qty', width: 22 },
+    { key: 'unitPrice', label: 'Rate', width: 48, amount: true },
+    { key: 'discount', label: 'Discount', width: 45, amount: true },
+    { key: 'taxableValue', label: 'Taxable', width: 55, amount: true },
+    { key: 'rate', label: 'GST%', width: 28 },
+    ...taxColumns.map(column => ({ ...column, amount: true })),
+    { key: 'total', label: 'Total', width: 60, amount: true }
+  ];
+};
+
+const drawRow = (doc, columns, values, y, { bold = false } = {}) => {
+  doc.font(bold ? BOLD_FONT : FONT).fontSize(7.5);
+
+  let x = PAGE_MARGIN;
+  let height = 0;
+  columns.forEach(column => {
+    const value = values[column.key];
+    const text = column.amount && typeof value === 'number' ? formatAmount(value) : String(value == null ? '' : value);
+    const options = { width: column.width - 4, align: column.align || 'right' };
+    doc.text(text, x + 2, y, options);
+    height = Math.max(height, doc.heightOfString(text, options));
+    x += column.width;
+  });
+
+  return y + height + 4;
+};
+
+const drawRule = (doc, y) => {
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(0.5).stroke();
+};
+
+// Render an issued invoice or credit note (as stored on the Invoice model)
+// to a PDF buffer
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${TITLES[invoice.type]} ${invoice.number}`,
+      Author: invoice.seller.name,
+      CreationDate: new Date(invoice.issuedAt)
+    }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const half = width / 2 - 10;
+
+  // Heading
+  doc.font(BOLD_FONT).fontSize(16).text(TITLES[invoice.type], PAGE_MARGIN, PAGE_MARGIN, { width, align: 'center' });
+  if (invoice.type === 'invoice') {
+    doc.font(FONT).fontSize(8).text('Original for Recipient', { width, align: 'center' });
+  }
+  doc.moveDown();
+
+  // Seller and document details
+  const top = doc.y;
+  const sellerBottom = drawParty(doc, 'Sold by', invoice.seller, PAGE_MARGIN, top, half);
+
+  const details = [
+    [invoice.type === 'invoice' ? 'Invoice No.' : 'Credit Note No.', invoice.number],
+    [invoice.type === 'invoice' ? 'Invoice Date' : 'Date', formatDate(invoice.issuedAt)],
+    ['Order No.', invoice.orderNumber],
+    ...(invoice.type === 'credit_note' ? [
+      ['Against Invoice', invoice.invoiceNumber],
+      ['Invoice Date', formatDate(invoice.invoiceDate)]
+    ] : []),
+    ['Place of Supply', invoice.placeOfSupply || '']
+  ];
+  doc.fontSize(9);
+  details.forEach(([label, value], index) => {
+    const y = top + index * 12;
+    doc.font(BOLD_FONT).text(label, PAGE_MARGIN + half + 20, y, { width: 90 });
+    doc.font(FONT).text(value, PAGE_MARGIN + half + 110, y, { width: half - 90 });
+  });
+
+  // Buyer
+  let y = Math.max(sellerBottom, top + details.length * 12) + 14;
+  const billBottom = drawParty(doc, 'Bill to', invoice.billTo, PAGE_MARGIN, y, half);
+  const shipBottom = drawParty(doc, 'Ship to', invoice.shipTo, PAGE_MARGIN + half + 20, y, half);
+  y = Math.max(billBottom, shipBottom) + 14;
+
+  if (invoice.reason) {
+    doc.font(BOLD_FONT).fontSize(9).text('Reason: ', PAGE_MARGIN, y, { continued: true })
+      .font(FONT).text(invoice.reason, { width });
+    y = doc.y + 10;
+  }
+
+  // Line items
+  const columns = tableColumns(invoice.supplyType);
+  drawRule(doc, y);
+  y = drawRow(doc, columns, Object.fromEntries(columns.map(column => [column.key, column.label])), y + 4, { bold: true });
+  drawRule(doc, y);
+  y += 4;
+
+  invoice.lines.forEach((line, index) => {
+    if (y > doc.page.height - PAGE_MARGIN - 160) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    y = drawRow(doc, columns, { ...line, index: index + 1, rate: line.rate == null ? '' : line.rate }, y);
+  });
+  drawRule(doc, y);
+
+  // Totals
+  const totals = [
+    ['Taxable value', invoice.totals.taxableValue],
+    ...(TAX_TOTALS[invoice.supplyType] || TAX_TOTALS.inter).map(([label, key]) => [label, invoice.totals[key]]),
+    ...(invoice.totals.shipping ? [['Shipping', invoice.totals.shipping]] : []),
+    [invoice.type === 'invoice' ? 'Total (INR)' : 'Credit amount (INR)', invoice.totals.total]
+  ];
+  y += 8;
+  totals.forEach(([label, value], index) => {
+    const bold = index === totals.length - 1;
+    doc.font(bold ? BOLD_FONT : FONT).fontSize(9);
+    doc.text(label, PAGE_MARGIN + width - 220, y, { width: 120, align: 'right' });
+    doc.text(formatAmount(value), PAGE_MARGIN + width - 100, y, { width: 100, align: 'right' });
+    y += 13;
+  });
+
+  doc.font(BOLD_FONT).fontSize(9).text('Amount in words: ', PAGE_MARGIN, y + 6, { continued: true })
+    .font(FONT).text(invoice.amountInWords, { width });
+
+  doc.moveDown(3);
+  doc.font(FONT).fontSize(9).text(`For ${invoice.seller.name}`, { width, align: 'right' });
+  doc.moveDown(2);
+  doc.text('Authorised Signatory', { width, align: 'right' });
+
+  doc.fontSize(7).text(
+    'This is a computer generated document and does not require a signature. Tax is not payable on reverse charge basis.',
+    PAGE_MARGIN,
+    doc.page.height - PAGE_MARGIN - 20,
+    { width, align: 'center' }
+  );
+
+  doc.end();
+});
+
+module.exports = { renderInvoicePdf };
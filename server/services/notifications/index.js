@@ -0,0 +1,145 @@
+const User = require('../../models/User');
+const { sendMail } = require('../../config/mailer');
+const templates = require('./templates');
+
+// Preference flag that has to be on for a template to be sent.
+// Templates not listed here (account emails) are always sent.
+const TEMPLATE_PREFERENCES = {
+  orderPlaced: 'orderUpdates',
+  paymentConfirmed: 'orderUpdates',
+  paymentFailed: 'orderUpdates',
+  orderShipped: 'orderUpdates',
+  orderDelivered: 'orderUpdates',
+  orderCancelled: 'orderUpdates',
+  refundProcessed: 'orderUpdates'
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+
+const queue = [];
+let processing = false;
+
+// A job goes either to an account (userId) or straight to a guest's address
+// (recipient: { firstName, email }). Guests have no preferences to honour.
+const deliver = async ({ template, userId, recipient, data }) => {
+  let user = recipient;
+
+  if (userId) {
+    user = await User.findById(userId).select('firstName lastName email preferences');
+    if (!user) return;
+
+    const preference = TEMPLATE_PREFERENCES[template];
+    if (preference && user.preferences && user.preferences[preference] === false) return;
+  }
+
+  const { subject, html, text } = templates[template]({ user, ...data });
+  await sendMail({ to: user.email, subject, html, text });
+};
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+
+    try {
+      await deliver(job);
+    } catch (error) {
+      job.attempts += 1;
+      if (job.attempts < MAX_ATTEMPTS) {
+        setTimeout(() => {
+          queue.push(job);
+          processQueue();
+        }, job.attempts * RETRY_DELAY_MS).unref();
+      } else {
+        console.error(`Email "${job.template}" to ${job.userId ? `user ${job.userId}` : job.recipient.email} failed:`, error);
+      }
+    }
+  }
+
+  processing = false;
+};
+
+// Snapshot documents so later changes don't leak into a queued email
+const snapshot = (data) => {
+  const copy = {};
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    copy[key] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  });
+  return copy;
+};
+
+// Queue an email to a user. Returns straight away so request handlers
+// never wait on the mail server.
+const notifyUser = (template, userId, data = {}) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  if (!userId) return;
+
+  queue.push({ template, userId, data: snapshot(data), attempts: 0 });
+  setImmediate(processQueue);
+};
+
+// Queue an order email to whoever placed the order: the account holder, or
+// the guest's checkout email
+const notifyOrder = (template, order, data = {}) => {
+  const userId = order.user && (order.user._id || order.user);
+
+  if (userId) {
+    notifyUser(template, userId, { order, ...data });
+    return;
+  }
+
+  if (!templates[template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  if (!order.guest || !order.guest.email) return;
+
+  queue.push({
+    template,
+    recipient: { firstName: order.shippingAddress.firstName, email: order.guest.email },
+    data: snapshot({ order, ...data }),
+    attempts: 0
+  });
+  setImmediate(processQueue);
+};
+
+// Email that goes out when an order reaches a status
+const notifyOrderStatus = (order, status) => {
+  switch (status) {
+    case 'confirmed':
+      if (order.paymentInfo.method !== 'cod' && order.paymentInfo.status === 'completed') {
+        notifyOrder('paymentConfirmed', order);
+      }
+      break;
+    case 'shipped':
+      notifyOrder('orderShipped', order);
+      break;
+    case 'delivered':
+      notifyOrder('orderDelivered', order);
+      break;
+    case 'cancelled':
+      notifyOrder('orderCancelled', order);
+      break;
+    default:
+      break;
+  }
+};
+
+// Resolves once every queued email has been handed to the transport
+const flushNotifications = async () => {
+  while (processing || queue.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+module.exports = {
+  notifyUser,
+  notifyOrder,
+  notifyOrderStatus,
+  flushNotifications
+};
@@ -0,0 +1,203 @@
+// Email templates. Each returns { subject, html, text }.
+
+const formatCurrency = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+// Guests can't sign in, so their links go to the order lookup page
+const orderUrl = (order) => (order.user
+  ? clientUrl(`/orders/${order._id}`)
+  : clientUrl(`/track-order?orderNumber=${encodeURIComponent(order.orderNumber)}`));
+
+const verifyUrl = (token) => clientUrl(`/verify-email/${token}`);
+
+const button = (url, label) => `<p style="margin:24px 0;"><a href="${url}" style="background:#8b1c3d;color:#fff;padding:10px 18px;text-decoration:none;border-radius:4px;">${escapeHtml(label)}</a></p>`;
+
+// Shared HTML wrapper for every email
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f7f3ee;font-family:Arial,sans-serif;color:#333;">
+    <div style="max-width:600px;margin:0 auto;background:#fff;padding:24px;">
+      <h1 style="color:#8b1c3d;font-size:22px;margin-top:0;">${escapeHtml(title)}</h1>
+      ${body}
+      <p style="font-size:12px;color:#888;margin-top:32px;">
+        Saree Store &middot; You can change which emails you receive in your account preferences.
+      </p>
+    </div>
+  </body>
+</html>`;
+
+const itemsTable = (order) => `
+  <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+    ${order.items.map(item => `
+      <tr>
+        <td style="padding:6px 0;border-bottom:1px solid #eee;">${escapeHtml(item.name)}${item.size ? ` (${escapeHtml(item.size)})` : ''} &times; ${item.quantity}</td>
+        <td style="padding:6px 0;border-bottom:1px solid #eee;text-align:right;">${formatCurrency(item.price * item.quantity)}</td>
+      </tr>`).join('')}
+    <tr>
+      <td style="padding:6px 0;font-weight:bold;">Total</td>
+      <td style="padding:6px 0;text-align:right;font-weight:bold;">${formatCurrency(order.pricing.total)}</td>
+    </tr>
+  </table>`;
+
+const itemsText = (order) => [
+  ...order.items.map(item => `- ${item.name}${item.size ? ` (${item.size})` : ''} x ${item.quantity}: ${formatCurrency(item.price * item.quantity)}`),
+  `Total: ${formatCurrency(order.pricing.total)}`
+].join('\n');
+
+const orderLink = (order) => `<p><a href="${orderUrl(order)}" style="color:#8b1c3d;">View your order</a></p>`;
+
+const templates = {
+  welcome: ({ user, verificationToken }) => ({
+    subject: 'Welcome to Saree Store',
+    html: layout(`Welcome, ${user.firstName}!`, `
+      <p>Thank you for creating an account with Saree Store.</p>
+      ${verificationToken
+        ? `<p>Please confirm your email address so we can keep you updated about your orders.</p>${button(verifyUrl(verificationToken), 'Verify email')}`
+        : ''}
+      ${user.preferences && user.preferences.newsletter
+        ? '<p>We\'ll write to you about new collections and festive offers. You can unsubscribe at any time.</p>'
+        : ''}`),
+    text: [
+      `Welcome, ${user.firstName}!`,
+      'Thank you for creating an account with Saree Store.',
+      verificationToken ? `Please confirm your email address: ${verifyUrl(verificationToken)}` : '',
+      user.preferences && user.preferences.newsletter
+        ? 'We\'ll write to you about new collections and festive offers. You can unsubscribe at any time.'
+        : ''
+    ].filter(Boolean).join('\n\n')
+  }),
+
+  verifyEmail: ({ user, verificationToken }) => ({
+    subject: 'Verify your email address',
+    html: layout('Confirm your email', `
+      <p>Hi ${escapeHtml(user.firstName)}, please confirm that ${escapeHtml(user.email)} is your email address.</p>
+      ${button(verifyUrl(verificationToken), 'Verify email')}
+      <p>This link expires in 24 hours.</p>`),
+    text: `Hi ${user.firstName}, please confirm your email address: ${verifyUrl(verificationToken)}\n\nThis link expires in 24 hours.`
+  }),
+
+  passwordReset: ({ user, resetToken }) => {
+    const url = clientUrl(`/reset-password/${resetToken}`);
+    return {
+      subject: 'Reset your password',
+      html: layout('Reset your password', `
+        <p>Hi ${escapeHtml(user.firstName)}, we received a request to reset the password for your account.</p>
+        ${button(url, 'Choose a new password')}
+        <p>This link expires in 30 minutes. If you didn't ask for a reset you can ignore this email.</p>`),
+      text: `Hi ${user.firstName}, reset your password here: ${url}\n\nThis link expires in 30 minutes. If you didn't ask for a reset you can ignore this email.`
+    };
+  },
+
+  orderPlaced: ({ user, order }) => ({
+    subject: `Order ${order.orderNumber} placed`,
+    html: layout('Thank you for your order', `
+      <p>Hi ${escapeHtml(user.firstName)}, we've received order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+      ${itemsTable(order)}
+      ${order.paymentInfo.method === 'cod' ? '<p>Please keep the amount ready for cash on delivery.</p>' : ''}
+      ${orderLink(order)}`),
+    text: `Hi ${user.firstName}, we've received order ${order.orderNumber}.\n\n${itemsText(order)}\n\nView your order: ${orderUrl(order)}`
+  }),
+
+  paymentConfirmed: ({ user, order }) => ({
+    subject: `Payment received for order ${order.orderNumber}`,
+    html: layout('Payment received', `
+      <p>Hi ${escapeHtml(user.firstName)}, we've received your payment of ${formatCurrency(order.pricing.total)} and your order is confirmed.</p>
+      ${itemsTable(order)}
+      ${orderLink(order)}`),
+    text: `Hi ${user.firstName}, we've received your payment of ${formatCurrency(order.pricing.total)} and order ${order.orderNumber} is confirmed.\n\n${itemsText(order)}`
+  }),
+
+  paymentFailed: ({ user, order }) => ({
+    subject: `Payment failed for order ${order.orderNumber}`,
+    html: layout('Your payment did not go through', `
+      <p>Hi ${escapeHtml(user.firstName)}, the payment for order <strong>${escapeHtml(order.orderNumber)}</strong> failed${order.paymentInfo.failureReason ? `: ${escapeHtml(order.paymentInfo.failureReason)}` : ''}.</p>
+      ${order.reservation && order.reservation.expiresAt
+        ? `<p>Your items are reserved until ${new Date(order.reservation.expiresAt).toLocaleTimeString('en-IN')}. Please try again before then.</p>`
+        : ''}
+      ${orderLink(order)}`),
+    text: `Hi ${user.firstName}, the payment for order ${order.orderNumber} failed${order.paymentInfo.failureReason ? `: ${order.paymentInfo.failureReason}` : ''}. Please try again: ${orderUrl(order)}`
+  }),
+
+  orderShipped: ({ user, order }) => {
+    const tracking = order.tracking || {};
+    // Parcels booked with a courier, or the tracking number entered by hand
+    const parcels = (order.shipments || [])
+      .filter(shipment => shipment.trackingNumber)
+      .map(shipment => ({ courier: shipment.courier, trackingNumber: shipment.trackingNumber }));
+    if (parcels.length === 0 && (tracking.courier || tracking.trackingNumber)) {
+      parcels.push({ courier: tracking.courier, trackingNumber: tracking.trackingNumber });
+    }
+    const parcelCount = Math.max(parcels.length, (order.shipments || []).length);
+    const describe = (parcel) => [parcel.courier, parcel.trackingNumber].filter(Boolean).join(': ');
+
+    return {
+      subject: `Order ${order.orderNumber} has shipped`,
+      html: layout('Your order is on its way', `
+        <p>Hi ${escapeHtml(user.firstName)}, order <strong>${escapeHtml(order.orderNumber)}</strong> has been shipped.</p>
+        ${parcelCount > 1 ? `<p>It's coming in ${parcelCount} parcels.</p>` : ''}
+        ${parcels.map(parcel => `<p>${parcel.courier ? `Courier: ${escapeHtml(parcel.courier)}<br>` : ''}${parcel.trackingNumber ? `Tracking number: <strong>${escapeHtml(parcel.trackingNumber)}</strong>` : ''}</p>`).join('')}
+        ${tracking.estimatedDelivery ? `<p>Expected delivery: ${formatDate(tracking.estimatedDelivery)}</p>` : ''}
+        ${orderLink(order)}`),
+      text: [
+        `Hi ${user.firstName}, order ${order.orderNumber} has been shipped.`,
+        parcelCount > 1 ? `It's coming in ${parcelCount} parcels.` : '',
+        ...parcels.map(parcel => `Tracking: ${describe(parcel)}`),
+        tracking.estimatedDelivery ? `Expected delivery: ${formatDate(tracking.estimatedDelivery)}` : ''
+      ].filter(Boolean).join('\n')
+    };
+  },
+
+  orderDelivered: ({ user, order }) => ({
+    subject: `Order ${order.orderNumber} delivered`,
+    html: layout('Your order has been delivered', `
+      <p>Hi ${escapeHtml(user.firstName)}, order <strong>${escapeHtml(order.orderNumber)}</strong> has been delivered. We hope you love it!</p>
+      ${orderLink(order)}`),
+    text: `Hi ${user.firstName}, order ${order.orderNumber} has been delivered. We hope you love it!`
+  }),
+
+  orderCancelled: ({ user, order }) => {
+    const cancellation = order.cancellation || {};
+    return {
+      subject: `Order ${order.orderNumber} cancelled`,
+      html: layout('Your order has been cancelled', `
+        <p>Hi ${escapeHtml(user.firstName)}, order <strong>${escapeHtml(order.orderNumber)}</strong> has been cancelled${cancellation.reason ? `: ${escapeHtml(cancellation.reason)}` : ''}.</p>
+        ${cancellation.refundAmount ? `<p>A refund of ${formatCurrency(cancellation.refundAmount)} will be issued to your original payment method.</p>` : ''}`),
+      text: [
+        `Hi ${user.firstName}, order ${order.orderNumber} has been cancelled${cancellation.reason ? `: ${cancellation.reason}` : ''}.`,
+        cancellation.refundAmount ? `A refund of ${formatCurrency(cancellation.refundAmount)} will be issued to your original payment method.` : ''
+      ].filter(Boolean).join('\n')
+    };
+  },
+
+  refundProcessed: ({ user, order, refund }) => ({
+    subject: `Refund processed for order ${order.orderNumber}`,
+    html: layout('Your refund has been processed', `
+      <p>Hi ${escapeHtml(user.firstName)}, we've refunded ${formatCurrency(refund.amount)} for order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+      <p>It can take 5-7 working days to appear on your statement.</p>`),
+    text: `Hi ${user.firstName}, we've refunded ${formatCurrency(refund.amount)} for order ${order.orderNumber}. It can take 5-7 working days to appear on your statement.`
+  }),
+
+  // Sent to admins
+  lowStock: ({ user, item }) => ({
+    subject: `Low stock: ${item.label}`,
+    html: layout('Stock is running low', `
+      <p>Hi ${escapeHtml(user.firstName)}, <strong>${escapeHtml(item.label)}</strong>${item.sku ? ` (SKU ${escapeHtml(item.sku)})` : ''} is down to ${item.stock} in stock.</p>
+      <p>Its reorder threshold is ${item.threshold}.</p>`),
+    text: `Hi ${user.firstName}, ${item.label}${item.sku ? ` (SKU ${item.sku})` : ''} is down to ${item.stock} in stock. Its reorder threshold is ${item.threshold}.`
+  })
+};
+
+module.exports = templates;
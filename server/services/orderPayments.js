@@ -0,0 +1,132 @@
+const Order = require('../models/Order');
+const { transitionOrder, autoRefundCancelled } = require('./orderStateMachine');
+const { notifyOrder } = require('./notifications');
+
+const paymentError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const applyPaymentDetails = (order, { paymentId, orderId, signature }) => {
+  order.paymentInfo.paymentId = paymentId;
+  if (orderId) order.paymentInfo.orderId = orderId;
+  if (signature) order.paymentInfo.signature = signature;
+  order.paymentInfo.status = 'completed';
+  order.paymentInfo.paidAt = order.paymentInfo.paidAt || new Date();
+  order.paymentInfo.failureReason = undefined;
+};
+
+// A payment captured on an order that was cancelled meanwhile (say, the
+// customer cancelled while the gateway was still processing) is owed back
+const recordPaymentOnCancelled = async (order, { actor }) => {
+  order.cancellation.refundStatus = 'pending';
+  order.cancellation.refundAmount = order.pricing.total;
+  order.timeline.push({
+    status: order.status,
+    message: 'Payment received after the order was cancelled, refund pending',
+    changedBy: actor
+  });
+  await order.save();
+  await autoRefundCancelled(order, { actor });
+  return order;
+};
+
+// Record a captured payment and confirm the order.
+// If the stock hold expired before the money arrived, the stock and coupon
+// use are taken again; when that is no longer possible the order is
+// cancelled so the payment gets refunded.
+const markOrderPaid = async (order, payment, { actor } = {}) => {
+  applyPaymentDetails(order, payment);
+
+  if (order.status === 'cancelled') {
+    return recordPaymentOnCancelled(order, { actor });
+  }
+  if (!['pending', 'expired'].includes(order.status)) {
+    await order.save();
+    return order;
+  }
+
+  try {
+    return await transitionOrder(order, 'confirmed', {
+      actor,
+      message: 'Payment received, order confirmed'
+    });
+  } catch (error) {
+    if (error.statusCode !== 409) throw error;
+  }
+
+  // Either the sweeper expired the order first, or its stock or coupon has gone
+  const latest = await Order.findById(order._id);
+  applyPaymentDetails(latest, payment);
+
+  if (latest.status === 'expired') {
+    try {
+      return await transitionOrder(latest, 'confirmed', {
+        actor,
+        message: 'Late payment received, stock reserved again and order confirmed'
+      });
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+    }
+
+    await transitionOrder(latest, 'cancelled', {
+      actor,
+      reason: 'Payment received after the stock hold expired and its stock or coupon is no longer available'
+    });
+    throw paymentError('Payment received after your reservation expired and the items or coupon are no longer available. A refund will be issued.');
+  }
+
+  if (latest.status === 'cancelled') {
+    return recordPaymentOnCancelled(latest, { actor });
+  }
+  await latest.save();
+  return latest;
+};
+
+// Apply a captured gateway payment to its order. This is the single path
+// for checkout verification and webhooks alike: the provider checks that the
+// payment settles the order in full, and a payment that was already applied
+// is a no-op.
+const applyCapturedPayment = async (order, provider, payment, { actor, signature } = {}) => {
+  if (!provider.matchesOrder(payment, order)) {
+    throw paymentError('Payment does not match this order', 400);
+  }
+
+  const details = provider.getPaymentDetails(payment);
+
+  if (['completed', 'refunded'].includes(order.paymentInfo.status)) {
+    if (order.paymentInfo.paymentId === details.paymentId) {
+      return order;
+    }
+    throw paymentError(`Order has already been paid, payment ${details.paymentId} needs a manual refund`);
+  }
+
+  return markOrderPaid(order, { ...details, signature }, { actor });
+};
+
+// Record a failed payment attempt. The order stays pending so the
+// customer can retry until the stock hold runs out.
+const markPaymentFailed = async (order, { paymentId, reason }) => {
+  if (order.paymentInfo.status === 'completed') {
+    return order;
+  }
+
+  order.paymentInfo.status = 'failed';
+  order.paymentInfo.failureReason = reason;
+  if (paymentId) order.paymentInfo.paymentId = paymentId;
+  order.timeline.push({
+    status: order.status,
+    message: reason ? `Payment failed: ${reason}` : 'Payment failed'
+  });
+  await order.save();
+  notifyOrder('paymentFailed', order);
+
+  return order;
+};
+
+module.exports = {
+  markOrderPaid,
+  applyCapturedPayment,
+  markPaymentFailed
+};
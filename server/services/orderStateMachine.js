@@ -0,0 +1,235 @@
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const { reserveStock, releaseStock } = require('./inventory');
+const { stockItemsFor } = require('./fulfilment');
+const { redeemCoupon, releaseCoupon, orderCustomer } = require('./coupons');
+const { issueRefund } = require('./refunds');
+const { notifyOrderStatus } = require('./notifications');
+
+// Allowed status changes. Anything not listed here is rejected.
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  expired: ['confirmed', 'cancelled'],
+  cancelled: [],
+  returned: []
+};
+
+// Statuses in which the order's items are still taken out of stock
+const HOLDS_STOCK = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
+const transitionError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const assertTransition = (from, to) => {
+  if (!TRANSITIONS[to]) {
+    throw transitionError(`Unknown order status: ${to}`, 400);
+  }
+  if (!canTransition(from, to)) {
+    throw transitionError(`Cannot change order status from ${from} to ${to}`);
+  }
+};
+
+// Items (or parts of items) not already restocked through a received return
+const getUnreturnedItems = (order) => {
+  return order.items
+    .map(item => {
+      const received = order.returns
+        .filter(entry => entry.status === 'received')
+        .reduce((sum, entry) => sum + entry.items
+          .filter(returned => returned.orderItem.toString() === item._id.toString())
+          .reduce((itemSum, returned) => itemSum + returned.quantity, 0), 0);
+      return { orderItem: item._id, quantity: item.quantity - received };
+    })
+    .filter(item => item.quantity > 0);
+};
+
+// Stock and coupon changes a transition makes once it has been claimed,
+// each with a way to undo it should a later step fail
+const holdEffects = (order, from, to, { actor }) => {
+  const items = to === 'returned' ? stockItemsFor(order, getUnreturnedItems(order)) : stockItemsFor(order);
+  const releaseHold = (reason) => [
+    {
+      apply: () => releaseStock(items, { reason, order, actor }),
+      undo: () => reserveStock(items, { reason: 'sale', order, actor, note: `Order ${to} rolled back` })
+    },
+    {
+      apply: () => releaseCoupon(order.coupon && order.coupon.code, orderCustomer(order)),
+      undo: () => redeemOrderCoupon(order)
+    }
+  ];
+
+  switch (to) {
+    case 'cancelled':
+      return HOLDS_STOCK.includes(from) ? releaseHold('cancel') : [];
+    case 'expired':
+      return releaseHold('expire');
+    case 'returned':
+      return [releaseHold('return')[0]];
+    default:
+      return [];
+  }
+};
+
+// Take the order's coupon use again, e.g. when its release is undone
+const redeemOrderCoupon = async (order) => {
+  if (!order.coupon || !order.coupon.code) return;
+  const coupon = await Coupon.findOne({ code: order.coupon.code });
+  if (!coupon) {
+    throw transitionError(`Coupon ${order.coupon.code} no longer exists`);
+  }
+  await redeemCoupon(coupon, orderCustomer(order));
+};
+
+// Changes to the order document itself
+const applyEffects = (order, from, to, { reason }) => {
+  const now = new Date();
+
+  switch (to) {
+    case 'confirmed':
+      if (from === 'expired') {
+        order.reservation.releasedAt = undefined;
+      }
+      break;
+
+    case 'cancelled': {
+      const paid = order.paymentInfo.status === 'completed';
+
+      if (order.reservation && order.reservation.expiresAt && !order.reservation.releasedAt) {
+        order.reservation.releasedAt = now;
+      }
+      order.cancellation = {
+        reason: reason || 'Order cancelled',
+        cancelledAt: now,
+        refundStatus: paid ? 'pending' : 'processed',
+        refundAmount: paid ? order.pricing.total : 0
+      };
+      break;
+    }
+
+    case 'expired':
+      order.reservation.releasedAt = now;
+      break;
+
+    case 'delivered':
+      // Cash on delivery is paid when the parcel is handed over
+      if (order.paymentInfo.method === 'cod' && order.paymentInfo.status === 'pending') {
+        order.paymentInfo.status = 'completed';
+        order.paymentInfo.paidAt = now;
+      }
+      order.deliveredAt = now;
+      break;
+
+    default:
+      break;
+  }
+};
+
+// Move an order to a new status, applying that transition's side effects.
+// The change is claimed with a conditional update on the current status,
+// so concurrent requests (say, a customer cancelling while the sweeper
+// expires the order) can't both apply their side effects. Should a side
+// effect fail, the ones already made are undone and the order goes back
+// to its previous status, so the change can be tried again.
+//
+// Options:
+//   actor   - id of the user making the change, logged on the timeline
+//   message - timeline message, defaults to "Order <status>"
+//   reason  - cancellation reason
+const transitionOrder = async (order, to, { actor, message, reason } = {}) => {
+  const from = order.status;
+  assertTransition(from, to);
+
+  // A late payment on an expired order has to take the stock and its
+  // coupon use again. A coupon used up in the meantime is handled like
+  // stock that has gone.
+  const reclaimHold = from === 'expired' && to === 'confirmed';
+  const giveBackHold = async () => {
+    await releaseStock(stockItemsFor(order), { reason: 'cancel', order, actor, note: 'Order changed during late payment' });
+    await releaseCoupon(order.coupon && order.coupon.code, orderCustomer(order));
+  };
+  if (reclaimHold) {
+    await reserveStock(stockItemsFor(order), { reason: 'sale', order, actor, note: 'Late payment' });
+    try {
+      await redeemOrderCoupon(order);
+    } catch (error) {
+      await releaseStock(stockItemsFor(order), { reason: 'cancel', order, actor, note: 'Coupon no longer available' });
+      if (error.statusCode === 409) {
+        throw transitionError(`Coupon ${order.coupon.code} is no longer available: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  const claimed = await Order.updateOne({ _id: order._id, status: from }, { $set: { status: to } });
+  if (claimed.modifiedCount !== 1) {
+    if (reclaimHold) await giveBackHold();
+    throw transitionError(`Order is no longer ${from}`);
+  }
+
+  const done = [];
+  try {
+    for (const effect of holdEffects(order, from, to, { actor })) {
+      await effect.apply();
+      done.push(effect);
+    }
+
+    order.status = to;
+    order.timeline.push({
+      status: to,
+      previousStatus: from,
+      message: message || `Order ${to}`,
+      changedBy: actor
+    });
+    order.$locals.statusLogged = true;
+
+    applyEffects(order, from, to, { reason });
+    await order.save();
+  } catch (error) {
+    for (const effect of done.reverse()) {
+      try {
+        await effect.undo();
+      } catch (undoError) {
+        console.error(`Undoing order ${order.orderNumber} ${from} -> ${to} failed:`, undoError);
+      }
+    }
+    if (reclaimHold) await giveBackHold();
+    await Order.updateOne({ _id: order._id, status: to }, { $set: { status: from } });
+    throw error;
+  }
+  notifyOrderStatus(order, to);
+
+  if (to === 'cancelled') {
+    await autoRefundCancelled(order, { actor });
+  }
+
+  return order;
+};
+
+// Paid cancellations are refunded straight away if enabled, otherwise
+// they wait in the admin refund queue
+const autoRefundCancelled = async (order, { actor } = {}) => {
+  if (order.cancellation.refundStatus !== 'pending' || process.env.AUTO_REFUND_ON_CANCEL !== 'true') {
+    return;
+  }
+  try {
+    await issueRefund(order, { reason: order.cancellation.reason, initiatedBy: actor });
+  } catch (error) {
+    console.error('Automatic refund error:', error);
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  transitionOrder,
+  autoRefundCancelled
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for a payment gateway, used in tests and local development.
+// Refunds are processed immediately unless `nextRefundStatus` says otherwise.
+// Payments and settlements for reconciliation come from `loadFixture`.
+const state = {
+  refunds: [],
+  payments: [],
+  settlements: [],
+  nextRefundStatus: 'processed'
+};
+
+const inRange = (date, from, to) => {
+  const time = new Date(date).getTime();
+  return time >= new Date(from).getTime() && time <= new Date(to).getTime();
+};
+
+// Load gateway data in the same shape listPayments/listSettlements return,
+// e.g. from fixtures/reconciliation.json. Dates may be ISO strings.
+const loadFixture = ({ payments = [], settlements = [] }) => {
+  state.payments = payments.map(payment => ({ ...payment, createdAt: new Date(payment.createdAt) }));
+  state.settlements = settlements.map(entry => ({ ...entry, settledAt: new Date(entry.settledAt) }));
+};
+
+const listPayments = async ({ from, to }) => state.payments.filter(payment => inRange(payment.createdAt, from, to));
+
+const listSettlements = async ({ from, to }) => state.settlements.filter(entry => inRange(entry.settledAt, from, to));
+
+const createRefund = async ({ paymentId, amount, notes = {} }) => {
+  if (state.nextRefundStatus === 'error') {
+    throw new Error('Fake provider refund error');
+  }
+
+  const refund = {
+    id: `rfnd_fake_${crypto.randomBytes(6).toString('hex')}`,
+    paymentId,
+    amount,
+    notes,
+    status: state.nextRefundStatus
+  };
+  state.refunds.push(refund);
+
+  return { id: refund.id, paymentId, amount, status: refund.status };
+};
+
+const reset = () => {
+  state.refunds = [];
+  state.payments = [];
+  state.settlements = [];
+  state.nextRefundStatus = 'processed';
+};
+
+module.exports = {
+  name: 'fake',
+  state,
+  reset,
+  loadFixture,
+  listPayments,
+  listSettlements,
+  createRefund
+};
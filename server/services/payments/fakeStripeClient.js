@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+// Local stand-in for the Stripe SDK client, for tests and offline development:
+//   stripeProvider.setClient(createFakeStripeClient())
+// Covers the calls the app makes. Webhook signing uses Stripe's own helpers,
+// so signatures are checked exactly as in production.
+const createFakeStripeClient = () => {
+  const state = {
+    paymentIntents: new Map(),
+    refunds: [],
+    nextRefundStatus: 'succeeded'
+  };
+
+  const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(6).toString('hex')}`;
+
+  const notFound = (id) => {
+    const error = new Error(`No such object: '${id}'`);
+    error.type = 'StripeInvalidRequestError';
+    error.code = 'resource_missing';
+    error.statusCode = 404;
+    return error;
+  };
+
+  const paymentIntents = {
+    create: async (params) => {
+      const id = fakeId('pi');
+      const intent = {
+        id,
+        object: 'payment_intent',
+        amount: params.amount,
+        amount_received: 0,
+        currency: params.currency,
+        description: params.description,
+        metadata: params.metadata || {},
+        status: 'requires_payment_method',
+        client_secret: `${id}_secret_${crypto.randomBytes(6).toString('hex')}`,
+        latest_charge: null
+      };
+      state.paymentIntents.set(id, intent);
+      return { ...intent };
+    },
+
+    retrieve: async (id) => {
+      const intent = state.paymentIntents.get(id);
+      if (!intent) throw notFound(id);
+      return { ...intent };
+    }
+  };
+
+  const refunds = {
+    create: async ({ payment_intent, amount, metadata = {} }) => {
+      const intent = state.paymentIntents.get(payment_intent);
+      if (!intent) throw notFound(payment_intent);
+
+      const refund = {
+        id: fakeId('re'),
+        object: 'refund',
+        payment_intent,
+        charge: intent.latest_charge,
+        amount: amount === undefined ? intent.amount_received : amount,
+        metadata,
+        status: state.nextRefundStatus
+      };
+      state.refunds.push(refund);
+      return { ...refund };
+    },
+
+    list: async ({ charge }) => ({
+      object: 'list',
+      data: state.refunds.filter(refund => refund.charge === charge),
+      has_more: false
+    })
+  };
+
+  // Simulate the customer paying an intent; returns the intent and its charge
+  const succeedPaymentIntent = (id) => {
+    const intent = state.paymentIntents.get(id);
+    if (!intent) throw notFound(id);
+
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount;
+    intent.latest_charge = fakeId('ch');
+    return { ...intent };
+  };
+
+  // Build a signed webhook request for an event, as Stripe would send it
+  const signEvent = (type, object, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+    const payload = JSON.stringify({
+      id: fakeId('evt'),
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object }
+    });
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+    return { payload, signature };
+  };
+
+  return {
+    state,
+    paymentIntents,
+    refunds,
+    webhooks: Stripe.webhooks,
+    succeedPaymentIntent,
+    signEvent
+  };
+};
+
+module.exports = { createFakeStripeClient };
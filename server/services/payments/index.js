@@ -0,0 +1,46 @@
+const razorpayProvider = require('./razorpayProvider');
+const stripeProvider = require('./stripeProvider');
+const fakeProvider = require('./fakeProvider');
+
+// Payment providers implement:
+//   createRefund({ paymentId, amount, notes }) -> { id, paymentId, amount, status }
+// where amount is in rupees and status is 'pending', 'processed' or 'failed'.
+// Providers that support reconciliation also implement:
+//   listPayments({ from, to }) -> [{ id, orderId, amount, amountRefunded, currency, status, method, createdAt }]
+//   listSettlements({ from, to }) -> [{ paymentId, settlementId, amount, fee, tax, settledAt }]
+const providers = {
+  razorpay: razorpayProvider,
+  stripe: stripeProvider,
+  fake: fakeProvider
+};
+
+// Online payment methods and the provider that settles them
+const METHOD_PROVIDERS = {
+  razorpay: 'razorpay',
+  upi: 'razorpay',
+  stripe: 'stripe'
+};
+
+// PAYMENT_PROVIDER overrides the provider for every method, e.g. "fake" in tests
+const getPaymentProvider = (method) => {
+  const name = process.env.PAYMENT_PROVIDER || METHOD_PROVIDERS[method];
+  const provider = providers[name];
+
+  if (!provider) {
+    const error = new Error(`No payment provider available for ${method} payments`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return provider;
+};
+
+// Swap in a provider implementation, e.g. a test double
+const registerPaymentProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+  registerPaymentProvider
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+let client;
+
+// Created on first use so the app can start without Razorpay keys
+const getClient = () => {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Razorpay order for the full order total. An open Razorpay order already
+// created for this order is reused when the total hasn't changed.
+const createGatewayOrder = async (order) => {
+  const amount = toPaise(order.pricing.total);
+
+  if (order.paymentInfo.orderId) {
+    const existing = await getClient().orders.fetch(order.paymentInfo.orderId);
+    if (existing.amount === amount && existing.status !== 'paid') {
+      return existing;
+    }
+  }
+
+  return getClient().orders.create({
+    amount,
+    currency: 'INR',
+    receipt: order.orderNumber,
+    payment_capture: 1,
+    notes: {
+      orderId: order._id.toString()
+    }
+  });
+};
+
+// Checkout signature over "<razorpay order id>|<payment id>"
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+
+  return typeof signature === 'string' &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+const fetchPayment = (paymentId) => getClient().payments.fetch(paymentId);
+
+// Whether a Razorpay payment settled the full total of this order through
+// the Razorpay order we created for it
+const matchesOrder = (payment, order) => (
+  Boolean(order.paymentInfo.orderId) &&
+  payment.order_id === order.paymentInfo.orderId &&
+  payment.currency === 'INR' &&
+  payment.amount === toPaise(order.pricing.total) &&
+  ['authorized', 'captured'].includes(payment.status)
+);
+
+const getPaymentDetails = (payment) => ({
+  paymentId: payment.id,
+  orderId: payment.order_id
+});
+
+// Webhooks are signed over the exact request body
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET || !rawBody || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+// Razorpay reports refunds as pending or processed
+const toRefundResult = (refund) => ({
+  id: refund.id,
+  paymentId: refund.payment_id,
+  amount: refund.amount / 100,
+  status: refund.status === 'processed' ? 'processed' : refund.status === 'failed' ? 'failed' : 'pending'
+});
+
+const PAGE_SIZE = 100;
+
+const toUnixSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Collect every page of a Razorpay list endpoint
+const listAll = async (fetchPage) => {
+  const items = [];
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await fetchPage({ count: PAGE_SIZE, skip });
+    items.push(...page.items);
+    if (page.items.length < PAGE_SIZE) return items;
+  }
+};
+
+// Payments created between `from` and `to`, amounts in rupees
+const listPayments = async ({ from, to }) => {
+  const payments = await listAll(page => getClient().payments.all({
+    from: toUnixSeconds(from),
+    to: toUnixSeconds(to),
+    ...page
+  }));
+
+  return payments.map(payment => ({
+    id: payment.id,
+    orderId: payment.order_id,
+    amount: payment.amount / 100,
+    amountRefunded: (payment.amount_refunded || 0) / 100,
+    currency: payment.currency,
+    status: payment.status,
+    method: payment.method,
+    createdAt: new Date(payment.created_at * 1000)
+  }));
+};
+
+// Settled payments between `from` and `to`, from the daily settlement
+// reconciliation report. Amounts in rupees.
+const listSettlements = async ({ from, to }) => {
+  const entries = [];
+  const day = new Date(from);
+  day.setUTCHours(0, 0, 0, 0);
+
+  for (; day <= new Date(to); day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate()
+    };
+    entries.push(...await listAll(page => getClient().settlements.reports({ ...date, ...page })));
+  }
+
+  return entries
+    .filter(entry => entry.type === 'payment' && entry.settled)
+    .map(entry => ({
+      paymentId: entry.entity_id,
+      settlementId: entry.settlement_id,
+      amount: entry.amount / 100,
+      fee: (entry.fee || 0) / 100,
+      tax: (entry.tax || 0) / 100,
+      settledAt: new Date(entry.settled_at * 1000)
+    }));
+};
+
+const createRefund = async ({ paymentId, amount, notes = {} }) => {
+  const refund = await getClient().payments.refund(paymentId, {
+    amount: toPaise(amount),
+    speed: 'normal',
+    notes
+  });
+  return toRefundResult(refund);
+};
+
+module.exports = {
+  name: 'razorpay',
+  getClient,
+  createGatewayOrder,
+  verifyPaymentSignature,
+  fetchPayment,
+  matchesOrder,
+  getPaymentDetails,
+  verifyWebhookSignature,
+  listPayments,
+  listSettlements,
+  createRefund
+};
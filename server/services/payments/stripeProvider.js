@@ -0,0 +1,107 @@
+const Stripe = require('stripe');
+
+let client;
+
+// Created on first use so the app can start without Stripe keys
+const getClient = () => {
+  if (!client) {
+    client = Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+// Swap in another client, e.g. the local fake in fakeStripeClient.js
+const setClient = (stripeClient) => {
+  client = stripeClient;
+};
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Stripe refunds are pending until they succeed, fail or are cancelled
+const toRefundResult = (refund) => ({
+  id: refund.id,
+  paymentId: refund.payment_intent,
+  amount: refund.amount / 100,
+  status: refund.status === 'succeeded'
+    ? 'processed'
+    : ['failed', 'canceled'].includes(refund.status) ? 'failed' : 'pending',
+  failureReason: refund.failure_reason
+});
+
+// PaymentIntent for the full order total. An intent already created for the
+// order is reused while it can still be paid, so retrying checkout doesn't
+// leave a trail of open intents.
+const createPaymentIntent = async (order) => {
+  const amount = toPaise(order.pricing.total);
+
+  if (order.paymentInfo.orderId) {
+    const existing = await getClient().paymentIntents.retrieve(order.paymentInfo.orderId);
+    if (existing.amount === amount && !['succeeded', 'canceled'].includes(existing.status)) {
+      return existing;
+    }
+  }
+
+  return getClient().paymentIntents.create({
+    amount,
+    currency: 'inr',
+    automatic_payment_methods: { enabled: true },
+    description: `Order ${order.orderNumber}`,
+    metadata: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber
+    }
+  });
+};
+
+// Whether a PaymentIntent was created for this order and settled its full total
+const matchesOrder = (intent, order) => (
+  Boolean(intent.metadata) &&
+  intent.metadata.orderId === order._id.toString() &&
+  intent.currency === 'inr' &&
+  intent.amount_received === toPaise(order.pricing.total)
+);
+
+// A PaymentIntent stands in for both the gateway order and the payment
+const getPaymentDetails = (intent) => ({
+  paymentId: intent.id,
+  orderId: intent.id
+});
+
+const createRefund = async ({ paymentId, amount, notes = {} }) => {
+  const refund = await getClient().refunds.create({
+    payment_intent: paymentId,
+    amount: toPaise(amount),
+    metadata: notes
+  });
+  return toRefundResult(refund);
+};
+
+// Refunds on a charge, for charge.refunded events. Newer API versions
+// don't include them on the charge object, so fetch them when missing.
+const getChargeRefunds = async (charge) => {
+  const refunds = charge.refunds && charge.refunds.data
+    ? charge.refunds.data
+    : (await getClient().refunds.list({ charge: charge.id, limit: 100 })).data;
+  return refunds.map(toRefundResult);
+};
+
+// Verify a webhook against the raw request body and return the event.
+// Throws when the signature doesn't match.
+const constructWebhookEvent = (rawBody, signature) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+  }
+  return getClient().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+};
+
+module.exports = {
+  name: 'stripe',
+  getClient,
+  setClient,
+  createPaymentIntent,
+  matchesOrder,
+  getPaymentDetails,
+  createRefund,
+  getChargeRefunds,
+  constructWebhookEvent
+};
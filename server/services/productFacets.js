@@ -0,0 +1,130 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// Lower bounds of the price buckets. The last bucket has no upper bound.
+const PRICE_BUCKETS = [0, 2000, 5000, 10000, 20000];
+
+// Everything except the facet's own filter, so the counts show what picking
+// another value would give rather than only the value already picked
+const matchOthers = (filters, field) => ({
+  $match: Object.fromEntries(Object.entries(filters).filter(([key]) => key !== field))
+});
+
+const countValues = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+const lookupCategory = {
+  $lookup: {
+    from: Category.collection.name,
+    localField: '_id',
+    foreignField: '_id',
+    as: 'category'
+  }
+};
+
+// A product counts towards its category and every category above it, the
+// same way filtering on a category takes in its subcategories
+const countCategories = [
+  { $group: { _id: '$category', count: { $sum: 1 } } },
+  lookupCategory,
+  { $unwind: '$category' },
+  { $project: { count: 1, ids: { $concatArrays: [['$_id'], '$category.ancestors'] } } },
+  { $unwind: '$ids' },
+  { $group: { _id: '$ids', count: { $sum: '$count' } } },
+  lookupCategory,
+  { $unwind: '$category' },
+  { $match: { 'category.isActive': true } },
+  { $sort: { count: -1, 'category.displayOrder': 1, 'category.name': 1 } },
+  {
+    $project: {
+      _id: 1,
+      name: '$category.name',
+      slug: '$category.slug',
+      parent: '$category.parent',
+      count: 1
+    }
+  }
+];
+
+const countPrices = [
+  {
+    $bucket: {
+      groupBy: '$price',
+      boundaries: [...PRICE_BUCKETS, Infinity],
+      default: 'other',
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+// Turn the price bucket counts into { min, max, count }
+const toPriceRanges = (buckets) => buckets
+  .filter(bucket => bucket._id !== 'other')
+  .map(bucket => {
+    const index = PRICE_BUCKETS.indexOf(bucket._id);
+    return {
+      min: bucket._id,
+      max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+      count: bucket.count
+    };
+  });
+
+// One page of the product listing with its total and facet counts, in a
+// single aggregation. `base` holds the filters that aren't facets (active,
+// search text, in stock...) and `filters` the faceted ones (category,
+// fabric, color, occasion, price) as Mongo conditions keyed by field.
+//
+// Returns { products, total, facets } where products are plain objects
+// (without reviews, category as { _id, name, slug }) and facets is
+// { category: [{ _id, name, slug, parent, count }],
+//   fabric|color|occasion: [{ value, count }],
+//   price: [{ min, max, count }] } with values nothing matches left out.
+const getProductListing = async (base, filters, { sort, skip, limit }) => {
+  const [result] = await Product.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        products: [
+          { $match: filters },
+          { $sort: sort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { reviews: 0 } },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: 'category',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1, slug: 1 } }],
+              as: 'category'
+            }
+          },
+          { $set: { category: { $first: '$category' } } }
+        ],
+        total: [{ $match: filters }, { $count: 'count' }],
+        category: [matchOthers(filters, 'category'), ...countCategories],
+        fabric: [matchOthers(filters, 'fabric'), ...countValues('fabric')],
+        color: [matchOthers(filters, 'color'), ...countValues('color')],
+        occasion: [matchOthers(filters, 'occasion'), ...countValues('occasion')],
+        price: [matchOthers(filters, 'price'), ...countPrices]
+      }
+    }
+  ]);
+
+  const { products, total, price, ...facets } = result;
+
+  return {
+    products,
+    total: total.length > 0 ? total[0].count : 0,
+    facets: { ...facets, price: toPriceRanges(price) }
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  getProductListing
+};
@@ -0,0 +1,288 @@
+const Order = require('../models/Order');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { getPaymentProvider } = require('./payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Razorpay settles a few working days after capture, so settlements are
+// looked up this far past the end of the range
+const SETTLEMENT_LAG_DAYS = 7;
+
+// Methods settled through Razorpay, the gateway reconciled here
+const RECONCILED_METHODS = ['razorpay', 'upi'];
+
+const CAPTURED_STATUSES = ['captured', 'refunded'];
+
+const SUMMARY_KEYS = {
+  matched: 'matched',
+  missing_capture: 'missingCapture',
+  amount_mismatch: 'amountMismatch',
+  orphan_payment: 'orphanPayment',
+  stuck_pending: 'stuckPending'
+};
+
+const reconciliationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const orderFields = (order) => ({
+  order: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.status,
+  orderPaymentStatus: order.paymentInfo.status,
+  orderAmount: order.pricing.total,
+  gatewayOrderId: order.paymentInfo.orderId
+});
+
+const paymentFields = (payment) => ({
+  paymentId: payment.id,
+  gatewayOrderId: payment.orderId,
+  gatewayStatus: payment.status,
+  gatewayAmount: payment.amount,
+  currency: payment.currency
+});
+
+const settlementFields = (settlement) => settlement
+  ? {
+      settlementId: settlement.settlementId,
+      settledAmount: settlement.amount,
+      fee: settlement.fee,
+      tax: settlement.tax,
+      settledAt: settlement.settledAt
+    }
+  : {};
+
+// Compare an order the app considers paid with the gateway's record of it
+const reconcilePaidOrder = (order, payment, settlement) => {
+  const base = orderFields(order);
+
+  if (!payment) {
+    return {
+      ...base,
+      result: 'missing_capture',
+      paymentId: order.paymentInfo.paymentId,
+      detail: order.paymentInfo.paymentId
+        ? 'Payment not found at the gateway'
+        : 'Order is marked paid without a payment id'
+    };
+  }
+
+  const row = { ...base, ...paymentFields(payment), ...settlementFields(settlement) };
+
+  if (!CAPTURED_STATUSES.includes(payment.status)) {
+    return { ...row, result: 'missing_capture', detail: `Gateway payment is ${payment.status}` };
+  }
+
+  if (payment.currency !== 'INR' || roundAmount(payment.amount) !== roundAmount(order.pricing.total)) {
+    return {
+      ...row,
+      result: 'amount_mismatch',
+      detail: `Order total ${order.pricing.total} INR, gateway captured ${payment.amount} ${payment.currency}`
+    };
+  }
+
+  return {
+    ...row,
+    result: 'matched',
+    detail: settlement ? undefined : 'Not settled yet'
+  };
+};
+
+// A pending order is stuck when the gateway took the money but the order
+// never heard about it, or when it has outlived its stock hold
+const reconcilePendingOrder = (order, capturedByGatewayOrder, now) => {
+  const payment = order.paymentInfo.orderId && capturedByGatewayOrder.get(order.paymentInfo.orderId);
+
+  if (payment) {
+    return {
+      ...orderFields(order),
+      ...paymentFields(payment),
+      result: 'stuck_pending',
+      detail: 'Payment captured at the gateway but the order is still pending'
+    };
+  }
+
+  const holdExpired = order.reservation && order.reservation.expiresAt && order.reservation.expiresAt < now;
+  if (holdExpired) {
+    return {
+      ...orderFields(order),
+      result: 'stuck_pending',
+      detail: 'Stock hold expired but the order is still pending'
+    };
+  }
+
+  return null;
+};
+
+const summarize = (rows) => {
+  const summary = {
+    matched: 0,
+    missingCapture: 0,
+    amountMismatch: 0,
+    orphanPayment: 0,
+    stuckPending: 0,
+    capturedAmount: 0,
+    settledAmount: 0,
+    fees: 0
+  };
+
+  rows.forEach(row => {
+    summary[SUMMARY_KEYS[row.result]] += 1;
+    if (row.paymentId && CAPTURED_STATUSES.includes(row.gatewayStatus)) {
+      summary.capturedAmount += row.gatewayAmount || 0;
+    }
+    summary.settledAmount += row.settledAmount || 0;
+    summary.fees += (row.fee || 0) + (row.tax || 0);
+  });
+
+  summary.capturedAmount = roundAmount(summary.capturedAmount);
+  summary.settledAmount = roundAmount(summary.settledAmount);
+  summary.fees = roundAmount(summary.fees);
+  return summary;
+};
+
+// Match orders paid (or left pending) between `from` and `to` against the
+// gateway's payments and settlements, and save the result as a report.
+// With PAYMENT_PROVIDER=fake the gateway data comes from the fake provider's
+// fixture instead of Razorpay.
+const reconcilePayments = async ({ from, to, trigger = 'manual', generatedBy } = {}) => {
+  from = new Date(from);
+  to = new Date(to);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    throw reconciliationError('A valid date range is required', 400);
+  }
+
+  const provider = getPaymentProvider('razorpay');
+  if (!provider.listPayments || !provider.listSettlements) {
+    throw reconciliationError(`The ${provider.name} provider does not support reconciliation`, 400);
+  }
+
+  const now = new Date();
+
+  // Orders can be marked paid a little after the payment was created, so
+  // pull gateway payments with a day's margin either side
+  const [payments, settlements, orders] = await Promise.all([
+    provider.listPayments({
+      from: new Date(from.getTime() - DAY_MS),
+      to: new Date(Math.min(to.getTime() + DAY_MS, now.getTime()))
+    }),
+    provider.listSettlements({
+      from,
+      to: new Date(Math.min(to.getTime() + SETTLEMENT_LAG_DAYS * DAY_MS, now.getTime()))
+    }),
+    Order.find({
+      'paymentInfo.method': { $in: RECONCILED_METHODS },
+      $or: [
+        { 'paymentInfo.status': { $in: ['completed', 'refunded'] }, 'paymentInfo.paidAt': { $gte: from, $lte: to } },
+        { 'paymentInfo.status': 'pending', status: 'pending', createdAt: { $gte: from, $lte: to } }
+      ]
+    }).select('orderNumber status paymentInfo pricing.total reservation createdAt')
+  ]);
+
+  const paymentsById = new Map(payments.map(payment => [payment.id, payment]));
+  const settlementsByPayment = new Map(settlements.map(entry => [entry.paymentId, entry]));
+  const capturedByGatewayOrder = new Map(
+    payments
+      .filter(payment => CAPTURED_STATUSES.includes(payment.status))
+      .map(payment => [payment.orderId, payment])
+  );
+
+  const rows = [];
+  const accountedFor = new Set();
+
+  orders.forEach(order => {
+    if (order.paymentInfo.status === 'pending') {
+      const row = reconcilePendingOrder(order, capturedByGatewayOrder, now);
+      if (row) {
+        rows.push(row);
+        if (row.paymentId) accountedFor.add(row.paymentId);
+      }
+      return;
+    }
+
+    const payment = paymentsById.get(order.paymentInfo.paymentId);
+    rows.push(reconcilePaidOrder(order, payment, payment && settlementsByPayment.get(payment.id)));
+    if (payment) accountedFor.add(payment.id);
+  });
+
+  // Captured payments in range that no order in the report claims. The order
+  // may have been paid outside the range, so check the whole collection
+  // before calling a payment an orphan.
+  const candidates = payments.filter(payment => (
+    CAPTURED_STATUSES.includes(payment.status) &&
+    !accountedFor.has(payment.id) &&
+    payment.createdAt >= from &&
+    payment.createdAt <= to
+  ));
+
+  if (candidates.length > 0) {
+    const [claimed, related] = await Promise.all([
+      Order.find({ 'paymentInfo.paymentId': { $in: candidates.map(payment => payment.id) } }).select('paymentInfo.paymentId'),
+      Order.find({ 'paymentInfo.orderId': { $in: candidates.map(payment => payment.orderId).filter(Boolean) } })
+        .select('orderNumber status paymentInfo pricing.total')
+    ]);
+    const claimedIds = new Set(claimed.map(order => order.paymentInfo.paymentId));
+    const relatedByGatewayOrder = new Map(related.map(order => [order.paymentInfo.orderId, order]));
+
+    candidates
+      .filter(payment => !claimedIds.has(payment.id))
+      .forEach(payment => {
+        const order = relatedByGatewayOrder.get(payment.orderId);
+        rows.push({
+          ...(order ? orderFields(order) : {}),
+          ...paymentFields(payment),
+          ...settlementFields(settlementsByPayment.get(payment.id)),
+          result: 'orphan_payment',
+          detail: order
+            ? `Captured for order ${order.orderNumber} (${order.status}), which records ${order.paymentInfo.paymentId ? `payment ${order.paymentInfo.paymentId}` : 'no payment'}`
+            : 'Captured payment has no matching order'
+        });
+      });
+  }
+
+  return ReconciliationReport.create({
+    provider: provider.name,
+    from,
+    to,
+    trigger,
+    generatedBy,
+    summary: summarize(rows),
+    rows
+  });
+};
+
+// Reconcile the previous UTC day once a day, when RECONCILIATION_JOB=true
+const startReconciliationJob = () => {
+  if (process.env.RECONCILIATION_JOB !== 'true') return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const to = new Date();
+      to.setUTCHours(0, 0, 0, 0);
+      const report = await reconcilePayments({
+        from: new Date(to.getTime() - DAY_MS),
+        to: new Date(to.getTime() - 1),
+        trigger: 'scheduled'
+      });
+
+      const { matched, missingCapture, amountMismatch, orphanPayment, stuckPending } = report.summary;
+      const issues = missingCapture + amountMismatch + orphanPayment + stuckPending;
+      console.log(`Reconciliation report ${report._id}: ${matched} matched, ${issues} issue(s)`);
+    } catch (error) {
+      console.error('Reconciliation job error:', error);
+    }
+  }, DAY_MS);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  reconcilePayments,
+  startReconciliationJob
+};
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { getPaymentProvider } = require('./payments');
+const { notifyOrder } = require('./notifications');
+const { issueCreditNote } = require('./invoices');
+
+const refundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Amount still available to refund, counting refunds that are in flight
+const getRefundableAmount = (order) => {
+  const committed = order.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(order.pricing.total - committed, 0);
+};
+
+// Refunds still counting against the order total (in flight or processed),
+// as a query expression on the stored order
+const committedExpr = {
+  $sum: {
+    $map: {
+      input: { $filter: { input: { $ifNull: ['$refunds', []] }, cond: { $ne: ['$$this.status', 'failed'] } } },
+      in: '$$this.amount'
+    }
+  }
+};
+
+// Recalculate refund totals and statuses after a refund changes. `refunds`
+// defaults to the order's own; pass the stored ones when other requests
+// may have added refunds since the order was loaded.
+const syncRefundState = (order, refunds = order.refunds) => {
+  const processed = refunds
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  order.paymentInfo.refundedAmount = processed;
+
+  if (processed >= order.pricing.total) {
+    order.paymentInfo.status = 'refunded';
+  }
+
+  if (order.status === 'cancelled' && order.cancellation) {
+    const latest = refunds[refunds.length - 1];
+    if (latest) {
+      order.cancellation.refundStatus = latest.status;
+    }
+  }
+};
+
+// Credit notes are issued in the background. One that fails is issued the
+// next time the order's credit notes are listed.
+const creditRefund = (order, refund) => {
+  issueCreditNote(order, refund).catch(error => {
+    console.error(`Credit note for refund ${refund.refundId} failed:`, error);
+  });
+};
+
+// Refund all or part of a paid order through its payment provider.
+// Leaving out `amount` refunds whatever has not been refunded yet.
+const issueRefund = async (order, { amount, reason, returnRequest, initiatedBy } = {}) => {
+  if (!['completed', 'refunded'].includes(order.paymentInfo.status) || !order.paymentInfo.paymentId) {
+    throw refundError('Only orders with a captured online payment can be refunded');
+  }
+
+  const refundable = getRefundableAmount(order);
+  const refundAmount = amount === undefined ? refundable : amount;
+
+  if (refundAmount <= 0) {
+    throw refundError('Nothing left to refund on this order');
+  }
+
+  if (refundAmount > refundable) {
+    throw refundError(`Refund amount cannot exceed ₹${refundable}`);
+  }
+
+  const provider = getPaymentProvider(order.paymentInfo.method);
+
+  // Reserve the amount before the provider is called, so refunds issued at
+  // the same moment (or a repeated click) can't together refund more than
+  // was paid: the refund is only stored while the refunds already stored
+  // leave room for it
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    amount: refundAmount,
+    status: 'pending',
+    reason,
+    returnRequest,
+    initiatedBy,
+    createdAt: new Date()
+  };
+  const reserved = await Order.updateOne(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $round: [{ $add: [committedExpr, refundAmount] }, 2] }, '$pricing.total'] }
+    },
+    { $push: { refunds: refund } }
+  );
+  if (reserved.modifiedCount === 0) {
+    const stored = await Order.findById(order._id).select('refunds pricing.total');
+    const left = stored ? getRefundableAmount(stored) : 0;
+    throw refundError(left > 0 ? `Refund amount cannot exceed ₹${left}` : 'Nothing left to refund on this order', 409);
+  }
+
+  try {
+    const result = await provider.createRefund({
+      paymentId: order.paymentInfo.paymentId,
+      amount: refundAmount,
+      notes: { orderNumber: order.orderNumber, reason: reason || '' }
+    });
+
+    refund.refundId = result.id;
+    refund.status = result.status;
+    if (result.status === 'processed') {
+      refund.processedAt = new Date();
+    }
+    if (result.status === 'failed') {
+      refund.failureReason = result.failureReason || 'Refund failed at payment provider';
+    }
+  } catch (error) {
+    console.error('Refund provider error:', error);
+    refund.status = 'failed';
+    refund.failureReason = error.message || 'Payment provider error';
+  }
+
+  // Written field by field, since other refunds may have been stored since
+  // the order was loaded. The order passed in gets the new totals too.
+  const stored = await Order.findById(order._id).select('refunds');
+  const refunds = stored.refunds.map(entry => (entry._id.equals(refund._id) ? refund : entry));
+  syncRefundState(order, refunds);
+
+  const changes = {
+    'refunds.$.status': refund.status,
+    'refunds.$.refundId': refund.refundId,
+    'refunds.$.processedAt': refund.processedAt,
+    'refunds.$.failureReason': refund.failureReason,
+    'paymentInfo.refundedAmount': order.paymentInfo.refundedAmount,
+    'paymentInfo.status': order.paymentInfo.status,
+    'cancellation.refundStatus': order.cancellation && order.cancellation.refundStatus
+  };
+  await Order.updateOne({ _id: order._id, 'refunds._id': refund._id }, {
+    $set: Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)),
+    $push: {
+      timeline: {
+        status: order.status,
+        message: refund.status === 'failed'
+          ? `Refund of ₹${refundAmount} failed`
+          : `Refund of ₹${refundAmount} ${refund.status === 'processed' ? 'processed' : 'initiated'}`,
+        changedBy: initiatedBy,
+        timestamp: new Date()
+      }
+    }
+  });
+  ['paymentInfo.refundedAmount', 'paymentInfo.status', 'cancellation.refundStatus'].forEach(path => order.unmarkModified(path));
+
+  if (refund.status === 'failed') {
+    throw refundError(`Refund failed: ${refund.failureReason}`, 502);
+  }
+
+  if (refund.status === 'processed') {
+    notifyOrder('refundProcessed', order, { refund });
+    creditRefund(order, refund);
+  }
+
+  return refund;
+};
+
+// Apply a refund status reported by the provider (e.g. from a webhook).
+// Refunds started outside the app, such as from the gateway dashboard,
+// are recorded against the order that owns the payment.
+const applyRefundUpdate = async ({ refundId, paymentId, amount, status, failureReason }) => {
+  let order = await Order.findOne({ 'refunds.refundId': refundId });
+
+  if (!order && paymentId) {
+    order = await Order.findOne({ 'paymentInfo.paymentId': paymentId });
+    if (order) {
+      order.refunds.push({ refundId, amount, status: 'pending', reason: 'Refunded at payment provider' });
+    }
+  }
+
+  if (!order) {
+    return null;
+  }
+
+  const refund = order.refunds.find(entry => entry.refundId === refundId);
+
+  if (refund.status === status) {
+    return order;
+  }
+
+  refund.status = status;
+  if (status === 'processed') {
+    refund.processedAt = new Date();
+  }
+  if (status === 'failed') {
+    refund.failureReason = failureReason;
+  }
+
+  order.timeline.push({
+    status: order.status,
+    message: `Refund of ₹${refund.amount} ${status}`
+  });
+  syncRefundState(order);
+  await order.save();
+
+  if (status === 'processed') {
+    notifyOrder('refundProcessed', order, { refund });
+    creditRefund(order, refund);
+  }
+
+  return order;
+};
+
+// Orders waiting on an admin to refund them (cancelled or returned), and refunds still in flight
+const listRefundQueue = () => {
+  return Order.find({
+    $or: [
+      {
+        status: 'cancelled',
+        'paymentInfo.status': 'completed',
+        'cancellation.refundStatus': { $in: ['pending', 'failed'] }
+      },
+      { 'refunds.status': 'pending' },
+      {
+        'paymentInfo.status': 'completed',
+        returns: { $elemMatch: { type: 'refund', status: 'received', refundId: { $exists: false } } }
+      }
+    ]
+  })
+    .select('orderNumber user guest status paymentInfo pricing.total cancellation refunds createdAt')
+    .populate('user', 'firstName lastName email')
+    .sort({ 'cancellation.cancelledAt': 1, createdAt: 1 });
+};
+
+module.exports = {
+  getRefundableAmount,
+  issueRefund,
+  applyRefundUpdate,
+  listRefundQueue
+};
@@ -0,0 +1,80 @@
+const Order = require('../models/Order');
+const { transitionOrder } = require('./orderStateMachine');
+
+// Payment methods whose orders stay pending until the gateway confirms payment
+const ONLINE_PAYMENT_METHODS = ['razorpay', 'upi', 'stripe'];
+
+// How long a pending online-payment order may hold stock
+const getHoldMinutes = () => parseInt(process.env.STOCK_HOLD_MINUTES) || 30;
+
+const getHoldExpiry = (from = new Date()) => {
+  return new Date(from.getTime() + getHoldMinutes() * 60 * 1000);
+};
+
+// Filter matching orders that still hold stock
+const activeHoldFilter = () => ({
+  status: 'pending',
+  'paymentInfo.status': { $ne: 'completed' },
+  'reservation.expiresAt': { $exists: true },
+  'reservation.releasedAt': { $exists: false }
+});
+
+// Release stock for every hold whose window has passed.
+// The state machine claims each order before releasing anything, so a
+// payment being verified at the same moment or a second sweeper can't race it.
+const releaseExpiredHolds = async (now = new Date()) => {
+  const expired = await Order.find({
+    ...activeHoldFilter(),
+    'reservation.expiresAt': { $lte: now }
+  });
+
+  let released = 0;
+
+  for (const order of expired) {
+    try {
+      await transitionOrder(order, 'expired', {
+        message: 'Payment not received in time, reserved stock released'
+      });
+      released += 1;
+    } catch (error) {
+      // Someone else moved the order on first
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+
+  return released;
+};
+
+const listActiveHolds = () => {
+  return Order.find(activeHoldFilter())
+    .select('orderNumber user guest items pricing.total paymentInfo.method reservation createdAt')
+    .populate('user', 'firstName lastName email')
+    .sort({ 'reservation.expiresAt': 1 });
+};
+
+// Periodically release expired holds in the background
+const startReservationSweeper = () => {
+  const intervalSeconds = parseInt(process.env.STOCK_HOLD_SWEEP_INTERVAL_SECONDS) || 60;
+
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredHolds();
+      if (released > 0) {
+        console.log(`Released stock for ${released} expired order(s)`);
+      }
+    } catch (error) {
+      console.error('Reservation sweeper error:', error);
+    }
+  }, intervalSeconds * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  getHoldExpiry,
+  releaseExpiredHolds,
+  listActiveHolds,
+  startReservationSweeper
+};
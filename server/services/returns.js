@@ -0,0 +1,336 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { reserveStock, releaseStock } = require('./inventory');
+const { planFulfilment, buildShipments, stockItemsFor } = require('./fulfilment');
+const { issueRefund } = require('./refunds');
+const { transitionOrder } = require('./orderStateMachine');
+
+// Days after delivery during which a customer may ask for a return
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+const returnError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getDeliveredAt = (order) => {
+  if (order.deliveredAt) return order.deliveredAt;
+  const entry = order.timeline.filter(event => event.status === 'delivered').pop();
+  return entry ? entry.timestamp : null;
+};
+
+// Quantity of an order item already covered by returns that weren't rejected
+const getReturnedQuantity = (order, orderItemId) => {
+  return order.returns
+    .filter(entry => entry.status !== 'rejected')
+    .reduce((sum, entry) => sum + entry.items
+      .filter(item => item.orderItem.toString() === orderItemId.toString())
+      .reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
+};
+
+// What the customer paid for `quantity` units of an order item: the line's
+// discounted value plus its GST, pro rata. Orders placed before tax was
+// stored per line fall back to the list price.
+const getItemRefundValue = (order, returnItem) => {
+  const orderItem = order.items.id(returnItem.orderItem);
+  if (!orderItem || !orderItem.tax || orderItem.tax.taxableValue == null) {
+    return returnItem.price * returnItem.quantity;
+  }
+
+  const lineValue = orderItem.tax.taxableValue + orderItem.tax.amount;
+  return Math.round(lineValue * returnItem.quantity / orderItem.quantity * 100) / 100;
+};
+
+const findReturn = (order, returnId) => {
+  const returnRequest = order.returns.id(returnId);
+  if (!returnRequest) {
+    throw returnError('Return request not found', 404);
+  }
+  return returnRequest;
+};
+
+// Open a return for some or all items of a delivered order.
+// `items` is an array of { itemId, quantity } referring to order.items.
+const requestReturn = async (order, { items, reason, type = 'refund', photos = [] }) => {
+  if (order.status !== 'delivered') {
+    throw returnError('Only delivered orders can be returned');
+  }
+
+  const deliveredAt = getDeliveredAt(order);
+  const windowDays = getReturnWindowDays();
+  if (!deliveredAt || Date.now() > deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000) {
+    throw returnError(`Returns must be requested within ${windowDays} days of delivery`);
+  }
+
+  const returnItems = items.map(({ itemId, quantity }) => {
+    const orderItem = order.items.id(itemId);
+    if (!orderItem) {
+      throw returnError('Order item not found');
+    }
+
+    const returnable = orderItem.quantity - getReturnedQuantity(order, orderItem._id);
+    if (quantity > returnable) {
+      throw returnError(`Only ${returnable} of ${orderItem.name} can be returned`);
+    }
+
+    return {
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variant: orderItem.variant,
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity
+    };
+  });
+
+  order.returns.push({ items: returnItems, reason, type, photos });
+  order.timeline.push({
+    status: order.status,
+    message: `Return requested for ${returnItems.length} item(s): ${reason}`
+  });
+  await order.save();
+
+  return order.returns[order.returns.length - 1];
+};
+
+const approveReturn = async (order, returnId, { note, actor } = {}) => {
+  const returnRequest = findReturn(order, returnId);
+
+  if (returnRequest.status !== 'requested') {
+    throw returnError(`Return is already ${returnRequest.status}`, 409);
+  }
+
+  returnRequest.status = 'approved';
+  returnRequest.approvedAt = new Date();
+  returnRequest.adminNote = note;
+  order.timeline.push({
+    status: order.status,
+    message: 'Return approved, awaiting pickup',
+    changedBy: actor
+  });
+  await order.save();
+
+  return returnRequest;
+};
+
+const rejectReturn = async (order, returnId, { note, actor } = {}) => {
+  const returnRequest = findReturn(order, returnId);
+
+  if (!['requested', 'approved'].includes(returnRequest.status)) {
+    throw returnError(`Return is already ${returnRequest.status}`, 409);
+  }
+
+  returnRequest.status = 'rejected';
+  returnRequest.rejectedAt = new Date();
+  returnRequest.adminNote = note;
+  order.timeline.push({
+    status: order.status,
+    message: note ? `Return rejected: ${note}` : 'Return rejected',
+    changedBy: actor
+  });
+  await order.save();
+
+  return returnRequest;
+};
+
+// Ship the returned items out again as a zero-value replacement order
+const createExchangeOrder = async (order, returnRequest, { actor } = {}) => {
+  const items = returnRequest.items.map(item => {
+    const orderItem = order.items.id(item.orderItem);
+    return {
+      product: item.product,
+      variant: item.variant,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      size: orderItem && orderItem.size,
+      blouse: orderItem && orderItem.blouse,
+      color: orderItem && orderItem.color,
+      image: orderItem && orderItem.image,
+      sku: orderItem && orderItem.sku
+    };
+  });
+  const value = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const exchangeOrder = new Order({
+    orderNumber: Order.generateOrderNumber(),
+    user: order.user,
+    guest: order.guest,
+    items,
+    shippingAddress: order.shippingAddress,
+    billingAddress: order.billingAddress,
+    paymentInfo: {
+      method: order.paymentInfo.method,
+      status: 'completed',
+      paidAt: new Date()
+    },
+    pricing: {
+      subtotal: value,
+      discount: value,
+      total: 0
+    },
+    notes: {
+      admin: `Exchange for order ${order.orderNumber}`
+    },
+    status: 'confirmed'
+  });
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+  const lines = items.map(item => {
+    const product = products.find(entry => entry._id.equals(item.product));
+    if (!product) {
+      throw returnError(`${item.name} is no longer available for exchange`, 409);
+    }
+    return { product, variant: item.variant ? product.variants.id(item.variant) : null, quantity: item.quantity };
+  });
+  const plan = await planFulfilment(lines, { pincode: order.shippingAddress.pincode });
+  exchangeOrder.shipments = buildShipments(exchangeOrder, plan);
+
+  const note = `Exchange for order ${order.orderNumber}`;
+  const stockItems = stockItemsFor(exchangeOrder);
+  await reserveStock(stockItems, { reason: 'exchange', order: exchangeOrder, actor, note });
+
+  try {
+    return await exchangeOrder.save();
+  } catch (error) {
+    await releaseStock(stockItems, { reason: 'cancel', order: exchangeOrder, actor, note });
+    throw error;
+  }
+};
+
+// Mark an approved return received in one conditional write, so however
+// many requests race (or an admin retries), it is received and restocked
+// only once
+const claimReturn = async (order, returnRequest, note) => {
+  const receivedAt = new Date();
+  const update = {
+    'returns.$.status': 'received',
+    'returns.$.receivedAt': receivedAt
+  };
+  if (note) update['returns.$.adminNote'] = note;
+
+  const result = await Order.updateOne(
+    { _id: order._id, returns: { $elemMatch: { _id: returnRequest._id, status: 'approved' } } },
+    { $set: update }
+  );
+  if (result.modifiedCount === 0) {
+    throw returnError('This return has already been received', 409);
+  }
+
+  returnRequest.status = 'received';
+  returnRequest.receivedAt = receivedAt;
+  if (note) returnRequest.adminNote = note;
+};
+
+// Mark returned items as received: restock them, then refund or exchange.
+// Receiving an exchange again after its replacement order failed only
+// retries the replacement order.
+const receiveReturn = async (order, returnId, { note, actor } = {}) => {
+  const returnRequest = findReturn(order, returnId);
+  const exchangePending = returnRequest.status === 'received' &&
+    returnRequest.type === 'exchange' && !returnRequest.exchangeOrder;
+
+  if (!exchangePending) {
+    if (returnRequest.status !== 'approved') {
+      throw returnError('Only approved returns can be received', 409);
+    }
+    await claimReturn(order, returnRequest, note);
+
+    // Returned units go back to the warehouse they were shipped from
+    await releaseStock(stockItemsFor(order, returnRequest.items), { reason: 'return', order, actor });
+    order.timeline.push({
+      status: order.status,
+      message: 'Returned items received and restocked',
+      changedBy: actor
+    });
+
+    // The whole order has come back
+    const fullyReturned = order.items.every(item => {
+      const received = order.returns
+        .filter(entry => entry.status === 'received')
+        .reduce((sum, entry) => sum + entry.items
+          .filter(returned => returned.orderItem.toString() === item._id.toString())
+          .reduce((itemSum, returned) => itemSum + returned.quantity, 0), 0);
+      return received >= item.quantity;
+    });
+    if (fullyReturned) {
+      await transitionOrder(order, 'returned', { actor, message: 'All items returned' });
+    }
+  }
+
+  if (returnRequest.type === 'exchange') {
+    let exchangeOrder;
+    try {
+      exchangeOrder = await createExchangeOrder(order, returnRequest, { actor });
+    } catch (error) {
+      // The items are in and restocked either way; the exchange can be
+      // retried once the replacement is back in stock
+      order.timeline.push({
+        status: order.status,
+        message: `Exchange order could not be created: ${error.message}`,
+        changedBy: actor
+      });
+      await order.save();
+      throw error;
+    }
+
+    returnRequest.exchangeOrder = exchangeOrder._id;
+    order.timeline.push({
+      status: order.status,
+      message: `Exchange order ${exchangeOrder.orderNumber} created`,
+      changedBy: actor
+    });
+    await order.save();
+    return returnRequest;
+  }
+
+  returnRequest.refundAmount = Math.round(returnRequest.items
+    .reduce((sum, item) => sum + getItemRefundValue(order, item), 0) * 100) / 100;
+
+  if (order.paymentInfo.status !== 'completed' || !order.paymentInfo.paymentId) {
+    // Cash on delivery and other offline payments are settled by hand
+    order.timeline.push({
+      status: order.status,
+      message: `Refund of ₹${returnRequest.refundAmount} to be settled manually`
+    });
+    await order.save();
+    return returnRequest;
+  }
+
+  await order.save();
+
+  try {
+    const refund = await issueRefund(order, {
+      amount: returnRequest.refundAmount,
+      reason: `Return: ${returnRequest.reason}`,
+      returnRequest: returnRequest._id,
+      initiatedBy: actor
+    });
+    returnRequest.refundId = refund.refundId;
+    await order.save();
+  } catch (error) {
+    // The return stays without a refund and shows up in the refund queue
+    if (!error.statusCode) throw error;
+    console.error('Return refund error:', error.message);
+  }
+
+  return returnRequest;
+};
+
+// Returns waiting on an admin decision or on the parcel arriving
+const listOpenReturns = () => {
+  return Order.find({ 'returns.status': { $in: ['requested', 'approved'] } })
+    .select('orderNumber user guest status deliveredAt returns')
+    .populate('user', 'firstName lastName email')
+    .sort({ updatedAt: 1 });
+};
+
+module.exports = {
+  getReturnWindowDays,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  listOpenReturns
+};
@@ -0,0 +1,197 @@
+const Serviceability = require('../models/Serviceability');
+const { getDeliveryMethods, estimateDeliveryDate } = require('./shipping');
+const { parseCsv } = require('../utils/csv');
+
+const serviceabilityError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Pincodes missing from the serviceability list are refused, unless
+// SERVICEABILITY_FALLBACK=zones, in which case they're delivered to on the
+// shipping zones' terms (as before the list existed). Until a list has been
+// imported (POST /api/shipping/serviceability/import, or `npm run seed` in
+// development) every pincode falls back that way, so checkout keeps working.
+const usesFallback = async () => (
+  process.env.SERVICEABILITY_FALLBACK === 'zones' || await Serviceability.estimatedDocumentCount() === 0
+);
+
+// Serviceability record for a pincode, or a stand-in marked `fallback`
+// when the pincode falls back to the shipping zones. null when we don't
+// deliver there.
+const getServiceability = async (pincode) => {
+  const record = await Serviceability.findOne({ pincode: String(pincode).trim() });
+  if (record || !await usesFallback()) return record;
+
+  return { pincode: String(pincode).trim(), serviceable: true, codAllowed: true, fallback: true };
+};
+
+// Serviceability record for a delivery, checked against the payment method.
+// Throws with a statusCode when we can't deliver there or can't collect cash.
+const assertDeliverable = async (pincode, { paymentMethod } = {}) => {
+  const record = await getServiceability(pincode);
+
+  if (!record || !record.serviceable) {
+    throw serviceabilityError(`Sorry, we don't deliver to pincode ${pincode} yet`);
+  }
+  if (paymentMethod === 'cod' && !record.codAllowed) {
+    throw serviceabilityError(`Cash on delivery is not available for pincode ${pincode}`);
+  }
+
+  return record;
+};
+
+// What a shopper sees for a pincode: whether we deliver, whether COD is
+// available and when each shipping method would arrive if ordered now
+const checkPincode = async (pincode) => {
+  const record = await getServiceability(pincode);
+
+  if (!record || !record.serviceable) {
+    return {
+      pincode,
+      serviceable: false,
+      codAvailable: false,
+      methods: []
+    };
+  }
+
+  return {
+    pincode,
+    city: record.city,
+    district: record.district,
+    state: record.state,
+    serviceable: true,
+    codAvailable: record.codAllowed,
+    methods: getDeliveryMethods({ pincode, serviceability: record }).map(({ method, label, estimatedDays }) => ({
+      method,
+      label,
+      estimatedDays,
+      estimatedDelivery: {
+        from: estimateDeliveryDate(estimatedDays.min),
+        to: estimateDeliveryDate(estimatedDays.max)
+      }
+    }))
+  };
+};
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true,
+  false: false, no: false, n: false, 0: false
+};
+
+// First of several accepted header names that has a value in the row
+const pick = (row, ...keys) => {
+  const key = keys.find(name => row[name] !== undefined && row[name] !== '');
+  return key === undefined ? undefined : row[key];
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return BOOLEAN_VALUES[value.toLowerCase()];
+};
+
+const parseDays = (value) => {
+  if (value === undefined) return undefined;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : NaN;
+};
+
+// Turn one CSV row into a record, or an error message
+const parseRow = (row) => {
+  const pincode = pick(row, 'pincode', 'pin');
+  if (!/^\d{6}$/.test(pincode || '')) return { error: 'Pincode must be 6 digits' };
+
+  const serviceable = parseBoolean(pick(row, 'serviceable'), true);
+  const codAllowed = parseBoolean(pick(row, 'codAllowed', 'cod'), false);
+  if (serviceable === undefined) return { error: 'serviceable must be yes/no' };
+  if (codAllowed === undefined) return { error: 'cod must be yes/no' };
+
+  const transitDays = parseDays(pick(row, 'transitDays', 'transit_days'));
+  const expressTransitDays = parseDays(pick(row, 'expressTransitDays', 'express_transit_days'));
+  if (Number.isNaN(transitDays) || Number.isNaN(expressTransitDays)) {
+    return { error: 'Transit days must be whole numbers' };
+  }
+
+  return {
+    record: {
+      pincode,
+      city: pick(row, 'city'),
+      district: pick(row, 'district'),
+      state: pick(row, 'state'),
+      serviceable,
+      codAllowed,
+      transitDays,
+      expressTransitDays
+    }
+  };
+};
+
+// Load serviceability from a CSV with a header row. Columns: pincode, city,
+// district, state, serviceable (yes/no, default yes), cod (yes/no, default
+// no), transitDays, expressTransitDays. Rows with errors are skipped and
+// reported. With `replace`, pincodes missing from the file are removed,
+// but only when every row imported cleanly.
+const importServiceabilityCsv = async (text, { replace = false } = {}) => {
+  const rows = parseCsv(text);
+  const errors = [];
+  const records = new Map();
+
+  rows.forEach(row => {
+    const { record, error } = parseRow(row);
+    if (error) {
+      errors.push({ line: row._line, message: error });
+    } else {
+      // A pincode listed twice takes its last row
+      records.set(record.pincode, record);
+    }
+  });
+
+  if (rows.length === 0) {
+    throw serviceabilityError('The file has no rows to import');
+  }
+
+  let upserted = 0;
+  let modified = 0;
+
+  if (records.size > 0) {
+    // Each row replaces what's stored for its pincode, so empty cells clear fields
+    const result = await Serviceability.bulkWrite([...records.values()].map(record => {
+      const values = Object.entries(record).filter(([, value]) => value !== undefined);
+      const cleared = Object.keys(record).filter(key => record[key] === undefined);
+      return {
+        updateOne: {
+          filter: { pincode: record.pincode },
+          update: {
+            $set: Object.fromEntries(values),
+            ...(cleared.length > 0 && { $unset: Object.fromEntries(cleared.map(key => [key, 1])) })
+          },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+    upserted = result.upsertedCount;
+    modified = result.modifiedCount;
+  }
+
+  let removed = 0;
+  if (replace && errors.length === 0) {
+    const result = await Serviceability.deleteMany({ pincode: { $nin: [...records.keys()] } });
+    removed = result.deletedCount;
+  }
+
+  return {
+    rows: rows.length,
+    created: upserted,
+    updated: modified,
+    removed,
+    errors
+  };
+};
+
+module.exports = {
+  getServiceability,
+  assertDeliverable,
+  checkPincode,
+  importServiceabilityCsv
+};
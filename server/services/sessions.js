@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; the refresh token keeps a device signed in
+const getAccessTokenExpiry = () => process.env.ACCESS_TOKEN_EXPIRE || '15m';
+
+const getRefreshExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Keep this many exchanged tokens per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const createRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: getAccessTokenExpiry() }
+);
+
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Revoke every session of a user, optionally keeping one (the current device)
+const revokeUserSessions = (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Start a session for a user who has just authenticated
+const createSession = async (user, req) => {
+  const refreshToken = createRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: User.hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return {
+    session,
+    token: signAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new access/refresh pair. A token that has
+// already been exchanged means it leaked (or two clients share it), so the
+// whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = User.hashToken(refreshToken);
+  const session = await Session.findOne({ tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      await revokeSession(reused._id, 'token_reuse');
+      console.warn(`Refresh token reuse detected, revoked session ${reused._id}`);
+    }
+    throw sessionError('Invalid refresh token');
+  }
+
+  if (!session.isActive) {
+    throw sessionError('Session has expired or been revoked');
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'deactivated');
+    throw sessionError('Account has been deactivated');
+  }
+
+  const nextToken = createRefreshToken();
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: User.hashToken(nextToken),
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshExpiry(),
+        ...clientInfo(req)
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  // Another request exchanged the same token first
+  if (!updated) {
+    await revokeSession(session._id, 'token_reuse');
+    console.warn(`Refresh token reuse detected, revoked session ${session._id}`);
+    throw sessionError('Invalid refresh token');
+  }
+
+  return {
+    session: updated,
+    token: signAccessToken(user._id, updated._id),
+    refreshToken: nextToken
+  };
+};
+
+const isSessionActive = async (sessionId) => Boolean(await Session.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}));
+
+const listUserSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('userAgent ip lastUsedAt expiresAt createdAt')
+  .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listUserSessions
+};
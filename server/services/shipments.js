@@ -0,0 +1,396 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const shippingRates = require('../config/shippingRates');
+const { roundMoney } = require('../utils/money');
+const { getChargeableWeight } = require('./shipping');
+const { TRACKING_STATUSES, getCourier } = require('./couriers');
+const { transitionOrder } = require('./orderStateMachine');
+
+// Order status a courier status implies. Statuses not listed (created,
+// cancelled, unrecognised scans) are only recorded.
+const ORDER_STATUS_FOR = {
+  picked_up: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'shipped',
+  failed_delivery: 'shipped',
+  rto: 'shipped',
+  delivered: 'delivered',
+  rto_delivered: 'returned'
+};
+
+const PROGRESS = ['shipped', 'delivered', 'returned'];
+
+// Orders with parcels still moving through the courier, polled for updates
+const IN_TRANSIT = ['confirmed', 'processing', 'shipped'];
+
+const POLL_BATCH_SIZE = 100;
+
+const shipmentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Events are the same scan when they match on everything including the
+// time. A scan the courier sent without a time can only be told apart by
+// where it happened.
+const scanKey = (event) => [
+  event.shipment ? event.shipment.toString() : '',
+  event.status || '',
+  event.rawStatus || '',
+  event.location || ''
+].join('|');
+
+const eventKey = (event) => `${scanKey(event)}|${new Date(event.timestamp).getTime()}`;
+
+const hasTime = (event) => Boolean(event.timestamp) && !Number.isNaN(new Date(event.timestamp).getTime());
+
+const isBooked = (shipment) => Boolean(shipment.provider && shipment.trackingNumber);
+
+// Orders placed before warehouses were set up have no shipments; they go
+// out as one parcel with everything in it
+const ensureShipments = (order) => {
+  if (order.shipments.length === 0) {
+    order.shipments.push({
+      items: order.items.map(item => ({
+        orderItem: item._id,
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity
+      }))
+    });
+  }
+};
+
+// A booked shipment: the one asked for, else the first
+const findBookedShipment = (order, shipmentId) => {
+  const shipment = shipmentId
+    ? order.shipments.id(shipmentId)
+    : order.shipments.find(isBooked);
+  if (!shipment || !isBooked(shipment)) {
+    throw shipmentError('No shipment has been created for this order', 404);
+  }
+  return shipment;
+};
+
+// What each parcel is worth (and collects, for COD): the order total split
+// by the value of the items in it, any rounding left on the last parcel
+const getShipmentValues = (order) => {
+  const itemValue = (shipment) => shipment.items.reduce((sum, entry) => {
+    const item = order.items.id(entry.orderItem);
+    return sum + (item ? item.price * entry.quantity : 0);
+  }, 0);
+  const values = order.shipments.map(itemValue);
+  const subtotal = values.reduce((sum, value) => sum + value, 0);
+
+  let left = order.pricing.total;
+  return values.map((value, index) => {
+    if (index === values.length - 1) return roundMoney(left);
+    const share = subtotal > 0 ? roundMoney(order.pricing.total * value / subtotal) : 0;
+    left -= share;
+    return share;
+  });
+};
+
+// Book one of the order's shipments (the first not yet booked, unless one
+// is given) with a courier. The AWB, label and tracking link are kept on
+// the shipment, and a confirmed order moves to processing.
+// parcel overrides the weight (grams) and box size declared to the courier.
+const createShipment = async (order, { shipment: shipmentId, provider, parcel = {}, actor } = {}) => {
+  if (!['confirmed', 'processing'].includes(order.status)) {
+    throw shipmentError(`Cannot create a shipment for a ${order.status} order`, 409);
+  }
+
+  ensureShipments(order);
+  const shipment = shipmentId
+    ? order.shipments.id(shipmentId)
+    : order.shipments.find(entry => !isBooked(entry));
+  if (!shipment) {
+    throw shipmentError(shipmentId ? 'Shipment not found' : 'All shipments have been created', shipmentId ? 404 : 409);
+  }
+  if (isBooked(shipment)) {
+    throw shipmentError(`Shipment already created (AWB ${shipment.trackingNumber})`, 409);
+  }
+
+  const index = order.shipments.indexOf(shipment);
+  const [warehouse, products] = await Promise.all([
+    shipment.warehouse ? Warehouse.findById(shipment.warehouse) : null,
+    Product.find({ _id: { $in: shipment.items.map(entry => entry.product) } }).select('weight dimensions')
+  ]);
+
+  const items = shipment.items.map(entry => ({ item: order.items.id(entry.orderItem), quantity: entry.quantity }));
+  const value = getShipmentValues(order)[index];
+  const courier = getCourier(provider);
+  const booked = await courier.createShipment(order, {
+    reference: order.shipments.length > 1 ? `${order.orderNumber}-${index + 1}` : order.orderNumber,
+    items: items.map(({ item, quantity }) => ({
+      name: item.name,
+      sku: item.sku || String(item.product),
+      quantity,
+      price: item.price,
+      hsnCode: item.hsnCode
+    })),
+    value,
+    pickupLocation: warehouse ? warehouse.courierPickupLocation : undefined,
+    parcel: {
+      ...shippingRates.parcelDimensions,
+      weight: getChargeableWeight(items.map(({ item, quantity }) => ({
+        product: products.find(product => product._id.equals(item.product)) || {},
+        quantity
+      }))),
+      ...parcel
+    }
+  });
+
+  shipment.provider = courier.name;
+  shipment.courier = booked.courier;
+  shipment.trackingNumber = booked.awb;
+  shipment.courierShipmentId = booked.shipmentId;
+  shipment.labelUrl = booked.labelUrl || undefined;
+  shipment.trackingUrl = booked.trackingUrl || undefined;
+  shipment.value = value;
+  shipment.status = 'created';
+  order.tracking.updates.push({
+    shipment: shipment._id,
+    status: 'created',
+    message: `Shipment created with ${booked.courier}, AWB ${booked.awb}`
+  });
+
+  if (order.status === 'confirmed') {
+    await transitionOrder(order, 'processing', { actor, message: 'Packed and handed to courier' });
+  } else {
+    await order.save();
+  }
+
+  return shipment;
+};
+
+// Shipping label for a booked shipment: { awb, url } or { awb, pdf }
+const getShipmentLabel = async (order, shipmentId) => {
+  const shipment = findBookedShipment(order, shipmentId);
+  const label = await getCourier(shipment.provider).getLabel(order, shipment);
+  return { awb: shipment.trackingNumber, ...label };
+};
+
+// Order status the shipments add up to: shipped once any parcel is on its
+// way, delivered (or returned) once all of them are
+const getShipmentsTarget = (order) => {
+  const reached = order.shipments.map(shipment => ORDER_STATUS_FOR[shipment.status] || null);
+
+  if (reached.length > 0 && reached.every(status => status === 'delivered')) return 'delivered';
+  if (reached.length > 0 && reached.every(status => status === 'returned')) return 'returned';
+  return reached.some(Boolean) ? 'shipped' : null;
+};
+
+// Record courier events for one of the order's shipments and move the
+// order's status along with them. Events already recorded are skipped, so
+// full histories from polling and repeated webhook deliveries can be
+// applied as they come. Events without a time are recorded at the time
+// they arrive, once per status and location.
+// Returns the number of new events.
+const applyTrackingEvents = async (order, shipment, events, { actor } = {}) => {
+  const seen = new Set(order.tracking.updates.map(eventKey));
+  const seenScans = new Set(order.tracking.updates.map(scanKey));
+  const receivedAt = new Date();
+
+  const fresh = events
+    .filter(Boolean)
+    .map(event => {
+      const update = {
+        shipment: shipment._id,
+        status: TRACKING_STATUSES.includes(event.status) ? event.status : null,
+        rawStatus: event.rawStatus,
+        message: event.message,
+        location: event.location
+      };
+      if (hasTime(event)) {
+        return { ...update, timestamp: new Date(event.timestamp) };
+      }
+      return seenScans.has(scanKey(update)) ? null : { ...update, timestamp: receivedAt };
+    })
+    .filter(event => {
+      if (!event) return false;
+      const key = eventKey(event);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      seenScans.add(scanKey(event));
+      return true;
+    })
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  shipment.lastSyncedAt = new Date();
+
+  if (fresh.length === 0) {
+    await order.save();
+    return 0;
+  }
+
+  fresh.forEach(event => order.tracking.updates.push(event));
+
+  // The latest scan wins, e.g. a delivered scan arriving before the pickup
+  // scan still ends with a delivered parcel
+  const latest = order.tracking.updates
+    .filter(update => update.status && update.shipment && update.shipment.equals(shipment._id))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .pop();
+  if (latest) {
+    shipment.status = latest.status;
+  }
+
+  const target = getShipmentsTarget(order);
+
+  const steps = [];
+  if (target && ['confirmed', 'processing'].includes(order.status)) {
+    steps.push('shipped');
+  }
+  if (target && target !== 'shipped' && [order.status, ...steps].includes('shipped')) {
+    steps.push(target);
+  }
+
+  await order.save();
+
+  for (const status of steps) {
+    const event = fresh.find(entry => ORDER_STATUS_FOR[entry.status] === status);
+    try {
+      await transitionOrder(order, status, {
+        actor,
+        message: status === 'shipped'
+          ? `Shipped via ${shipment.courier} (AWB ${shipment.trackingNumber})`
+          : `${(event && event.message) || `Order ${status}`} (${shipment.courier})`
+      });
+    } catch (error) {
+      // The order moved on some other way (cancelled, updated by an admin)
+      if (!error.statusCode) throw error;
+      console.log(`Tracking for order ${order.orderNumber} not applied:`, error.message);
+      break;
+    }
+  }
+
+  return fresh.length;
+};
+
+// Fetch the courier's tracking history for an order's shipments (or just
+// the one given) and apply it
+const syncTracking = async (order, { shipment: shipmentId, actor } = {}) => {
+  const shipments = shipmentId
+    ? [findBookedShipment(order, shipmentId)]
+    : order.shipments.filter(isBooked);
+  if (shipments.length === 0) {
+    throw shipmentError('No shipment has been created for this order', 404);
+  }
+
+  let applied = 0;
+  for (const shipment of shipments) {
+    const events = await getCourier(shipment.provider).getTracking(shipment.trackingNumber);
+    applied += await applyTrackingEvents(order, shipment, events, { actor });
+  }
+  return applied;
+};
+
+// Handle a courier tracking webhook. Throws 400 when the request can't be
+// verified. Returns { order, applied }, with a null order when the AWB isn't
+// one of ours.
+const receiveTrackingWebhook = async (provider, req) => {
+  let courier;
+  try {
+    courier = getCourier(provider);
+  } catch (error) {
+    throw shipmentError('Unknown courier', 404);
+  }
+
+  if (!courier.verifyWebhook(req)) {
+    throw shipmentError('Webhook signature verification failed');
+  }
+
+  const { awb, events } = courier.parseWebhook(req.body || {});
+  if (!awb) {
+    throw shipmentError('Webhook has no AWB');
+  }
+
+  const order = await Order.findOne({
+    shipments: { $elemMatch: { provider: courier.name, trackingNumber: awb } }
+  });
+  if (!order) {
+    return { order: null, applied: 0 };
+  }
+
+  const shipment = order.shipments.find(entry => entry.provider === courier.name && entry.trackingNumber === awb);
+  return { order, applied: await applyTrackingEvents(order, shipment, events) };
+};
+
+// Poll couriers for orders in transit, for couriers (or setups) without
+// webhooks. Runs every TRACKING_POLL_INTERVAL_MINUTES; off when unset.
+// The least recently synced orders go first.
+const startTrackingPoller = () => {
+  const minutes = Number(process.env.TRACKING_POLL_INTERVAL_MINUTES);
+  if (!minutes) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const orders = await Order.find({
+        status: { $in: IN_TRANSIT },
+        shipments: { $elemMatch: { provider: { $exists: true }, trackingNumber: { $exists: true } } }
+      })
+        .sort({ 'shipments.lastSyncedAt': 1 })
+        .limit(POLL_BATCH_SIZE);
+
+      let applied = 0;
+      for (const order of orders) {
+        try {
+          applied += await syncTracking(order);
+        } catch (error) {
+          console.error(`Tracking sync error for order ${order.orderNumber}:`, error.message);
+        }
+      }
+
+      if (applied > 0) {
+        console.log(`Tracking poller recorded ${applied} update(s) across ${orders.length} order(s)`);
+      }
+    } catch (error) {
+      console.error('Tracking poller error:', error);
+    }
+  }, minutes * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+// Tracking details safe to show anyone holding the order number. Order
+// numbers are guessable, so nothing about the customer, address or amounts.
+// courier and trackingNumber are those entered by hand for parcels not
+// booked through a courier adapter.
+const toPublicTracking = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  courier: order.tracking.courier,
+  trackingNumber: order.tracking.trackingNumber,
+  estimatedDelivery: order.tracking.estimatedDelivery,
+  deliveredAt: order.deliveredAt,
+  shipments: (order.shipments || []).filter(isBooked).map(shipment => ({
+    _id: shipment._id,
+    courier: shipment.courier,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    status: shipment.status
+  })),
+  updates: order.tracking.updates
+    .map(update => ({
+      shipment: update.shipment,
+      status: update.status,
+      message: update.message,
+      location: update.location,
+      timestamp: update.timestamp
+    }))
+    .sort((a, b) => b.timestamp - a.timestamp)
+});
+
+module.exports = {
+  createShipment,
+  getShipmentLabel,
+  applyTrackingEvents,
+  syncTracking,
+  receiveTrackingWebhook,
+  startTrackingPoller,
+  toPublicTracking
+};
@@ -0,0 +1,152 @@
+const defaultShippingRates = require('../config/shippingRates');
+const { roundMoney } = require('../utils/money');
+const { normalizeState } = require('../utils/states');
+
+let shippingRates = defaultShippingRates;
+
+// Replace the rate tables, e.g. in tests or when courier contracts change
+const setShippingRates = (rates) => {
+  shippingRates = { ...defaultShippingRates, ...rates };
+};
+
+const getShippingRates = () => shippingRates;
+
+const shippingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Weight the courier bills for a parcel holding these lines, in grams.
+// `lines` is an array of { product, quantity } where product has weight
+// and dimensions.
+const getChargeableWeight = (lines) => {
+  let actual = shippingRates.packagingWeight;
+  let volume = 0;
+
+  lines.forEach(({ product, quantity }) => {
+    actual += (product.weight || shippingRates.defaultItemWeight) * quantity;
+
+    const { length, width, height } = product.dimensions || {};
+    if (length && width && height) {
+      volume += length * width * height * quantity;
+    }
+  });
+
+  const volumetric = volume / shippingRates.volumetricDivisor * 1000;
+  return Math.ceil(Math.max(actual, volumetric));
+};
+
+// Zone a destination falls in: the first whose pincode prefixes or states
+// match, else the catch-all last zone
+const resolveZone = ({ pincode, state }) => {
+  const zones = shippingRates.zones;
+  const match = zones.find(zone => (
+    (zone.pincodePrefixes || []).some(prefix => pincode && String(pincode).startsWith(prefix)) ||
+    (zone.states || []).some(name => state && normalizeState(name) === normalizeState(state))
+  ));
+
+  return (match || zones[zones.length - 1]).name;
+};
+
+const priceForWeight = (rate, weight) => {
+  const slab = rate.slabs.find(entry => weight <= entry.upTo);
+  if (slab) return slab.price;
+
+  const last = rate.slabs[rate.slabs.length - 1];
+  const extraSteps = Math.ceil((weight - last.upTo) / rate.additional.per);
+  return last.price + extraSteps * rate.additional.price;
+};
+
+const getCodSurcharge = (amount) => {
+  const { flat, percent } = shippingRates.codSurcharge;
+  return roundMoney(Math.max(flat, amount * percent / 100));
+};
+
+// Methods that deliver to a destination with their transit days. With a
+// serviceability record (not a fallback), its transit days replace the
+// zone's and express is only offered where the record lists express
+// transit days.
+const getDeliveryMethods = ({ pincode, state, serviceability }) => {
+  const zone = resolveZone({ pincode, state: state || (serviceability && serviceability.state) });
+
+  return Object.entries(shippingRates.methods)
+    .filter(([, method]) => method.zones[zone])
+    .map(([name, method]) => {
+      const rate = method.zones[zone];
+      let [min, max] = rate.days;
+
+      if (serviceability && !serviceability.fallback) {
+        const transitDays = name === 'express' ? serviceability.expressTransitDays : serviceability.transitDays;
+        if (transitDays == null && name === 'express') return null;
+        if (transitDays != null) {
+          min = Math.min(min, transitDays);
+          max = transitDays;
+        }
+      }
+
+      return { method: name, label: method.label, zone, rate, estimatedDays: { min, max } };
+    })
+    .filter(Boolean);
+};
+
+// Date a parcel should arrive by, counting the days to dispatch it
+const estimateDeliveryDate = (transitDays, from = new Date()) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + shippingRates.dispatchDays + transitDays);
+  return date;
+};
+
+// Shipping options for a cart or order going to a destination, cheapest
+// first. `orderValue` is the goods value after discount (for free-shipping
+// thresholds and the COD surcharge); the COD surcharge is only added when
+// paymentMethod is 'cod'.
+const quoteShipping = ({ lines, pincode, state, serviceability, orderValue, paymentMethod }) => {
+  const chargeableWeight = getChargeableWeight(lines);
+
+  return getDeliveryMethods({ pincode, state, serviceability })
+    .map(({ method: name, label, zone, rate, estimatedDays }) => {
+      const { freeAbove } = shippingRates.methods[name];
+      const free = freeAbove != null && orderValue >= freeAbove;
+      const charge = free ? 0 : priceForWeight(rate, chargeableWeight);
+      const codCharge = paymentMethod === 'cod' ? getCodSurcharge(orderValue + charge) : 0;
+
+      return {
+        method: name,
+        label,
+        zone,
+        chargeableWeight,
+        charge,
+        codCharge,
+        total: roundMoney(charge + codCharge),
+        freeAbove,
+        estimatedDays,
+        estimatedDelivery: estimateDeliveryDate(estimatedDays.max)
+      };
+    })
+    .sort((a, b) => a.total - b.total);
+};
+
+// The option for one method, or a 400 when it doesn't ship to the destination
+const getShippingOption = (method = shippingRates.defaultMethod, quote) => {
+  if (!Object.keys(shippingRates.methods).includes(method)) {
+    throw shippingError(`Unknown shipping method: ${method}`);
+  }
+
+  const option = quoteShipping(quote).find(entry => entry.method === method);
+  if (!option) {
+    throw shippingError(`${shippingRates.methods[method].label} is not available for this pincode`);
+  }
+  return option;
+};
+
+module.exports = {
+  getChargeableWeight,
+  resolveZone,
+  getDeliveryMethods,
+  estimateDeliveryDate,
+  quoteShipping,
+  getShippingOption,
+  getShippingRates,
+  setShippingRates
+};
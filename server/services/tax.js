@@ -0,0 +1,137 @@
+const defaultTaxRules = require('../config/taxRules');
+const { roundMoney } = require('../utils/money');
+const { normalizeState } = require('../utils/states');
+
+let taxRules = defaultTaxRules;
+
+// Replace the rules, e.g. in tests or when rates change mid-year
+const setTaxRules = (rules) => {
+  taxRules = { ...defaultTaxRules, ...rules };
+};
+
+const getTaxRules = () => taxRules;
+
+// A product's own HSN code, else its fabric's (see getFabricHsnCodes in
+// services/taxonomy.js)
+const resolveHsnCode = (product, fabricHsnCodes = {}) => (
+  product.hsnCode ||
+  fabricHsnCodes[product.fabric] ||
+  taxRules.defaultHsnCode
+);
+
+const findRule = (hsnCode) => {
+  const prefix = Object.keys(taxRules.rules)
+    .filter(code => code !== 'default' && hsnCode.startsWith(code))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return taxRules.rules[prefix] || taxRules.rules.default;
+};
+
+// GST rate (percent) for one unit of an HSN code at a given taxable value
+const getTaxRate = (hsnCode, unitValue) => {
+  const slab = findRule(hsnCode).find(entry => entry.upTo == null || unitValue <= entry.upTo);
+  return slab.rate;
+};
+
+// 'intra' (CGST + SGST) when goods ship within one state, 'inter' (IGST)
+// otherwise, or null when the destination isn't known yet. Goods ship from
+// the seller's state unless the warehouse's state is given.
+const getSupplyType = (destinationState, originState = taxRules.sellerState) => {
+  if (!destinationState) return null;
+  return normalizeState(destinationState) === normalizeState(originState || taxRules.sellerState) ? 'intra' : 'inter';
+};
+
+// Split a tax amount into its components for the supply type. Without a
+// supply type only the total is known.
+const splitTax = (amount, supplyType) => {
+  if (supplyType === 'intra') {
+    const cgst = roundMoney(amount / 2);
+    return { cgst, sgst: roundMoney(amount - cgst), igst: 0 };
+  }
+  if (supplyType === 'inter') {
+    return { cgst: 0, sgst: 0, igst: amount };
+  }
+  return { cgst: 0, sgst: 0, igst: 0 };
+};
+
+// Split a line's tax between the states its units ship from, by quantity
+// (the last one takes the rounding), each part as its own supply type
+const splitLineTax = (amount, line, destinationState) => {
+  const origins = line.origins && line.origins.length > 0
+    ? line.origins
+    : [{ state: taxRules.sellerState, quantity: line.quantity }];
+  const split = { cgst: 0, sgst: 0, igst: 0 };
+  let left = amount;
+
+  origins.forEach((origin, index) => {
+    const part = index === origins.length - 1 ? left : roundMoney(amount * origin.quantity / line.quantity);
+    left = roundMoney(left - part);
+    const tax = splitTax(part, getSupplyType(destinationState, origin.state));
+    Object.keys(split).forEach(key => {
+      split[key] = roundMoney(split[key] + tax[key]);
+    });
+  });
+
+  return split;
+};
+
+// Work out GST on a set of line items, on top of their prices.
+// `lines` is an array of { product, price, quantity, discount, origins }
+// where product has at least hsnCode and fabric, discount is the part of
+// any coupon discount taken off that line and origins, when known, says
+// which states the units ship from: [{ state, quantity }] (see
+// getLineOrigins in services/fulfilment.js). fabricHsnCodes maps fabric
+// names to the HSN code used for products without their own. Lines come
+// back in the same order with their tax, alongside the order-level totals.
+// The supply type is 'mixed' when some units ship from within the
+// destination state and some from outside it.
+const calculateTax = ({ lines, destinationState, fabricHsnCodes }) => {
+  const originStates = [...new Set(lines.flatMap(line => (
+    line.origins && line.origins.length > 0
+      ? line.origins.map(origin => origin.state || taxRules.sellerState)
+      : [taxRules.sellerState]
+  )))];
+  const supplyTypes = [...new Set(originStates.map(state => getSupplyType(destinationState, state)))];
+  const supplyType = supplyTypes.length > 1 ? 'mixed' : supplyTypes[0] || null;
+
+  const taxedLines = lines.map(line => {
+    const hsnCode = resolveHsnCode(line.product, fabricHsnCodes);
+    const taxableValue = roundMoney(Math.max(line.price * line.quantity - (line.discount || 0), 0));
+    const rate = getTaxRate(hsnCode, taxableValue / line.quantity);
+    const amount = roundMoney(taxableValue * rate / 100);
+
+    return {
+      hsnCode,
+      rate,
+      taxableValue,
+      ...(supplyType ? splitLineTax(amount, line, destinationState) : splitTax(amount, null)),
+      amount
+    };
+  });
+
+  const sum = (key) => roundMoney(taxedLines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    lines: taxedLines,
+    breakdown: {
+      supplyType,
+      sellerState: originStates.join(', '),
+      placeOfSupply: destinationState,
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst')
+    },
+    total: sum('amount')
+  };
+};
+
+module.exports = {
+  calculateTax,
+  resolveHsnCode,
+  getTaxRate,
+  getSupplyType,
+  splitTax,
+  getTaxRules,
+  setTaxRules
+};
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const { slugify } = require('../utils/slugify');
+
+const taxonomyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Product fields holding each attribute type's values
+const ATTRIBUTE_PATHS = {
+  fabric: ['fabric'],
+  occasion: ['occasion'],
+  size: ['sizes', 'variants.size']
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Categories referred to by id, slug or name (in any case)
+const findCategories = (values) => {
+  const refs = values.map(value => String(value && value._id ? value._id : value).trim()).filter(Boolean);
+  if (refs.length === 0) return Promise.resolve([]);
+
+  return Category.find({
+    $or: [
+      { _id: { $in: refs.filter(ref => mongoose.isValidObjectId(ref)) } },
+      { slug: { $in: refs.map(ref => ref.toLowerCase()) } },
+      ...refs.map(ref => ({ name: new RegExp(`^${escapeRegExp(ref)}$`, 'i') }))
+    ]
+  });
+};
+
+const matchesRef = (category, ref) => {
+  const text = String(ref && ref._id ? ref._id : ref).trim();
+  return category._id.toString() === text ||
+    category.slug === text.toLowerCase() ||
+    category.name.toLowerCase() === text.toLowerCase();
+};
+
+// The category a product form or import names, by id, slug or name.
+// Throws 400 when there's no such category.
+const resolveCategory = async (value) => {
+  const [category] = await findCategories([value]);
+  if (!category) {
+    throw taxonomyError(`Unknown category: ${value}`);
+  }
+  return category;
+};
+
+// Ids of the categories named, throwing 400 for any that don't exist
+const resolveCategoryIds = async (values) => {
+  const categories = await findCategories(values);
+  const missing = values.filter(value => !categories.some(category => matchesRef(category, value)));
+  if (missing.length > 0) {
+    throw taxonomyError(`Unknown categor${missing.length === 1 ? 'y' : 'ies'}: ${missing.join(', ')}`);
+  }
+  return [...new Set(categories.map(category => category._id.toString()))]
+    .map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Ids of the categories named and every category nested under them, so
+// filtering on "Sarees" also finds products in "Silk Sarees"
+const expandCategories = async (values) => {
+  const categories = await findCategories(values);
+  const ids = categories.map(category => category._id);
+  if (ids.length === 0) return [];
+
+  const descendants = await Category.find({ ancestors: { $in: ids } }).select('_id');
+  return [...ids, ...descendants.map(category => category._id)];
+};
+
+// Categories as a tree of { _id, name, slug, ..., children }, siblings in
+// display order. Inactive categories, and everything under them, are left
+// out unless asked for.
+const getCategoryTree = async ({ includeInactive = false } = {}) => {
+  const categories = await Category.find(includeInactive ? {} : { isActive: true })
+    .sort({ displayOrder: 1, name: 1 })
+    .lean();
+
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    if (!node.parent) {
+      roots.push(node);
+      return;
+    }
+    const parent = nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+  });
+
+  return roots;
+};
+
+// Apply admin changes to a category (new or existing) and save it. Moving
+// a category under another one moves its whole subtree.
+const saveCategory = async (category, data) => {
+  ['name', 'description', 'displayOrder', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) category[field] = data[field];
+  });
+  if (data.slug !== undefined) {
+    category.slug = slugify(data.slug);
+  }
+
+  if (data.parent !== undefined) {
+    if (data.parent) {
+      const parent = await Category.findById(data.parent);
+      if (!parent) {
+        throw taxonomyError('Parent category not found', 404);
+      }
+      if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+        throw taxonomyError('A category cannot be nested under itself or its own subcategories');
+      }
+      category.parent = parent._id;
+      category.ancestors = [...parent.ancestors, parent._id];
+    } else {
+      category.parent = null;
+      category.ancestors = [];
+    }
+  }
+
+  const moved = !category.isNew && category.isModified('ancestors');
+  await category.save();
+
+  if (moved) {
+    const descendants = await Category.find({ ancestors: category._id });
+    for (const descendant of descendants) {
+      const index = descendant.ancestors.findIndex(id => id.equals(category._id));
+      descendant.ancestors = [...category.ancestors, ...descendant.ancestors.slice(index)];
+      await descendant.save();
+    }
+  }
+
+  return category;
+};
+
+// Delete an empty category. One with subcategories or products has to be
+// emptied first (or deactivated instead).
+const deleteCategory = async (category) => {
+  if (await Category.exists({ parent: category._id })) {
+    throw taxonomyError('Move or delete its subcategories first', 409);
+  }
+
+  const products = await Product.countDocuments({ category: category._id });
+  if (products > 0) {
+    throw taxonomyError(`${products} product(s) are in this category; move them or deactivate the category instead`, 409);
+  }
+
+  await Coupon.updateMany({ applicableCategories: category._id }, { $pull: { applicableCategories: category._id } });
+  await category.deleteOne();
+};
+
+const listAttributes = ({ type, includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  if (type) filter.type = type;
+  return Attribute.find(filter).sort({ type: 1, displayOrder: 1, name: 1 });
+};
+
+// Active values of each attribute type, in display order:
+// { fabric: [name], occasion: [name], size: [name] }
+const getAttributeValues = async () => {
+  const attributes = await listAttributes();
+  const values = Object.fromEntries(Attribute.TYPES.map(type => [type, []]));
+  attributes.forEach(attribute => values[attribute.type].push(attribute.name));
+  return values;
+};
+
+// HSN codes of the fabrics that have one, by fabric name. These are
+// what GST is charged by on products without an HSN code of their own.
+const getFabricHsnCodes = async () => {
+  const fabrics = await Attribute.find({ type: 'fabric', hsnCode: { $nin: [null, ''] } }).select('name hsnCode').lean();
+  return Object.fromEntries(fabrics.map(fabric => [fabric.name, fabric.hsnCode]));
+};
+
+const productsWithValue = (type, name) => ({
+  $or: ATTRIBUTE_PATHS[type].map(path => ({ [path]: name }))
+});
+
+// Products store attribute values by name, so a rename is carried over to
+// them (and to coupons limited to a fabric)
+const renameAttributeValue = async (type, from, to) => {
+  if (type === 'fabric') {
+    await Product.updateMany({ fabric: from }, { $set: { fabric: to } });
+    await Coupon.updateMany({ applicableFabrics: from }, { $set: { 'applicableFabrics.$[f]': to } }, { arrayFilters: [{ f: from }] });
+  } else if (type === 'occasion') {
+    await Product.updateMany({ occasion: from }, { $set: { occasion: to } });
+  } else {
+    await Product.updateMany({ sizes: from }, { $set: { 'sizes.$[s]': to } }, { arrayFilters: [{ s: from }] });
+    await Product.updateMany({ 'variants.size': from }, { $set: { 'variants.$[v].size': to } }, { arrayFilters: [{ 'v.size': from }] });
+  }
+};
+
+// Apply admin changes to an attribute value (new or existing) and save it
+const saveAttribute = async (attribute, data) => {
+  const previousName = attribute.isNew ? null : attribute.name;
+
+  if (attribute.isNew && data.type !== undefined) {
+    attribute.type = data.type;
+  }
+  ['name', 'displayOrder', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) attribute[field] = data[field];
+  });
+  if (data.slug !== undefined) {
+    attribute.slug = slugify(data.slug);
+  }
+  if (data.hsnCode !== undefined) {
+    if (attribute.type !== 'fabric' && data.hsnCode) {
+      throw taxonomyError('Only fabrics have an HSN code');
+    }
+    if (!data.hsnCode && attribute.hsnCode && !attribute.isNew) {
+      const uncoded = await Product.countDocuments({ fabric: attribute.name, hsnCode: { $in: [null, ''] } });
+      if (uncoded > 0) {
+        throw taxonomyError(`${uncoded} product(s) of this fabric have no HSN code of their own; give them one first`, 409);
+      }
+    }
+    attribute.hsnCode = data.hsnCode || undefined;
+  }
+
+  await attribute.save();
+
+  if (previousName && previousName !== attribute.name) {
+    await renameAttributeValue(attribute.type, previousName, attribute.name);
+  }
+
+  return attribute;
+};
+
+// Delete an attribute value no product uses
+const deleteAttribute = async (attribute) => {
+  const products = await Product.countDocuments(productsWithValue(attribute.type, attribute.name));
+  if (products > 0) {
+    throw taxonomyError(`${products} product(s) use this ${attribute.type}; deactivate it instead`, 409);
+  }
+
+  await attribute.deleteOne();
+};
+
+module.exports = {
+  ATTRIBUTE_PATHS,
+  resolveCategory,
+  resolveCategoryIds,
+  expandCategories,
+  getCategoryTree,
+  saveCategory,
+  deleteCategory,
+  listAttributes,
+  getAttributeValues,
+  getFabricHsnCodes,
+  saveAttribute,
+  deleteAttribute
+};
@@ -0,0 +1,118 @@
+const WebhookEvent = require('../../models/WebhookEvent');
+const razorpayEvents = require('./razorpayEvents');
+const stripeEvents = require('./stripeEvents');
+
+const handlers = {
+  razorpay: razorpayEvents,
+  stripe: stripeEvents
+};
+
+// An event left in processing this long is assumed to have died mid-way
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const webhookError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Run the handler for a claimed event and record the outcome. Errors with a
+// statusCode (no matching order, amount mismatch...) won't go away on retry,
+// so they are only recorded. Anything else is rethrown so the provider
+// delivers the event again.
+const runEvent = async (event) => {
+  const handler = handlers[event.provider][event.type];
+
+  if (!handler) {
+    event.status = 'ignored';
+    event.processedAt = new Date();
+    await event.save();
+    return event;
+  }
+
+  try {
+    await handler(event.payload);
+    event.status = 'processed';
+    event.processedAt = new Date();
+    event.error = undefined;
+    await event.save();
+  } catch (error) {
+    event.status = 'failed';
+    event.error = error.message;
+    await event.save();
+
+    if (!error.statusCode) throw error;
+    console.log(`Webhook ${event.provider} ${event.type} (${event.eventId}) not applied:`, error.message);
+  }
+
+  return event;
+};
+
+// Take an event for processing. Only one delivery of an event gets it, and
+// events that were already processed are never taken again.
+const claimEvent = (provider, eventId) => WebhookEvent.findOneAndUpdate(
+  {
+    provider,
+    eventId,
+    $or: [
+      { status: { $in: ['received', 'failed'] } },
+      { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+    ]
+  },
+  { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+  { new: true }
+);
+
+// Log a verified webhook delivery and process it once.
+// Returns { event, duplicate }.
+const receiveWebhookEvent = async (provider, { eventId, type, payload }) => {
+  try {
+    await WebhookEvent.create({ provider, eventId, type, payload });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const event = await claimEvent(provider, eventId);
+
+  if (!event) {
+    // Already handled, or another delivery of it is being handled right now
+    return {
+      event: await WebhookEvent.findOne({ provider, eventId }),
+      duplicate: true
+    };
+  }
+
+  return {
+    event: await runEvent(event),
+    duplicate: false
+  };
+};
+
+// Process a stored event again on an admin's request, whatever its status
+const replayWebhookEvent = async (id, { actor } = {}) => {
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: { $ne: 'processing' } },
+    { $set: { status: 'processing', replayedBy: actor }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    const exists = await WebhookEvent.exists({ _id: id });
+    throw exists
+      ? webhookError('This event is being processed, try again shortly', 409)
+      : webhookError('Webhook event not found', 404);
+  }
+
+  try {
+    await runEvent(event);
+  } catch (error) {
+    console.error(`Webhook replay ${event._id} failed:`, error);
+  }
+
+  return event;
+};
+
+module.exports = {
+  receiveWebhookEvent,
+  replayWebhookEvent
+};
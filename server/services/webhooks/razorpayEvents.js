@@ -0,0 +1,60 @@
+const Order = require('../../models/Order');
+const razorpayProvider = require('../payments/razorpayProvider');
+const { applyCapturedPayment, markPaymentFailed } = require('../orderPayments');
+const { applyRefundUpdate } = require('../refunds');
+
+const eventError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  return error;
+};
+
+const findOrderForPayment = async (payment) => {
+  const order = await Order.findOne({ 'paymentInfo.orderId': payment.order_id });
+  if (!order) {
+    throw eventError(`No order found for Razorpay order ${payment.order_id}`);
+  }
+  return order;
+};
+
+// payment.captured and order.paid both carry the payment entity
+const settlePayment = async (body) => {
+  const payment = body.payload.payment.entity;
+  const order = await findOrderForPayment(payment);
+  await applyCapturedPayment(order, razorpayProvider, payment);
+};
+
+const updateRefund = (status) => async (body) => {
+  const refund = body.payload.refund.entity;
+  const order = await applyRefundUpdate({
+    refundId: refund.id,
+    paymentId: refund.payment_id,
+    amount: refund.amount / 100,
+    status,
+    failureReason: 'Refund failed at payment provider'
+  });
+
+  if (!order) {
+    throw eventError(`No order found for Razorpay payment ${refund.payment_id}`);
+  }
+};
+
+// Handlers for Razorpay webhook events, keyed by event name. Each receives
+// the parsed webhook body.
+module.exports = {
+  'payment.captured': settlePayment,
+  'order.paid': settlePayment,
+
+  'payment.failed': async (body) => {
+    const payment = body.payload.payment.entity;
+    const order = await findOrderForPayment(payment);
+    await markPaymentFailed(order, {
+      paymentId: payment.id,
+      reason: payment.error_description
+    });
+  },
+
+  'refund.created': updateRefund('pending'),
+  'refund.processed': updateRefund('processed'),
+  'refund.failed': updateRefund('failed')
+};
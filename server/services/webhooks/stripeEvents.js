@@ -0,0 +1,58 @@
+const Order = require('../../models/Order');
+const stripeProvider = require('../payments/stripeProvider');
+const { applyCapturedPayment, markPaymentFailed } = require('../orderPayments');
+const { applyRefundUpdate } = require('../refunds');
+
+const eventError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 422;
+  return error;
+};
+
+// Order a PaymentIntent was created for. Looks at the intent id first and
+// falls back to the metadata, in case a newer intent replaced it on the order.
+const findOrderForIntent = async (intent) => {
+  let order = await Order.findOne({ 'paymentInfo.orderId': intent.id });
+
+  if (!order && intent.metadata && intent.metadata.orderId) {
+    order = await Order.findById(intent.metadata.orderId);
+  }
+  if (!order) {
+    throw eventError(`No order found for PaymentIntent ${intent.id}`);
+  }
+  return order;
+};
+
+// Handlers for Stripe webhook events, keyed by event type. Each receives
+// the verified event.
+module.exports = {
+  'payment_intent.succeeded': async (event) => {
+    const intent = event.data.object;
+    const order = await findOrderForIntent(intent);
+    await applyCapturedPayment(order, stripeProvider, intent);
+  },
+
+  'payment_intent.payment_failed': async (event) => {
+    const intent = event.data.object;
+    const order = await findOrderForIntent(intent);
+    await markPaymentFailed(order, {
+      paymentId: intent.id,
+      reason: intent.last_payment_error && intent.last_payment_error.message
+    });
+  },
+
+  'charge.refunded': async (event) => {
+    const charge = event.data.object;
+    const refunds = await stripeProvider.getChargeRefunds(charge);
+
+    for (const refund of refunds) {
+      await applyRefundUpdate({
+        refundId: refund.id,
+        paymentId: charge.payment_intent,
+        amount: refund.amount,
+        status: refund.status,
+        failureReason: refund.failureReason || 'Refund failed at payment provider'
+      });
+    }
+  }
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { csvHeader, csvLine } = require('../utils/csv');
+const { CATALOGUE_CSV_COLUMNS, toCatalogueCsvRow, readCatalogue } = require('../services/catalogue');
+
+const exportCsv = (products) => [
+  csvHeader(CATALOGUE_CSV_COLUMNS),
+  ...products.map(product => csvLine(toCatalogueCsvRow(product), CATALOGUE_CSV_COLUMNS))
+].join('\r\n');
+
+describe('catalogue CSV', () => {
+  const product = new Product({
+    sku: 'BSS001',
+    name: '=Festive, "special" edition',
+    description: '- Handwoven pure silk\n- Zari border',
+    price: 12500,
+    category: new mongoose.Types.ObjectId(),
+    fabric: 'Silk',
+    color: '+Royal Blue',
+    stock: 25,
+    tags: ['-new', '@home', 'silk'],
+    weight: 800,
+    dimensions: { length: 550, width: 110, height: -1 },
+    images: [{ url: 'https://example.com/a.jpg', public_id: 'saree-store/a' }],
+    variants: [{ sku: 'BSS001-S', size: 'Free Size', stock: 5, color: '-Maroon' }]
+  });
+
+  it('guards cells against spreadsheet formulas', () => {
+    const csv = exportCsv([product]);
+
+    expect(csv).toContain('"\'- Handwoven pure silk');
+    expect(csv).toContain("'+Royal Blue");
+    expect(csv).toContain("'-new|@home|silk");
+  });
+
+  it('imports an export back unchanged', () => {
+    const [row] = readCatalogue(exportCsv([product]), 'csv');
+
+    expect(row.errors).toEqual([]);
+    expect(row.fields).toMatchObject({
+      sku: 'BSS001',
+      name: '=Festive, "special" edition',
+      description: '- Handwoven pure silk\n- Zari border',
+      price: 12500,
+      color: '+Royal Blue',
+      stock: 25,
+      tags: ['-new', '@home', 'silk'],
+      weight: 800,
+      'dimensions.height': -1,
+      images: [{ url: 'https://example.com/a.jpg', public_id: 'saree-store/a' }]
+    });
+    expect(row.fields.variants).toEqual([
+      expect.objectContaining({ sku: 'BSS001-S', size: 'Free Size', stock: 5, color: '-Maroon' })
+    ]);
+  });
+
+  it('keeps apostrophes that were not added by the export', () => {
+    const csv = `${csvHeader([{ key: 'sku' }, { key: 'name' }])}\r\nSKU1,'Tis the season`;
+    const [row] = readCatalogue(csv, 'csv');
+
+    expect(row.fields.name).toBe("'Tis the season");
+  });
+});
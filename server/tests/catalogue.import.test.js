@@ -0,0 +1,66 @@
+const db = require('./helpers/db');
+const { createProduct } = require('./helpers/fixtures');
+const Product = require('../models/Product');
+const { reserveStock } = require('../services/inventory');
+const { toCatalogueRecord, importCatalogue } = require('../services/catalogue');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+// An export of the product as it is now, as a JSON import file
+const exportJson = async (product) => {
+  const stored = await Product.findById(product._id).populate('category', 'slug');
+  return toCatalogueRecord(stored);
+};
+
+describe('importCatalogue', () => {
+  it('keeps sales made since the export', async () => {
+    const product = await createProduct({
+      stock: 10,
+      variants: [{ sku: 'VAR-A', size: 'Free Size', stock: 10 }]
+    });
+    const record = await exportJson(product);
+
+    await reserveStock([{ product: product._id, variant: product.variants[0]._id, quantity: 2 }], { reason: 'sale' });
+    const result = await importCatalogue(JSON.stringify([{ ...record, price: 1500 }]), { format: 'json' });
+
+    expect(result).toMatchObject({ updated: 1, errors: [] });
+    const stored = await Product.findById(product._id);
+    expect(stored.price).toBe(1500);
+    expect(stored.stock).toBe(8);
+    expect(stored.variants[0].stock).toBe(8);
+    expect(stored.variants[0]._id).toEqual(product.variants[0]._id);
+  });
+
+  it('sets stock when asked to', async () => {
+    const product = await createProduct({ stock: 10 });
+    const record = await exportJson(product);
+
+    const result = await importCatalogue(JSON.stringify([{ ...record, stock: 4 }]), { format: 'json', updateStock: true });
+
+    expect(result).toMatchObject({ updated: 1, errors: [] });
+    expect((await Product.findById(product._id)).stock).toBe(4);
+  });
+
+  it('skips a product whose stock moves while it is imported', async () => {
+    const product = await createProduct({ stock: 10 });
+    const record = await exportJson(product);
+
+    // A sale lands after the import has read the product
+    const validate = Product.prototype.validate;
+    jest.spyOn(Product.prototype, 'validate').mockImplementationOnce(async function(...args) {
+      await reserveStock([{ product: product._id, quantity: 1 }], { reason: 'sale' });
+      return validate.apply(this, args);
+    });
+
+    const result = await importCatalogue(JSON.stringify([{ ...record, stock: 20 }]), { format: 'json', updateStock: true });
+
+    expect(result.updated).toBe(0);
+    expect(result.errors).toHaveLength(1);
+    expect((await Product.findById(product._id)).stock).toBe(9);
+  });
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const Coupon = require('../models/Coupon');
+const { redeemCoupon, releaseCoupon } = require('../services/coupons');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const createCoupon = (fields = {}) => Coupon.create({
+  code: 'FESTIVE10',
+  type: 'percentage',
+  value: 10,
+  ...fields
+});
+
+describe('redeemCoupon', () => {
+  it('lets one customer use a coupon only up to their limit, however many checkouts race', async () => {
+    const coupon = await createCoupon({ perUserLimit: 2 });
+    const customer = { userId: new mongoose.Types.ObjectId() };
+
+    const results = await Promise.allSettled(Array.from({ length: 6 }, () => redeemCoupon(coupon, customer)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+      expect(reason).toMatchObject({ statusCode: 409, message: 'You have already used this coupon' });
+    });
+    expect((await Coupon.findById(coupon._id)).usedCount).toBe(2);
+  });
+
+  it('counts guests by their email', async () => {
+    const coupon = await createCoupon();
+
+    await redeemCoupon(coupon, { guestEmail: 'Asha@Example.com' });
+
+    await expect(redeemCoupon(coupon, { guestEmail: 'asha@example.com ' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(redeemCoupon(coupon, { guestEmail: 'ravi@example.com' })).resolves.toBeUndefined();
+  });
+
+  it('gives the customer their use back when the global limit is reached', async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+    await redeemCoupon(coupon, { guestEmail: 'ravi@example.com' });
+    const customer = { guestEmail: 'asha@example.com' };
+
+    await expect(redeemCoupon(coupon, customer)).rejects.toMatchObject({ message: 'This coupon has reached its usage limit' });
+
+    await Coupon.updateOne({ _id: coupon._id }, { $set: { usageLimit: 2 } });
+    coupon.usageLimit = 2;
+    await expect(redeemCoupon(coupon, customer)).resolves.toBeUndefined();
+  });
+
+  it('lets the customer use it again once the order is released', async () => {
+    const coupon = await createCoupon();
+    const customer = { userId: new mongoose.Types.ObjectId() };
+
+    await redeemCoupon(coupon, customer);
+    await releaseCoupon(coupon.code, customer);
+
+    await expect(redeemCoupon(coupon, customer)).resolves.toBeUndefined();
+    expect((await Coupon.findById(coupon._id)).usedCount).toBe(1);
+  });
+});
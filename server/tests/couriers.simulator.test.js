@@ -0,0 +1,69 @@
+const simulatorCourier = require('../services/couriers/simulatorCourier');
+
+const STEP_MS = 60 * 60 * 1000;
+
+// A request as express hands it to the webhook route, raw body included
+const webhookRequest = ({ payload, signature }) => ({
+  body: JSON.parse(payload),
+  rawBody: Buffer.from(payload),
+  get: (header) => (header === 'x-simulator-signature' ? signature : undefined)
+});
+
+beforeEach(() => {
+  process.env.COURIER_WEBHOOK_SECRET = 'test-courier-secret';
+  delete process.env.COURIER_SIMULATOR_MINUTES_PER_STEP;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('simulator courier', () => {
+  it('replays one scan per step since the AWB was created', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-15T00:00:00Z') });
+    const { awb } = await simulatorCourier.createShipment();
+    const awbWithoutRetry = awb.replace(/\d$/, '0');
+
+    jest.setSystemTime(Date.now() + 2.5 * STEP_MS);
+    const events = await simulatorCourier.getTracking(awbWithoutRetry);
+
+    expect(events.map(event => event.status)).toEqual(['picked_up', 'in_transit']);
+    expect(events[1].timestamp).toEqual(new Date(new Date('2024-01-15T00:00:00Z').getTime() + 2 * STEP_MS));
+  });
+
+  it('fails delivery once for AWBs ending in an odd digit', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-15T00:00:00Z') });
+    const { awb } = await simulatorCourier.createShipment();
+
+    jest.setSystemTime(Date.now() + 10 * STEP_MS);
+    const events = await simulatorCourier.getTracking(awb.replace(/\d$/, '1'));
+
+    expect(events.map(event => event.status)).toEqual([
+      'picked_up', 'in_transit', 'in_transit', 'out_for_delivery', 'failed_delivery', 'out_for_delivery', 'delivered'
+    ]);
+  });
+
+  it('rejects AWBs it did not issue', async () => {
+    await expect(simulatorCourier.getTracking('AWB123')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('accepts webhooks it signed and nothing else', () => {
+    const signed = simulatorCourier.signWebhook('SIMABC-0002', [{ status: 'delivered' }]);
+
+    expect(simulatorCourier.verifyWebhook(webhookRequest(signed))).toBe(true);
+    expect(simulatorCourier.verifyWebhook(webhookRequest({ ...signed, payload: signed.payload.replace('delivered', 'rto') }))).toBe(false);
+    expect(simulatorCourier.verifyWebhook(webhookRequest(simulatorCourier.signWebhook('SIMABC-0002', [], 'another-secret')))).toBe(false);
+  });
+
+  it('leaves webhook events without a time undated', () => {
+    const { payload } = simulatorCourier.signWebhook('SIMABC-0002', [
+      { status: 'in_transit', message: 'Reached hub', location: 'Chennai Hub', timestamp: '2024-01-15T05:00:00Z' },
+      { status: 'delivered', message: 'Delivered', location: 'Destination' }
+    ]);
+
+    const { awb, events } = simulatorCourier.parseWebhook(JSON.parse(payload));
+
+    expect(awb).toBe('SIMABC-0002');
+    expect(events.map(event => event.timestamp)).toEqual([new Date('2024-01-15T05:00:00Z'), null]);
+  });
+});
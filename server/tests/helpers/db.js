@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// A throwaway MongoDB per test file. Call connect() in beforeAll,
+// clear() in afterEach and disconnect() in afterAll.
+let server;
+
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Unique indexes (SKUs, coupon codes...) have to exist before tests race
+  await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+};
+
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,109 @@
+const Category = require('../../models/Category');
+const Attribute = require('../../models/Attribute');
+const Product = require('../../models/Product');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const { createSession } = require('../../services/sessions');
+const Serviceability = require('../../models/Serviceability');
+
+let skuCount = 0;
+
+// The category and attribute values products in tests are made with
+const createTaxonomy = async () => {
+  const category = await Category.findOne({ slug: 'silk-sarees' }) || await Category.create({ name: 'Silk Sarees' });
+  const attributes = [
+    { type: 'fabric', name: 'Silk', hsnCode: '5007' },
+    { type: 'fabric', name: 'Cotton', hsnCode: '5208' },
+    { type: 'occasion', name: 'Wedding' },
+    { type: 'size', name: 'Free Size' }
+  ];
+  for (const attribute of attributes) {
+    if (!await Attribute.exists({ type: attribute.type, name: attribute.name })) {
+      await Attribute.create(attribute);
+    }
+  }
+  return category;
+};
+
+const createProduct = async (fields = {}) => {
+  const category = await createTaxonomy();
+  skuCount += 1;
+
+  return Product.create({
+    name: `Test Saree ${skuCount}`,
+    description: 'A saree for tests',
+    price: 1000,
+    category: category._id,
+    fabric: 'Silk',
+    color: 'Red',
+    stock: 10,
+    sku: `TST${String(skuCount).padStart(3, '0')}`,
+    ...fields
+  });
+};
+
+const createServiceability = (fields = {}) => Serviceability.create({
+  pincode: '600001',
+  city: 'Chennai',
+  state: 'Tamil Nadu',
+  codAllowed: true,
+  transitDays: 2,
+  ...fields
+});
+
+// What a guest sends to POST /api/orders
+const guestOrderBody = (items, fields = {}) => ({
+  items,
+  shippingAddress: {
+    firstName: 'Asha',
+    lastName: 'Kumar',
+    addressLine1: '1 Temple Street',
+    city: 'Chennai',
+    state: 'Tamil Nadu',
+    pincode: '600001',
+    phone: '9876543210'
+  },
+  paymentInfo: { method: 'cod' },
+  guest: { email: 'asha@example.com', phone: '9876543210' },
+  ...fields
+});
+
+// A guest's confirmed order for one product, paid online
+const createPaidOrder = async (fields = {}) => {
+  const product = await createProduct();
+  const { shippingAddress, guest } = guestOrderBody([]);
+
+  return Order.create({
+    orderNumber: Order.generateOrderNumber(),
+    guest,
+    items: [{ product: product._id, name: product.name, sku: product.sku, price: product.price, quantity: 1 }],
+    shippingAddress,
+    paymentInfo: { method: 'razorpay', status: 'completed', paymentId: 'pay_test', paidAt: new Date() },
+    pricing: { subtotal: 1000, tax: 50, total: 1050 },
+    status: 'confirmed',
+    ...fields
+  });
+};
+
+// An admin account and a bearer token for it
+const createAdmin = async () => {
+  const user = await User.create({
+    firstName: 'Meena',
+    lastName: 'Rao',
+    email: 'admin@example.com',
+    password: 'Password123!',
+    role: 'admin',
+    emailVerified: true
+  });
+  const { token } = await createSession(user, { get: () => 'jest', ip: '127.0.0.1' });
+  return { user, token };
+};
+
+module.exports = {
+  createAdmin,
+  createTaxonomy,
+  createProduct,
+  createServiceability,
+  createPaidOrder,
+  guestOrderBody
+};
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const { createProduct } = require('./helpers/fixtures');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { reserveStock } = require('../services/inventory');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('reserveStock', () => {
+  it('lets exactly one of many concurrent reservations take the last unit', async () => {
+    const product = await createProduct({ stock: 1 });
+
+    const results = await Promise.allSettled(Array.from({ length: 10 }, () => (
+      reserveStock([{ product: product._id, quantity: 1 }], { reason: 'sale' })
+    )));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    results.filter(result => result.status === 'rejected').forEach(({ reason }) => {
+      expect(reason.statusCode).toBe(409);
+    });
+    expect((await Product.findById(product._id)).stock).toBe(0);
+    expect(await InventoryMovement.countDocuments({ product: product._id, reason: 'sale' })).toBe(1);
+  });
+
+  it('never oversells a variant', async () => {
+    const product = await createProduct({
+      stock: 2,
+      variants: [{ sku: 'VAR001', size: 'Free Size', stock: 2 }]
+    });
+    const variant = product.variants[0]._id;
+
+    const results = await Promise.allSettled(Array.from({ length: 8 }, () => (
+      reserveStock([{ product: product._id, variant, quantity: 1 }], { reason: 'sale' })
+    )));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    const stored = await Product.findById(product._id);
+    expect(stored.stock).toBe(0);
+    expect(stored.variants[0].stock).toBe(0);
+  });
+
+  it('puts everything back when a later item cannot be reserved', async () => {
+    const first = await createProduct({ stock: 5 });
+    const second = await createProduct({ stock: 5 });
+    const third = await createProduct({ stock: 1 });
+
+    await expect(reserveStock([
+      { product: first._id, quantity: 2 },
+      { product: second._id, quantity: 3 },
+      { product: third._id, quantity: 2 }
+    ], { reason: 'sale' })).rejects.toMatchObject({ statusCode: 409 });
+
+    const stored = await Product.find({ _id: { $in: [first._id, second._id, third._id] } }).sort({ sku: 1 });
+    expect(stored.map(product => product.stock)).toEqual([5, 5, 1]);
+    expect(await InventoryMovement.countDocuments()).toBe(0);
+  });
+
+  it('refuses products that are not on sale', async () => {
+    const product = await createProduct({ stock: 5, isActive: false });
+
+    await expect(reserveStock([{ product: product._id, quantity: 1 }], { reason: 'sale' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect((await Product.findById(product._id)).stock).toBe(5);
+  });
+
+  it('reports a missing product as unavailable', async () => {
+    await expect(reserveStock([{ product: new mongoose.Types.ObjectId(), quantity: 1 }], { reason: 'sale' }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Some products are not available' });
+  });
+});
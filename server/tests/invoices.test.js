@@ -0,0 +1,44 @@
+const db = require('./helpers/db');
+const { createPaidOrder } = require('./helpers/fixtures');
+const Invoice = require('../models/Invoice');
+const { issueInvoice } = require('../services/invoices');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+const numbers = async () => (await Invoice.find({ type: 'invoice' }).sort({ sequence: 1 })).map(invoice => invoice.sequence);
+
+describe('issueInvoice', () => {
+  it('numbers invoices issued at the same moment one after another', async () => {
+    const orders = await Promise.all(Array.from({ length: 4 }, () => createPaidOrder()));
+
+    await Promise.all(orders.map(order => issueInvoice(order)));
+
+    expect(await numbers()).toEqual([1, 2, 3, 4]);
+  });
+
+  it('issues one invoice per order however often it is asked for at once', async () => {
+    const order = await createPaidOrder();
+
+    const invoices = await Promise.all([issueInvoice(order), issueInvoice(order), issueInvoice(order)]);
+
+    expect(new Set(invoices.map(invoice => invoice.number)).size).toBe(1);
+    expect(await numbers()).toEqual([1]);
+  });
+
+  it('leaves no gap when an invoice fails to issue', async () => {
+    const [first, second] = [await createPaidOrder(), await createPaidOrder()];
+    jest.spyOn(Invoice, 'create').mockRejectedValueOnce(new Error('Write failed'));
+
+    await expect(issueInvoice(first)).rejects.toThrow('Write failed');
+    await issueInvoice(second);
+    await issueInvoice(first);
+
+    expect(await numbers()).toEqual([1, 2]);
+    expect((await Invoice.findOne({ order: second._id })).number).toMatch(/^INV\/\d{2}-\d{2}\/000001$/);
+  });
+});
@@ -0,0 +1,66 @@
+const Order = require('../models/Order');
+const { getTransport, setTransport } = require('../config/mailer');
+const { notifyOrder, flushNotifications } = require('../services/notifications');
+
+// Messages the json transport rendered (and didn't send)
+const sentMail = async (send) => {
+  const sendMail = jest.spyOn(getTransport(), 'sendMail');
+  send();
+  await flushNotifications();
+  return Promise.all(sendMail.mock.results.map(async result => JSON.parse((await result.value).message)));
+};
+
+const guestOrder = () => new Order({
+  orderNumber: 'SS2401150001',
+  guest: { email: 'asha@example.com' },
+  items: [{ name: 'Kanjivaram Silk Saree', price: 12000, quantity: 1 }],
+  shippingAddress: { firstName: 'Asha', lastName: 'Kumar' },
+  paymentInfo: { method: 'cod' },
+  pricing: { subtotal: 12000, total: 13440 }
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  setTransport(undefined);
+});
+
+describe('order notifications', () => {
+  it("emails a guest's order to their checkout address", async () => {
+    const [message] = await sentMail(() => notifyOrder('orderPlaced', guestOrder()));
+
+    expect(message).toMatchObject({
+      to: [{ address: 'asha@example.com', name: '' }],
+      from: { address: 'no-reply@sareestore.in', name: 'Saree Store' },
+      subject: 'Order SS2401150001 placed'
+    });
+    expect(message.text).toContain('Hi Asha');
+    expect(message.html).toContain('cash on delivery');
+  });
+
+  it('sends nothing for a guest order without an email', async () => {
+    const order = guestOrder();
+    order.guest = undefined;
+
+    expect(await sentMail(() => notifyOrder('orderPlaced', order))).toEqual([]);
+  });
+
+  it('rejects unknown templates straight away', () => {
+    expect(() => notifyOrder('orderLost', guestOrder())).toThrow('Unknown email template: orderLost');
+  });
+
+  it('tries again later when the mail server fails', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const sendMail = jest.fn().mockRejectedValueOnce(new Error('Connection refused')).mockResolvedValue({});
+    setTransport({ sendMail });
+
+    notifyOrder('orderPlaced', guestOrder());
+    await new Promise(setImmediate);
+    await new Promise(setImmediate);
+    expect(sendMail).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(sendMail).toHaveBeenCalledTimes(2);
+    expect(sendMail.mock.calls[1][0]).toMatchObject({ to: 'asha@example.com', subject: 'Order SS2401150001 placed' });
+  });
+});
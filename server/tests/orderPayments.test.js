@@ -0,0 +1,50 @@
+const db = require('./helpers/db');
+const { createPaidOrder } = require('./helpers/fixtures');
+const Order = require('../models/Order');
+const fakeProvider = require('../services/payments/fakeProvider');
+const { markOrderPaid } = require('../services/orderPayments');
+const { listRefundQueue } = require('../services/refunds');
+const { flushNotifications } = require('../services/notifications');
+
+beforeAll(db.connect);
+beforeEach(() => fakeProvider.reset());
+afterEach(async () => {
+  delete process.env.AUTO_REFUND_ON_CANCEL;
+  await flushNotifications();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+// An order the customer cancelled before its payment came through
+const createCancelledOrder = () => createPaidOrder({
+  status: 'cancelled',
+  paymentInfo: { method: 'razorpay', status: 'pending' },
+  cancellation: { reason: 'Changed my mind', cancelledAt: new Date(), refundStatus: 'processed', refundAmount: 0 }
+});
+
+describe('markOrderPaid', () => {
+  it('queues a refund for a payment captured on a cancelled order', async () => {
+    const order = await createCancelledOrder();
+
+    await markOrderPaid(order, { paymentId: 'pay_test' });
+
+    const saved = await Order.findById(order._id);
+    expect(saved.status).toBe('cancelled');
+    expect(saved.paymentInfo.status).toBe('completed');
+    expect(saved.cancellation).toMatchObject({ refundStatus: 'pending', refundAmount: 1050 });
+    expect((await listRefundQueue()).map(queued => queued.orderNumber)).toEqual([order.orderNumber]);
+    expect(fakeProvider.state.refunds).toEqual([]);
+  });
+
+  it('refunds the capture straight away when automatic refunds are on', async () => {
+    process.env.AUTO_REFUND_ON_CANCEL = 'true';
+    const order = await createCancelledOrder();
+
+    await markOrderPaid(order, { paymentId: 'pay_test' });
+
+    expect(fakeProvider.state.refunds).toEqual([expect.objectContaining({ paymentId: 'pay_test', amount: 1050 })]);
+    const saved = await Order.findById(order._id);
+    expect(saved.paymentInfo).toMatchObject({ status: 'refunded', refundedAmount: 1050 });
+    expect(saved.cancellation.refundStatus).toBe('processed');
+  });
+});
@@ -0,0 +1,92 @@
+const db = require('./helpers/db');
+const { createPaidOrder } = require('./helpers/fixtures');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { reserveStock } = require('../services/inventory');
+const { stockItemsFor } = require('../services/fulfilment');
+const { redeemCoupon } = require('../services/coupons');
+const { transitionOrder } = require('../services/orderStateMachine');
+const { markOrderPaid } = require('../services/orderPayments');
+const { flushNotifications } = require('../services/notifications');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await flushNotifications();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+// A pending order holding one unit of stock and a use of a coupon
+const createPendingOrder = async () => {
+  const coupon = await Coupon.create({ code: 'FESTIVE10', type: 'percentage', value: 10, perUserLimit: 1 });
+  const order = await createPaidOrder({
+    status: 'pending',
+    paymentInfo: { method: 'razorpay', status: 'pending' },
+    coupon: { code: coupon.code, discount: 100, type: 'percentage' }
+  });
+  await reserveStock(stockItemsFor(order), { reason: 'sale', order });
+  await redeemCoupon(coupon, { guestEmail: order.guest.email });
+  return order;
+};
+
+const stockOf = async (order) => (await Product.findById(order.items[0].product)).stock;
+
+describe('transitionOrder', () => {
+  it('puts the order back when releasing its hold fails, so cancelling can be tried again', async () => {
+    const order = await createPendingOrder();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockRejectedValueOnce(new Error('Connection reset'));
+
+    await expect(transitionOrder(order, 'cancelled')).rejects.toThrow('Connection reset');
+
+    expect((await Order.findById(order._id)).status).toBe('pending');
+    expect(await stockOf(order)).toBe(9);
+
+    await transitionOrder(await Order.findById(order._id), 'cancelled');
+
+    expect((await Order.findById(order._id)).status).toBe('cancelled');
+    expect(await stockOf(order)).toBe(10);
+    expect((await Coupon.findOne({ code: 'FESTIVE10' })).usedCount).toBe(0);
+  });
+
+  it('undoes the released hold when the order fails to save', async () => {
+    const order = await createPendingOrder();
+    jest.spyOn(order, 'save').mockRejectedValueOnce(new Error('Write failed'));
+
+    await expect(transitionOrder(order, 'expired')).rejects.toThrow('Write failed');
+
+    expect((await Order.findById(order._id)).status).toBe('pending');
+    expect(await stockOf(order)).toBe(9);
+    expect((await Coupon.findOne({ code: 'FESTIVE10' })).usedCount).toBe(1);
+  });
+
+  it('takes the coupon use again when a late payment confirms an expired order', async () => {
+    const order = await createPendingOrder();
+    await transitionOrder(order, 'expired');
+    expect((await Coupon.findOne({ code: 'FESTIVE10' })).usedCount).toBe(0);
+
+    await markOrderPaid(await Order.findById(order._id), { paymentId: 'pay_late' });
+
+    expect((await Order.findById(order._id)).status).toBe('confirmed');
+    expect(await stockOf(order)).toBe(9);
+    expect((await Coupon.findOne({ code: 'FESTIVE10' })).usedCount).toBe(1);
+  });
+
+  it('cancels a late-paid expired order whose coupon has since been used up', async () => {
+    const order = await createPendingOrder();
+    await transitionOrder(order, 'expired');
+    const coupon = await Coupon.findOneAndUpdate({ code: 'FESTIVE10' }, { usageLimit: 1 }, { new: true });
+    await redeemCoupon(coupon, { guestEmail: 'someone.else@example.com' });
+
+    await expect(markOrderPaid(await Order.findById(order._id), { paymentId: 'pay_late' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const cancelled = await Order.findById(order._id);
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancellation.refundStatus).toBe('pending');
+    expect(await stockOf(order)).toBe(10);
+    expect((await Coupon.findOne({ code: 'FESTIVE10' })).usedCount).toBe(1);
+  });
+});
@@ -0,0 +1,78 @@
+const express = require('express');
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createProduct, createServiceability, guestOrderBody } = require('./helpers/fixtures');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const orderRoutes = require('../routes/orders');
+const { flushNotifications } = require('../services/notifications');
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', orderRoutes);
+
+beforeAll(db.connect);
+beforeEach(() => createServiceability());
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await flushNotifications();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+const checkout = (items, fields) => request(app).post('/api/orders').send(guestOrderBody(items, fields));
+
+describe('POST /api/orders', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('sells the last unit to exactly one of many concurrent checkouts', async () => {
+    const product = await createProduct({ stock: 1 });
+
+    const responses = await Promise.all(Array.from({ length: 10 }, (_, index) => (
+      checkout([{ product: product._id.toString(), quantity: 1 }], {
+        guest: { email: `shopper${index}@example.com`, phone: '9876543210' }
+      })
+    )));
+
+    expect(responses.filter(response => response.status === 201)).toHaveLength(1);
+    expect(responses.filter(response => response.status === 409)).toHaveLength(9);
+    expect((await Product.findById(product._id)).stock).toBe(0);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('restores all stock when the third of three items is out of stock', async () => {
+    const first = await createProduct({ stock: 3 });
+    const second = await createProduct({ stock: 3 });
+    const third = await createProduct({ stock: 0 });
+
+    const response = await checkout([
+      { product: first._id.toString(), quantity: 1 },
+      { product: second._id.toString(), quantity: 2 },
+      { product: third._id.toString(), quantity: 1 }
+    ]);
+
+    expect(response.status).toBe(409);
+    const stored = await Product.find({ _id: { $in: [first._id, second._id, third._id] } }).sort({ sku: 1 });
+    expect(stored.map(product => product.stock)).toEqual([3, 3, 0]);
+    expect(await Order.countDocuments()).toBe(0);
+  });
+
+  it('restores all stock when the order cannot be saved', async () => {
+    const first = await createProduct({ stock: 3 });
+    const second = await createProduct({ stock: 3 });
+    jest.spyOn(Order.prototype, 'save').mockRejectedValueOnce(new Error('Write failed'));
+
+    const response = await checkout([
+      { product: first._id.toString(), quantity: 2 },
+      { product: second._id.toString(), quantity: 1 }
+    ]);
+
+    expect(response.status).toBe(500);
+    const stored = await Product.find({ _id: { $in: [first._id, second._id] } }).sort({ sku: 1 });
+    expect(stored.map(product => product.stock)).toEqual([3, 3]);
+    expect(await Order.countDocuments()).toBe(0);
+  });
+});
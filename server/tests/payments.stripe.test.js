@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const stripeProvider = require('../services/payments/stripeProvider');
+const { createFakeStripeClient } = require('../services/payments/fakeStripeClient');
+
+let stripe;
+
+const order = (total = 1050) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'SS2401150001',
+  pricing: { total },
+  paymentInfo: {}
+});
+
+beforeEach(() => {
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  stripe = createFakeStripeClient();
+  stripeProvider.setClient(stripe);
+});
+
+describe('stripe provider', () => {
+  it('charges the order total in paise and reuses an intent that can still be paid', async () => {
+    const placed = order();
+    const intent = await stripeProvider.createPaymentIntent(placed);
+    expect(intent).toMatchObject({ amount: 105000, currency: 'inr', metadata: { orderId: placed._id.toString() } });
+
+    placed.paymentInfo.orderId = intent.id;
+    expect((await stripeProvider.createPaymentIntent(placed)).id).toBe(intent.id);
+
+    placed.pricing.total = 1100;
+    expect((await stripeProvider.createPaymentIntent(placed)).id).not.toBe(intent.id);
+  });
+
+  it('matches an intent to the order only once its full total is received', async () => {
+    const placed = order();
+    const intent = await stripeProvider.createPaymentIntent(placed);
+
+    expect(stripeProvider.matchesOrder(intent, placed)).toBe(false);
+    expect(stripeProvider.matchesOrder(stripe.succeedPaymentIntent(intent.id), placed)).toBe(true);
+    expect(stripeProvider.matchesOrder(stripe.succeedPaymentIntent(intent.id), order())).toBe(false);
+  });
+
+  it('reports refunds as processed or pending', async () => {
+    const intent = await stripeProvider.createPaymentIntent(order());
+    const { latest_charge: charge } = stripe.succeedPaymentIntent(intent.id);
+
+    await expect(stripeProvider.createRefund({ paymentId: intent.id, amount: 500 }))
+      .resolves.toMatchObject({ paymentId: intent.id, amount: 500, status: 'processed' });
+
+    stripe.state.nextRefundStatus = 'pending';
+    await stripeProvider.createRefund({ paymentId: intent.id, amount: 200 });
+
+    const refunds = await stripeProvider.getChargeRefunds({ id: charge });
+    expect(refunds.map(refund => [refund.amount, refund.status])).toEqual([[500, 'processed'], [200, 'pending']]);
+  });
+
+  it('accepts only webhooks signed with the webhook secret', () => {
+    const { payload, signature } = stripe.signEvent('payment_intent.succeeded', { id: 'pi_1' });
+
+    expect(stripeProvider.constructWebhookEvent(payload, signature)).toMatchObject({
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_1' } }
+    });
+    expect(() => stripeProvider.constructWebhookEvent(payload.replace('pi_1', 'pi_2'), signature)).toThrow();
+    expect(() => stripeProvider.constructWebhookEvent(payload, stripe.signEvent('x', {}, 'whsec_other').signature)).toThrow();
+  });
+});
@@ -0,0 +1,47 @@
+const express = require('express');
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createProduct } = require('./helpers/fixtures');
+const productRoutes = require('../routes/products');
+
+const app = express();
+app.use(express.json());
+app.use('/api/products', productRoutes);
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('GET /api/products', () => {
+  it('returns a page, the total and facet counts that leave out their own filter', async () => {
+    await createProduct({ name: 'Silk One', price: 1500 });
+    await createProduct({ name: 'Silk Two', price: 2500 });
+    await createProduct({ name: 'Silk Three', price: 6000 });
+    await createProduct({ name: 'Cotton One', fabric: 'Cotton', price: 900 });
+
+    const response = await request(app).get('/api/products').query({ fabric: 'Silk', sortBy: 'price_asc', limit: 2 });
+
+    expect(response.status).toBe(200);
+    const { products, facets, pagination } = response.body.data;
+    expect(products.map(product => product.name)).toEqual(['Silk One', 'Silk Two']);
+    expect(products[0].category).toEqual({ _id: expect.any(String), name: 'Silk Sarees', slug: 'silk-sarees' });
+    expect(products[0]).not.toHaveProperty('reviews');
+    expect(pagination).toMatchObject({ currentPage: 1, totalPages: 2, totalProducts: 3, hasNextPage: true });
+    expect(facets.fabric).toEqual([{ value: 'Silk', count: 3 }, { value: 'Cotton', count: 1 }]);
+    expect(facets.price).toEqual([
+      { min: 0, max: 2000, count: 1 },
+      { min: 2000, max: 5000, count: 1 },
+      { min: 5000, max: 10000, count: 1 }
+    ]);
+    expect(facets.category).toEqual([expect.objectContaining({ name: 'Silk Sarees', count: 3 })]);
+  });
+
+  it('returns an empty page past the last one', async () => {
+    await createProduct();
+
+    const response = await request(app).get('/api/products').query({ page: 3 });
+
+    expect(response.body.data.products).toEqual([]);
+    expect(response.body.data.pagination.totalProducts).toBe(1);
+  });
+});
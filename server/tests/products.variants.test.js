@@ -0,0 +1,55 @@
+const express = require('express');
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createAdmin, createProduct } = require('./helpers/fixtures');
+const Attribute = require('../models/Attribute');
+const productRoutes = require('../routes/products');
+const { saveAttribute } = require('../services/taxonomy');
+
+const app = express();
+app.use(express.json());
+app.use('/api/products', productRoutes);
+
+let token;
+
+beforeAll(db.connect);
+beforeEach(async () => {
+  ({ token } = await createAdmin());
+});
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('product variants', () => {
+  it('takes sizes admins have added to the taxonomy', async () => {
+    const product = await createProduct();
+    await saveAttribute(new Attribute(), { type: 'size', name: 'Petite' });
+
+    const added = await request(app)
+      .post(`/api/products/${product._id}/variants`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sku: 'TST-PETITE', size: 'Petite', stock: 3 });
+
+    expect(added.status).toBe(201);
+    expect(added.body.data.variants).toEqual([expect.objectContaining({ sku: 'TST-PETITE', size: 'Petite' })]);
+
+    const updated = await request(app)
+      .put(`/api/products/${product._id}/variants/${added.body.data.variants[0]._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ size: 'Free Size' });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.variants[0].size).toBe('Free Size');
+  });
+
+  it('rejects sizes that are not in the taxonomy', async () => {
+    const product = await createProduct();
+
+    const response = await request(app)
+      .post(`/api/products/${product._id}/variants`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sku: 'TST-HUGE', size: 'Huge', stock: 3 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Huge is not a valid size');
+  });
+});
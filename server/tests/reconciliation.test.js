@@ -0,0 +1,66 @@
+const db = require('./helpers/db');
+const { createPaidOrder } = require('./helpers/fixtures');
+const fakeProvider = require('../services/payments/fakeProvider');
+const fixture = require('../services/payments/fixtures/reconciliation.json');
+const { reconcilePayments } = require('../services/reconciliation');
+
+beforeAll(db.connect);
+beforeEach(() => fakeProvider.loadFixture(fixture));
+afterEach(async () => {
+  fakeProvider.reset();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+// An order paid by UPI on the fixture's day, against one of its payments
+const paidWith = (paymentId, total) => createPaidOrder({
+  paymentInfo: {
+    method: 'upi',
+    status: 'completed',
+    paymentId,
+    orderId: paymentId.replace('pay_', 'order_'),
+    paidAt: new Date('2024-01-15T14:00:00.000Z')
+  },
+  pricing: { subtotal: total, total }
+});
+
+describe('reconcilePayments', () => {
+  it("sorts the day's orders against the gateway's payments and settlements", async () => {
+    const matched = await paidWith('pay_fixture_matched', 185);
+    const short = await paidWith('pay_fixture_short', 100);
+    const failed = await paidWith('pay_fixture_failed', 29.99);
+
+    const report = await reconcilePayments({ from: '2024-01-15T00:00:00.000Z', to: '2024-01-16T00:00:00.000Z' });
+
+    const results = Object.fromEntries(report.rows.map(row => [row.paymentId, row]));
+    expect(results.pay_fixture_matched).toMatchObject({ order: matched._id, result: 'matched', settlementId: 'setl_fixture_1' });
+    expect(results.pay_fixture_short).toMatchObject({ order: short._id, result: 'amount_mismatch' });
+    expect(results.pay_fixture_failed).toMatchObject({ order: failed._id, result: 'missing_capture', detail: 'Gateway payment is failed' });
+    expect(results.pay_fixture_orphan).toMatchObject({ result: 'orphan_payment', detail: 'Captured payment has no matching order' });
+    expect(report.summary).toMatchObject({
+      matched: 1,
+      amountMismatch: 1,
+      missingCapture: 1,
+      orphanPayment: 1,
+      stuckPending: 0,
+      capturedAmount: 228,
+      settledAmount: 185,
+      fees: 4.37
+    });
+  });
+
+  it("doesn't call a payment an orphan when its order was paid outside the range", async () => {
+    await createPaidOrder({
+      paymentInfo: {
+        method: 'upi',
+        status: 'completed',
+        paymentId: 'pay_fixture_orphan',
+        paidAt: new Date('2024-01-17T09:00:00.000Z')
+      }
+    });
+
+    const report = await reconcilePayments({ from: '2024-01-15T00:00:00.000Z', to: '2024-01-16T00:00:00.000Z' });
+
+    expect(report.rows.map(row => row.paymentId)).not.toContain('pay_fixture_orphan');
+  });
+});
@@ -0,0 +1,92 @@
+const db = require('./helpers/db');
+const { createPaidOrder } = require('./helpers/fixtures');
+const Order = require('../models/Order');
+const fakeProvider = require('../services/payments/fakeProvider');
+const { issueRefund, applyRefundUpdate } = require('../services/refunds');
+const { flushNotifications } = require('../services/notifications');
+
+beforeAll(db.connect);
+beforeEach(() => {
+  fakeProvider.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await flushNotifications();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+describe('issueRefund', () => {
+  it('refunds whatever is left through the payment provider', async () => {
+    const order = await createPaidOrder();
+
+    const refund = await issueRefund(order, { reason: 'Cancelled' });
+
+    expect(refund).toMatchObject({ amount: 1050, status: 'processed' });
+    expect(fakeProvider.state.refunds).toEqual([expect.objectContaining({ id: refund.refundId, paymentId: 'pay_test', amount: 1050 })]);
+    const saved = await Order.findById(order._id);
+    expect(saved.paymentInfo).toMatchObject({ status: 'refunded', refundedAmount: 1050 });
+  });
+
+  it('counts refunds in flight against what can still be refunded', async () => {
+    const order = await createPaidOrder();
+    fakeProvider.state.nextRefundStatus = 'pending';
+
+    await issueRefund(order, { amount: 1000 });
+
+    await expect(issueRefund(await Order.findById(order._id), { amount: 100 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Refund amount cannot exceed ₹50' });
+    expect(order.paymentInfo.refundedAmount).toBe(0);
+  });
+
+  it('lets only one of two refunds issued at the same moment through', async () => {
+    const order = await createPaidOrder();
+    const [first, second] = await Promise.all([Order.findById(order._id), Order.findById(order._id)]);
+
+    const results = await Promise.allSettled([issueRefund(first), issueRefund(second)]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ statusCode: 409, message: 'Nothing left to refund on this order' });
+    expect(fakeProvider.state.refunds).toHaveLength(1);
+    const saved = await Order.findById(order._id);
+    expect(saved.refunds.map(refund => [refund.amount, refund.status])).toEqual([[1050, 'processed']]);
+    expect(saved.paymentInfo).toMatchObject({ status: 'refunded', refundedAmount: 1050 });
+  });
+
+  it("won't refund twice when the same request is sent again", async () => {
+    const order = await createPaidOrder();
+
+    await issueRefund(order, { amount: 1050 });
+
+    await expect(issueRefund(order, { amount: 1050 })).rejects.toMatchObject({ statusCode: 409 });
+    expect(fakeProvider.state.refunds).toHaveLength(1);
+  });
+
+  it('records a failed refund and leaves the amount refundable', async () => {
+    const order = await createPaidOrder();
+    fakeProvider.state.nextRefundStatus = 'error';
+
+    await expect(issueRefund(order)).rejects.toMatchObject({ statusCode: 502 });
+
+    const saved = await Order.findById(order._id);
+    expect(saved.refunds.map(refund => refund.status)).toEqual(['failed']);
+    fakeProvider.state.nextRefundStatus = 'processed';
+    await expect(issueRefund(saved)).resolves.toMatchObject({ amount: 1050, status: 'processed' });
+  });
+});
+
+describe('applyRefundUpdate', () => {
+  it('completes a pending refund when the provider reports it processed', async () => {
+    const order = await createPaidOrder();
+    fakeProvider.state.nextRefundStatus = 'pending';
+    const refund = await issueRefund(order);
+
+    await applyRefundUpdate({ refundId: refund.refundId, status: 'processed' });
+
+    const saved = await Order.findById(order._id);
+    expect(saved.refunds[0].status).toBe('processed');
+    expect(saved.paymentInfo).toMatchObject({ status: 'refunded', refundedAmount: 1050 });
+  });
+});
@@ -0,0 +1,5 @@
+// Environment for every test file: no real mail or payment gateway, fixed secrets
+process.env.NODE_ENV = 'test';
+process.env.MAIL_TRANSPORT = 'json';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
@@ -0,0 +1,44 @@
+const Order = require('../models/Order');
+const shiprocketCourier = require('../services/couriers/shiprocketCourier');
+const { applyTrackingEvents } = require('../services/shipments');
+
+// A shipped order with one booked parcel, saved nowhere
+const shippedOrder = () => {
+  const order = new Order({
+    status: 'shipped',
+    shipments: [{ provider: 'shiprocket', courier: 'Delhivery', trackingNumber: 'AWB1', status: 'picked_up' }]
+  });
+  jest.spyOn(order, 'save').mockResolvedValue(order);
+  return order;
+};
+
+describe('Shiprocket tracking events', () => {
+  it('leaves scans without a date undated', () => {
+    const { events } = shiprocketCourier.parseWebhook({
+      awb: 'AWB1',
+      current_status: 'IN TRANSIT',
+      scans: [
+        { 'sr-status-label': 'IN TRANSIT', activity: 'Arrived', location: 'Chennai Hub', date: '2024-01-15 10:30:00' },
+        { 'sr-status-label': 'IN TRANSIT', activity: 'Departed', location: 'Bengaluru Hub' }
+      ]
+    });
+
+    expect(events.map(event => event.timestamp)).toEqual([new Date('2024-01-15T05:00:00.000Z'), null, null]);
+  });
+
+  it('records an undated scan once however often it is delivered', async () => {
+    const order = shippedOrder();
+    const [shipment] = order.shipments;
+    const body = {
+      awb: 'AWB1',
+      current_status: 'IN TRANSIT',
+      scans: [{ 'sr-status-label': 'IN TRANSIT', activity: 'Departed', location: 'Bengaluru Hub' }]
+    };
+
+    expect(await applyTrackingEvents(order, shipment, shiprocketCourier.parseWebhook(body).events)).toBe(2);
+    expect(await applyTrackingEvents(order, shipment, shiprocketCourier.parseWebhook(body).events)).toBe(0);
+
+    expect(order.tracking.updates.map(update => update.location)).toEqual(['Bengaluru Hub', undefined]);
+    expect(shipment.status).toBe('in_transit');
+  });
+});
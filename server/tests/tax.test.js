@@ -0,0 +1,63 @@
+const { calculateTax } = require('../services/tax');
+
+const silk = { fabric: 'Silk' };
+
+describe('calculateTax', () => {
+  it('charges CGST + SGST when the warehouse is in the destination state', () => {
+    const gst = calculateTax({
+      lines: [{ product: silk, price: 2000, quantity: 1, origins: [{ state: 'Uttar Pradesh', quantity: 1 }] }],
+      destinationState: 'Uttar Pradesh'
+    });
+
+    expect(gst.breakdown).toMatchObject({ supplyType: 'intra', sellerState: 'Uttar Pradesh', cgst: 120, sgst: 120, igst: 0 });
+  });
+
+  it('charges IGST when the warehouse is in another state', () => {
+    const gst = calculateTax({
+      lines: [{ product: silk, price: 2000, quantity: 1, origins: [{ state: 'Uttar Pradesh', quantity: 1 }] }],
+      destinationState: 'Tamil Nadu'
+    });
+
+    expect(gst.breakdown).toMatchObject({ supplyType: 'inter', cgst: 0, sgst: 0, igst: 240 });
+  });
+
+  it('falls back to the seller state without a warehouse', () => {
+    const gst = calculateTax({
+      lines: [{ product: silk, price: 2000, quantity: 1 }],
+      destinationState: 'Tamil Nadu'
+    });
+
+    expect(gst.breakdown).toMatchObject({ supplyType: 'intra', sellerState: 'Tamil Nadu', igst: 0 });
+  });
+
+  it('splits a line shipped from two states by quantity', () => {
+    const gst = calculateTax({
+      lines: [{
+        product: silk,
+        price: 2000,
+        quantity: 3,
+        origins: [{ state: 'Tamil Nadu', quantity: 2 }, { state: 'Uttar Pradesh', quantity: 1 }]
+      }],
+      destinationState: 'Uttar Pradesh'
+    });
+
+    expect(gst.breakdown.supplyType).toBe('mixed');
+    expect(gst.lines[0]).toMatchObject({ amount: 720, igst: 480, cgst: 120, sgst: 120 });
+    expect(gst.total).toBe(720);
+  });
+
+  it("taxes a product by its fabric's HSN code unless it has its own", () => {
+    const net = { fabric: 'Net' };
+    const gst = calculateTax({
+      lines: [
+        { product: net, price: 500, quantity: 1 },
+        { product: { ...net, hsnCode: '5007' }, price: 500, quantity: 1 }
+      ],
+      destinationState: 'Tamil Nadu',
+      fabricHsnCodes: { Net: '5804' }
+    });
+
+    expect(gst.lines[0]).toMatchObject({ hsnCode: '5804', rate: 12, amount: 60 });
+    expect(gst.lines[1]).toMatchObject({ hsnCode: '5007', rate: 5, amount: 25 });
+  });
+});
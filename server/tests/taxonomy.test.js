@@ -0,0 +1,37 @@
+const db = require('./helpers/db');
+const { createProduct, createTaxonomy } = require('./helpers/fixtures');
+const Attribute = require('../models/Attribute');
+const { saveAttribute, getFabricHsnCodes } = require('../services/taxonomy');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('fabric HSN codes', () => {
+  it('requires an HSN code on products whose fabric has none', async () => {
+    await createTaxonomy();
+    await saveAttribute(new Attribute(), { type: 'fabric', name: 'Organza' });
+
+    await expect(createProduct({ fabric: 'Organza' })).rejects.toThrow('Organza has no HSN code; give the product one');
+    await expect(createProduct({ fabric: 'Organza', hsnCode: '5007' })).resolves.toMatchObject({ hsnCode: '5007' });
+  });
+
+  it("keeps a fabric's HSN code when it is renamed", async () => {
+    await createTaxonomy();
+    const fabric = await saveAttribute(new Attribute(), { type: 'fabric', name: 'Organza', hsnCode: '5407' });
+    const product = await createProduct({ fabric: 'Organza' });
+
+    await saveAttribute(fabric, { name: 'Silk Organza' });
+
+    expect(await getFabricHsnCodes()).toMatchObject({ 'Silk Organza': '5407' });
+    expect((await product.constructor.findById(product._id)).fabric).toBe('Silk Organza');
+  });
+
+  it("won't take the HSN code off a fabric products are taxed by", async () => {
+    await createTaxonomy();
+    const fabric = await saveAttribute(new Attribute(), { type: 'fabric', name: 'Organza', hsnCode: '5407' });
+    await createProduct({ fabric: 'Organza' });
+
+    await expect(saveAttribute(fabric, { hsnCode: '' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,39 @@
+// Rupee amounts in words with Indian grouping, as printed on invoices:
+// 123456.5 -> "Rupees One Lakh Twenty Three Thousand Four Hundred Fifty Six and Fifty Paise Only"
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// 0-99
+const twoDigits = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+// 0-999
+const threeDigits = (n) => {
+  const hundreds = Math.floor(n / 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', twoDigits(n % 100)].filter(Boolean).join(' ');
+};
+
+const integerInWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const crores = Math.floor(n / 10000000);
+  const parts = [
+    crores ? `${integerInWords(crores)} Crore` : '',
+    Math.floor(n / 100000) % 100 ? `${twoDigits(Math.floor(n / 100000) % 100)} Lakh` : '',
+    Math.floor(n / 1000) % 100 ? `${twoDigits(Math.floor(n / 1000) % 100)} Thousand` : '',
+    threeDigits(n % 1000)
+  ];
+  return parts.filter(Boolean).join(' ');
+};
+
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(amount) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  const words = `Rupees ${integerInWords(rupees)}`;
+  return paise ? `${words} and ${twoDigits(paise)} Paise Only` : `${words} Only`;
+};
+
+module.exports = { amountInWords };
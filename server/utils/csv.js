@@ -0,0 +1,107 @@
+// Minimal CSV reading and writing for admin imports and downloads.
+
+const getPath = (row, key) => key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+
+const formatCell = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('|');
+  return String(value);
+};
+
+// Quote cells containing separators or quotes, and neutralise leading
+// characters spreadsheets would treat as a formula
+const escapeCell = (value) => {
+  let cell = formatCell(value);
+  if (/^[=+\-@]/.test(cell) && Number.isNaN(Number(cell))) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// Undo escapeCell's formula guard on a cell read back from a file exported
+// here
+const unguardCell = (cell) => (
+  /^'[=+\-@]/.test(cell) && Number.isNaN(Number(cell.slice(1))) ? cell.slice(1) : cell
+);
+
+// `columns` is an array of { key, header } (header defaults to the key);
+// keys may be dotted paths into each row.
+const csvHeader = (columns) => columns.map(column => escapeCell(column.header || column.key)).join(',');
+
+const csvLine = (row, columns) => columns.map(column => escapeCell(getPath(row, column.key))).join(',');
+
+const toCsv = (rows, columns) => [csvHeader(columns), ...rows.map(row => csvLine(row, columns))].join('\r\n');
+
+// Split CSV text into rows of cells, each with the line it starts on.
+// Handles quoted cells containing commas, quotes and line breaks.
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push({ cells: row, line: rowLine });
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (char === '\n') line += 1;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+        line += 1;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Parse CSV text with a header row into objects keyed by the (trimmed)
+// headers. Each object also gets `_line`, its line number for error reports.
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const keys = header.cells.map(key => key.trim());
+  return rows.map(({ cells, line }) => {
+    const record = { _line: line };
+    keys.forEach((key, column) => {
+      record[key] = cells[column] === undefined ? '' : cells[column].trim();
+    });
+    return record;
+  });
+};
+
+module.exports = { toCsv, csvHeader, csvLine, parseCsv, unguardCell };
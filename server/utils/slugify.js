@@ -0,0 +1,10 @@
+// URL-safe form of a display name, e.g. "Art Silk & Zari" -> "art-silk-and-zari"
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = { slugify };
@@ -0,0 +1,9 @@
+// State names are compared loosely: "Tamil Nadu", "tamil  nadu " and
+// "Jammu & Kashmir" / "Jammu and Kashmir" are the same state
+const normalizeState = (state) => (state || '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = { normalizeState };